@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Backtest alert rules against the graduates and snapshots recorded by server.js.
+//
+//   node backtest.js [--rules rules.json] [--db ./data/tracker.db] [--from 2024-01-01] [--to ...]
+//                    [--horizons 5m,1h,24h] [--target 2] [--json]
+//
+// Without --rules the rules currently stored in the database are used. A rules file holds
+// an array of rules (or { "rules": [...] }) in the same format as POST /api/alert-rules.
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const { createStorage, parseQuery } = require('./lib/storage');
+const { buildRule } = require('./lib/alert-rules');
+const { parseDuration, runBacktest } = require('./lib/backtest');
+
+const USAGE = 'Usage: node backtest.js [--rules file.json] [--db path] [--from date] [--to date] [--horizons 5m,1h,24h] [--target 2] [--json]';
+
+function parseArgs(argv) {
+  const args = { horizons: '5m,1h,24h', target: '2', json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--') && i + 1 < argv.length) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function loadRules(file, storage) {
+  if (!file) return storage.listAlertRules();
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(list)) {
+    throw new Error('Rules file must contain an array of rules or { "rules": [...] }');
+  }
+  return list.map((input, index) => {
+    try {
+      const rule = buildRule(input);
+      return input.id ? { ...rule, id: String(input.id) } : rule;
+    } catch (error) {
+      throw new Error(`Rule ${index + 1} (${input && input.name || 'unnamed'}): ${error.message}`);
+    }
+  });
+}
+
+// Page through every stored graduate in the requested time range, oldest first
+function* storedGraduates(storage, from, to) {
+  let cursor;
+  do {
+    const page = storage.queryGraduates(parseQuery('graduates', { from, to, cursor, limit: 500, order: 'asc' }));
+    yield* page.items;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const signed = value => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+function printReport(report, horizonLabels) {
+  console.log(`📼 Replayed ${report.replayed} graduates (${report.skipped} skipped without market cap snapshots)`);
+  console.log(`🎯 Hit = market cap reached ${report.target}x the alert-time value within the horizon; pending results are excluded\n`);
+
+  const header = ['Rule', 'Alerts', ...horizonLabels.flatMap(label => [`Hit ${label}`, `Median ${label}`])];
+  const rows = [
+    ['(all graduates)', report.baseline],
+    ['(any rule)', report.anyRule],
+    ...report.rules.map(rule => [`${rule.name}${rule.enabled === false ? ' (disabled)' : ''}`, rule])
+  ].map(([name, stats]) => [
+    name,
+    String(stats.alerts),
+    ...horizonLabels.flatMap(label => {
+      const horizon = stats.horizons[label];
+      const decided = horizon.hits + horizon.misses;
+      return [`${percent(horizon.hitRate)} (${horizon.hits}/${decided})`, signed(horizon.medianReturnPct)];
+    })
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+  console.log(format(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(format(row)));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const horizonLabels = args.horizons.split(',').map(label => label.trim()).filter(Boolean);
+  const horizons = Object.fromEntries(horizonLabels.map(label => [label, parseDuration(label)]));
+  const target = parseFloat(args.target);
+  if (!(target > 0)) {
+    throw new Error('--target must be a positive multiple, e.g. 2 for "market cap doubled"');
+  }
+
+  const storage = createStorage({
+    driver: 'sqlite',
+    filePath: args.db || process.env.STORAGE_PATH || undefined
+  });
+
+  try {
+    const rules = loadRules(args.rules, storage);
+    if (rules.length === 0) {
+      console.log('⚠️ No rules to test - pass --rules or create some via /api/alert-rules');
+    }
+
+    const report = runBacktest({
+      graduates: storedGraduates(storage, args.from, args.to),
+      getSnapshots: mint => storage.listSnapshots(mint),
+      rules,
+      horizons,
+      target
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report, horizonLabels);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Minimal offline Solana JSON-RPC server for exercising RPC ingestion (INGESTION_MODE=rpc).
+//
+//   node fixtures/mock-rpc-server.js [port]
+//   RPC_WS_URL=ws://localhost:8899 INGESTION_MODE=rpc npm start
+//   curl -X POST localhost:8899/emit     # broadcast the fixture pool creations again
+//
+// Serves HTTP JSON-RPC (getTransaction, getSignaturesForAddress, getAccountInfo for the
+// address lookup tables the fixtures reference) and WebSocket
+// logsSubscribe / programSubscribe on one port, replaying the getTransaction results in
+// fixtures/transactions/. Can also be required: startMockRpcServer({ port }) -> { emit, close }.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const bs58 = require('bs58').default;
+const { WebSocketServer } = require('ws');
+
+const TRANSACTIONS_DIR = path.join(__dirname, 'transactions');
+
+function loadTransactions() {
+  const bySignature = new Map();
+  for (const file of fs.readdirSync(TRANSACTIONS_DIR).filter(name => name.endsWith('.json'))) {
+    const result = JSON.parse(fs.readFileSync(path.join(TRANSACTIONS_DIR, file), 'utf8'));
+    bySignature.set(result.transaction.signatures[0], result);
+  }
+  return bySignature;
+}
+
+function accountKeys(result) {
+  const loaded = result.meta.loadedAddresses || {};
+  return [...result.transaction.message.accountKeys, ...(loaded.writable || []), ...(loaded.readonly || [])];
+}
+
+// Rebuild lookup table contents from each fixture's loadedAddresses, placing every address at
+// the index its lookup references (unreferenced slots are left as the default pubkey)
+function buildLookupTables(transactions) {
+  const tables = new Map();
+  for (const result of transactions.values()) {
+    const loaded = result.meta.loadedAddresses || {};
+    const queues = { writable: [...(loaded.writable || [])], readonly: [...(loaded.readonly || [])] };
+
+    for (const kind of ['writable', 'readonly']) {
+      for (const lookup of result.transaction.message.addressTableLookups || []) {
+        const table = tables.get(lookup.accountKey) || [];
+        for (const index of lookup[`${kind}Indexes`]) {
+          table[index] = queues[kind].shift();
+        }
+        tables.set(lookup.accountKey, table);
+      }
+    }
+  }
+  return tables;
+}
+
+// Lookup table account data: 56-byte header followed by the 32-byte addresses
+function encodeLookupTable(addresses) {
+  const entries = Array.from(addresses, address => Buffer.from(bs58.decode(address || '11111111111111111111111111111111')));
+  return Buffer.concat([Buffer.alloc(56), ...entries]).toString('base64');
+}
+
+function startMockRpcServer({ port = 8899, transactions = loadTransactions() } = {}) {
+  const lookupTables = buildLookupTables(transactions);
+  let nextSubscriptionId = 1;
+  const subscriptions = new Map(); // subscription id -> { ws, method, target }
+
+  function handleRpc({ id, method, params = [] }) {
+    const reply = result => ({ jsonrpc: '2.0', id, result });
+
+    if (method === 'getTransaction') {
+      return reply(transactions.get(params[0]) || null);
+    }
+    if (method === 'getSignaturesForAddress') {
+      // Newest first, paged with `before` like a real node
+      const options = params[1] || {};
+      const signatures = [...transactions.entries()]
+        .filter(([, result]) => accountKeys(result).includes(params[0]))
+        .sort(([, a], [, b]) => b.slot - a.slot)
+        .map(([signature, result]) => ({ signature, slot: result.slot, err: result.meta.err, blockTime: result.blockTime }));
+      const start = options.before ? signatures.findIndex(entry => entry.signature === options.before) + 1 : 0;
+      return reply(start === 0 && options.before ? [] : signatures.slice(start, start + (options.limit || 1000)));
+    }
+    if (method === 'getAccountInfo') {
+      const table = lookupTables.get(params[0]);
+      return reply({
+        context: { slot: 0 },
+        value: table
+          ? { data: [encodeLookupTable(table), 'base64'], executable: false, lamports: 1000000, owner: 'AddressLookupTab1e1111111111111111111111111', rentEpoch: 0 }
+          : null
+      });
+    }
+    if (method === 'getHealth') {
+      return reply('ok');
+    }
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+  }
+
+  // Notify every subscriber whose program the transaction invokes (directly or through CPI)
+  function emit(signature = null) {
+    const entries = signature ? [[signature, transactions.get(signature)]] : [...transactions.entries()];
+    let sent = 0;
+
+    for (const [txSignature, result] of entries) {
+      if (!result) continue;
+      const keys = accountKeys(result);
+      const invoked = [
+        ...result.transaction.message.instructions,
+        ...(result.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+      ];
+      const programIds = new Set(invoked.map(instruction => keys[instruction.programIdIndex]));
+
+      for (const [subscriptionId, { ws, method, target }] of subscriptions) {
+        if (!programIds.has(target)) continue;
+
+        const context = { slot: result.slot };
+        const value = method === 'logsSubscribe'
+          ? { signature: txSignature, err: result.meta.err, logs: result.meta.logMessages || [] }
+          : {
+            // The mock keeps no account state, so report the first non-signer, non-program account
+            pubkey: keys.find((key, index) => index >= result.transaction.message.header.numRequiredSignatures && !programIds.has(key)),
+            account: { data: ['', 'base64'], executable: false, lamports: 2039280, owner: target, rentEpoch: 0 }
+          };
+        ws.send(JSON.stringify({
+          jsonrpc: '2.0',
+          method: method === 'logsSubscribe' ? 'logsNotification' : 'programNotification',
+          params: { subscription: subscriptionId, result: { context, value } }
+        }));
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/emit') {
+        return res.end(JSON.stringify({ notifications: emit() }));
+      }
+      try {
+        const payload = JSON.parse(body);
+        res.end(JSON.stringify(Array.isArray(payload) ? payload.map(handleRpc) : handleRpc(payload)));
+      } catch (error) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+      }
+    });
+  });
+
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', ws => {
+    ws.on('message', data => {
+      const { id, method, params = [] } = JSON.parse(data.toString());
+      if (method === 'logsSubscribe' || method === 'programSubscribe') {
+        const subscriptionId = nextSubscriptionId++;
+        const target = method === 'logsSubscribe' ? params[0].mentions[0] : params[0];
+        subscriptions.set(subscriptionId, { ws, method, target });
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id, result: subscriptionId }));
+      } else if (method === 'logsUnsubscribe' || method === 'programUnsubscribe') {
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id, result: subscriptions.delete(params[0]) }));
+      } else {
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } }));
+      }
+    });
+    ws.on('close', () => {
+      for (const [subscriptionId, subscription] of subscriptions) {
+        if (subscription.ws === ws) subscriptions.delete(subscriptionId);
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        emit,
+        close: () => new Promise(done => {
+          wss.clients.forEach(client => client.terminate());
+          wss.close(() => server.close(done));
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_RPC_PORT || '8899', 10);
+  startMockRpcServer({ port }).then(mock => {
+    console.log(`🧪 Mock Solana RPC listening on http://localhost:${mock.port} (ws://localhost:${mock.port})`);
+    console.log('   POST /emit to broadcast the fixture transactions to subscribers');
+  });
+}
+
+module.exports = {
+  startMockRpcServer
+};
@@ -0,0 +1,176 @@
+// Alert rules engine shared by server.js and the PumpPortalTracker Durable Object.
+// Kept free of Node-only APIs so the worker bundle can import it.
+
+// Numeric conditions: rule key -> how to read the value from an enriched graduate
+const NUMERIC_CONDITIONS = {
+  marketCapMin: { field: 'marketCap', compare: 'min' },
+  marketCapMax: { field: 'marketCap', compare: 'max' },
+  liquidityMin: { field: 'liquidityUsd', compare: 'min' },
+  volume1hMin: { field: 'volume1h', compare: 'min' },
+  volume24hMin: { field: 'volume24h', compare: 'min' },
+  buySellRatioMin: { field: 'buySellRatio', compare: 'min' },
+  buySellRatioMax: { field: 'buySellRatio', compare: 'max' },
+  // On-chain safety score (server.js only - graduates without a safety check never match)
+  riskScoreMax: { field: 'riskScore', compare: 'max' }
+};
+
+const LIST_CONDITIONS = ['dexes', 'excludeMints'];
+
+// Thrown for malformed rule payloads; the APIs map it to a 400
+class RuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleValidationError';
+  }
+}
+
+// 1h buys / sells, falling back to 24h when the 1h window has no trades yet
+function buySellRatio(graduate) {
+  const txns = (graduate.txns1h && (graduate.txns1h.buys || graduate.txns1h.sells))
+    ? graduate.txns1h
+    : graduate.txns24h;
+  if (!txns) return null;
+  const buys = Number(txns.buys) || 0;
+  const sells = Number(txns.sells) || 0;
+  if (buys === 0 && sells === 0) return null;
+  return buys / Math.max(sells, 1);
+}
+
+function readNumber(graduate, field) {
+  if (field === 'buySellRatio') return buySellRatio(graduate);
+  if (field === 'riskScore') return graduate.safety ? graduate.safety.riskScore : null;
+  const value = parseFloat(graduate[field]);
+  return Number.isNaN(value) ? null : value;
+}
+
+function validateConditions(conditions) {
+  if (conditions === undefined) return {};
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new RuleValidationError('conditions must be an object');
+  }
+
+  const validated = {};
+  for (const [key, value] of Object.entries(conditions)) {
+    if (value === null || value === undefined) continue;
+
+    if (NUMERIC_CONDITIONS[key]) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new RuleValidationError(`${key} must be a number`);
+      }
+      validated[key] = value;
+    } else if (LIST_CONDITIONS.includes(key)) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new RuleValidationError(`${key} must be an array of strings`);
+      }
+      validated[key] = key === 'dexes' ? value.map(item => item.toLowerCase()) : value;
+    } else if (key === 'symbolRegex') {
+      if (typeof value !== 'string') {
+        throw new RuleValidationError('symbolRegex must be a string');
+      }
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        throw new RuleValidationError(`symbolRegex is invalid: ${error.message}`);
+      }
+      validated[key] = value;
+    } else {
+      throw new RuleValidationError(`Unknown condition: ${key}`);
+    }
+  }
+  return validated;
+}
+
+// Validate a create/update payload and return a normalised rule
+// Pass the existing rule to apply a partial update on top of it
+function buildRule(input, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new RuleValidationError('Rule must be a JSON object');
+  }
+
+  const name = input.name !== undefined ? input.name : existing?.name;
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new RuleValidationError('name is required');
+  }
+
+  const enabled = input.enabled !== undefined ? input.enabled : (existing ? existing.enabled : true);
+  if (typeof enabled !== 'boolean') {
+    throw new RuleValidationError('enabled must be a boolean');
+  }
+
+  const chatId = input.chatId !== undefined ? input.chatId : (existing ? existing.chatId : null);
+  if (chatId !== null && typeof chatId !== 'string' && typeof chatId !== 'number') {
+    throw new RuleValidationError('chatId must be a string or number');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: existing ? existing.id : globalThis.crypto.randomUUID(),
+    name: name.trim(),
+    enabled,
+    chatId: chatId === null ? null : String(chatId),
+    conditions: input.conditions !== undefined ? validateConditions(input.conditions) : (existing?.conditions || {}),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Evaluate one rule against an enriched graduate; returns the failed conditions when it doesn't match
+function evaluateRule(rule, graduate) {
+  const failures = [];
+  const conditions = rule.conditions || {};
+
+  for (const [key, { field, compare }] of Object.entries(NUMERIC_CONDITIONS)) {
+    if (conditions[key] === undefined) continue;
+    const value = readNumber(graduate, field);
+    if (value === null) {
+      failures.push(`${field} unavailable`);
+    } else if (compare === 'min' ? value < conditions[key] : value > conditions[key]) {
+      failures.push(`${field} ${value} ${compare === 'min' ? '<' : '>'} ${conditions[key]}`);
+    }
+  }
+
+  if (conditions.dexes && conditions.dexes.length > 0) {
+    const dex = (graduate.graduationDex || '').toLowerCase();
+    if (!conditions.dexes.includes(dex)) {
+      failures.push(`dex ${dex || 'unknown'} not in [${conditions.dexes.join(', ')}]`);
+    }
+  }
+
+  if (conditions.symbolRegex && !new RegExp(conditions.symbolRegex, 'i').test(graduate.symbol || '')) {
+    failures.push(`symbol ${graduate.symbol || 'unknown'} does not match /${conditions.symbolRegex}/`);
+  }
+
+  if (conditions.excludeMints && conditions.excludeMints.includes(graduate.mint)) {
+    failures.push('mint excluded');
+  }
+
+  return { matched: failures.length === 0, failures };
+}
+
+// Work out which chats should be alerted for a graduate, each chat once with the rules it matched
+// chatId null means the channel's default destination; with no enabled rules every graduate
+// goes to the default destination
+function resolveAlertTargets(rules, graduate) {
+  const enabledRules = (rules || []).filter(rule => rule.enabled);
+  if (enabledRules.length === 0) {
+    return [{ chatId: null, rules: [] }];
+  }
+
+  const byChat = new Map();
+  for (const rule of enabledRules) {
+    if (!evaluateRule(rule, graduate).matched) continue;
+
+    const chatId = rule.chatId || null;
+    if (!byChat.has(chatId)) byChat.set(chatId, []);
+    byChat.get(chatId).push(rule);
+  }
+  return [...byChat.entries()].map(([chatId, matchedRules]) => ({ chatId, rules: matchedRules }));
+}
+
+module.exports = {
+  RuleValidationError,
+  buildRule,
+  evaluateRule,
+  resolveAlertTargets,
+  buySellRatio
+};
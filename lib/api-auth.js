@@ -0,0 +1,103 @@
+// API key authentication with read-only and admin roles, shared by the Express server
+// (server.js) and the Cloudflare Worker router (solana-worker/index.js).
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"; GET requests may
+// also use ?api_key= since EventSource can't set headers. Admin keys can do everything a
+// read key can.
+
+const ROLE_LEVELS = {
+  public: 0,
+  read: 1,
+  admin: 2
+};
+
+class ApiAuthError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiAuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function parseKeys(value) {
+  return String(value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+// ADMIN_API_KEYS / READ_API_KEYS: comma-separated keys. Reads stay public unless
+// API_PROTECT_READS=true, so the public dashboard keeps working with only admin keys set.
+function apiAuthConfigFromEnv(env) {
+  return {
+    keys: [
+      ...parseKeys(env.ADMIN_API_KEYS).map(key => ({ key, role: 'admin' })),
+      ...parseKeys(env.READ_API_KEYS).map(key => ({ key, role: 'read' }))
+    ],
+    protectReads: env.API_PROTECT_READS === 'true'
+  };
+}
+
+// Constant-time string comparison (no Node crypto, so it also runs in the worker)
+function safeEqual(a, b) {
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    difference |= (a.charCodeAt(i % a.length) || 0) ^ (b.charCodeAt(i % b.length) || 0);
+  }
+  return difference === 0;
+}
+
+// getHeader(name) reads a lower-case request header; query is the request's query params
+function extractApiKey(getHeader, query, method) {
+  const authorization = getHeader('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  if (getHeader('x-api-key')) return getHeader('x-api-key').trim();
+  if (method === 'GET' && query && query.api_key) return String(query.api_key);
+  return null;
+}
+
+// Role granted to a key, checking every configured key so timing doesn't reveal which matched
+function roleForKey(config, apiKey) {
+  let role = null;
+  for (const entry of config.keys) {
+    if (safeEqual(entry.key, apiKey) && (!role || ROLE_LEVELS[entry.role] > ROLE_LEVELS[role])) {
+      role = entry.role;
+    }
+  }
+  return role;
+}
+
+// Throws ApiAuthError (401 / 403) unless the key grants `required` ('public' | 'read' | 'admin').
+// With no keys configured the API stays open, as before.
+function authorize(config, required, apiKey) {
+  if (ROLE_LEVELS[required] === undefined) {
+    throw new Error(`Unknown role: ${required}`);
+  }
+  if (required === 'public' || (required === 'read' && !config.protectReads) || config.keys.length === 0) {
+    return { role: null };
+  }
+  if (!apiKey) {
+    throw new ApiAuthError(401, 'Authentication required', `This endpoint requires an API key with the ${required} role`);
+  }
+
+  const role = roleForKey(config, apiKey);
+  if (!role) {
+    throw new ApiAuthError(401, 'Invalid API key', 'The API key is not recognised');
+  }
+  if (ROLE_LEVELS[role] < ROLE_LEVELS[required]) {
+    throw new ApiAuthError(403, 'Forbidden', `This endpoint requires the ${required} role`);
+  }
+  return { role };
+}
+
+function apiAuthEnabled(config) {
+  return config.keys.length > 0;
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  ApiAuthError,
+  apiAuthConfigFromEnv,
+  apiAuthEnabled,
+  extractApiKey,
+  authorize
+};
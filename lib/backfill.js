@@ -0,0 +1,130 @@
+// Backfill of pump.fun graduations missed while the PumpPortal feed was down.
+// Pages through the migration authority's on-chain history (getSignaturesForAddress) over
+// the outage window, fetches each transaction and rebuilds a PumpPortal-style migrate event
+// from the PumpSwap create_pool CPI that Pump.fun's migrate instruction emits.
+// Shared by server.js and the PumpPortalTracker Durable Object: `rpc(method, params)` does the
+// JSON-RPC call, so nothing here depends on Node APIs.
+const bs58 = require('bs58').default;
+const { PROGRAM_IDS } = require('./programs');
+const { normalizeRpcTransaction } = require('./ingestion/rpc-transaction');
+const { flattenInstructions } = require('./ingestion/normalize');
+
+// Signs every Pump.fun migrate transaction. The Pump.fun program itself works too, but its
+// history is mostly trades, so scanning it over an outage takes far more requests.
+const PUMPFUN_MIGRATION_AUTHORITY = '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg';
+
+// sha256("global:create_pool")[0..8] - the Anchor discriminator lib/decoders/pumpswap.js matches
+const CREATE_POOL_DISCRIMINATOR = [0xe9, 0x92, 0xd1, 0x8e, 0xcf, 0x68, 0x40, 0xbc];
+
+const SIGNATURE_PAGE_SIZE = 1000;
+
+// BACKFILL_RPC_URL falls back to the caller's RPC endpoint; no endpoint disables backfill
+function backfillConfigFromEnv(env, fallbackRpcUrl = null) {
+  return {
+    rpcUrl: env.BACKFILL_RPC_URL || fallbackRpcUrl || null,
+    address: env.BACKFILL_ADDRESS || PUMPFUN_MIGRATION_AUTHORITY,
+    maxTransactions: parseInt(env.BACKFILL_MAX_TRANSACTIONS || '500', 10),
+    maxWindowMs: parseInt(env.BACKFILL_MAX_WINDOW_MS || String(24 * 60 * 60 * 1000), 10),
+    // Extra time scanned on both sides of the outage, for events in flight when the socket dropped
+    marginMs: parseInt(env.BACKFILL_MARGIN_MS || '60000', 10)
+  };
+}
+
+function isCreatePool(data) {
+  let bytes;
+  try {
+    bytes = bs58.decode(data || '');
+  } catch (error) {
+    return false;
+  }
+  return CREATE_POOL_DISCRIMINATOR.every((byte, index) => bytes[index] === byte);
+}
+
+// PumpPortal-shaped migrate event for a normalised transaction, null when it isn't a graduation
+function migrationFromTransaction(tx) {
+  if (!tx || tx.transactionError) return null;
+
+  const createPool = flattenInstructions(tx).find(instruction =>
+    instruction.programId === PROGRAM_IDS['PumpSwap AMM'] &&
+    instruction.parentProgramId === PROGRAM_IDS['Pump.fun'] &&
+    isCreatePool(instruction.data)
+  );
+  if (!createPool) return null;
+
+  // create_pool accounts: 0 pool, 3 base mint (see the pumpswap decoder's account layout)
+  const mint = createPool.accounts[3];
+  if (!mint) return null;
+
+  return {
+    txType: 'migrate',
+    pool: 'pump-amm',
+    dex: 'pumpswap',
+    mint,
+    pairAddress: createPool.accounts[0] || null,
+    signature: tx.signature,
+    slot: tx.slot,
+    timestamp: tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : null,
+    backfilled: true
+  };
+}
+
+// Successful signatures for `address` with a block time in [from, to] (epoch ms), oldest first
+async function listSignatures(rpc, address, from, to, maxTransactions) {
+  const signatures = [];
+  let before;
+  let truncated = false;
+
+  for (;;) {
+    const page = await rpc('getSignaturesForAddress', [address, { limit: SIGNATURE_PAGE_SIZE, before, commitment: 'confirmed' }]);
+    if (!page || page.length === 0) break;
+
+    for (const entry of page) {
+      const time = entry.blockTime ? entry.blockTime * 1000 : null;
+      if (time !== null && time > to) continue;
+      if (time !== null && time < from) return { signatures: signatures.reverse(), truncated };
+      if (entry.err) continue;
+      if (signatures.length >= maxTransactions) return { signatures: signatures.reverse(), truncated: true };
+      signatures.push(entry.signature);
+    }
+
+    if (page.length < SIGNATURE_PAGE_SIZE) break;
+    before = page[page.length - 1].signature;
+  }
+  return { signatures: signatures.reverse(), truncated };
+}
+
+// Migrations between from and to (epoch ms), oldest first. The window is clipped to
+// maxWindowMs (keeping the most recent part) and at most maxTransactions are fetched.
+async function findMissedMigrations(rpc, { address, from, to, maxTransactions, maxWindowMs }) {
+  const windowStart = Math.max(from, to - maxWindowMs);
+  const { signatures, truncated } = await listSignatures(rpc, address, windowStart, to, maxTransactions);
+
+  const migrations = [];
+  let failed = 0;
+  for (const signature of signatures) {
+    try {
+      const result = await rpc('getTransaction', [signature, { encoding: 'json', commitment: 'confirmed', maxSupportedTransactionVersion: 0 }]);
+      const migration = migrationFromTransaction(normalizeRpcTransaction(result, signature));
+      if (migration) migrations.push(migration);
+    } catch (error) {
+      failed++;
+      console.log(`⚠️ Backfill could not fetch ${signature}:`, error.message);
+    }
+  }
+
+  return {
+    migrations,
+    scanned: signatures.length,
+    failed,
+    truncated: truncated || windowStart > from,
+    from: new Date(windowStart).toISOString(),
+    to: new Date(to).toISOString()
+  };
+}
+
+module.exports = {
+  PUMPFUN_MIGRATION_AUTHORITY,
+  backfillConfigFromEnv,
+  migrationFromTransaction,
+  findMissedMigrations
+};
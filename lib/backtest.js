@@ -0,0 +1,139 @@
+// Replays recorded graduates and their enrichment snapshots through a rule set, to see
+// which alerts would have fired and how those tokens performed afterwards (see backtest.js).
+const { evaluateRule } = require('./alert-rules');
+const { buildSeries, valueAt } = require('./history');
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "5m" / "1h" / "2d" -> milliseconds
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 5m, 1h, 2d)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// What the live tracker saw when it alerted: the graduate merged with its first enrichment snapshot
+function entryState(graduate, snapshots) {
+  const first = snapshots[0];
+  if (!first) return null;
+  const { recordedAt, ...data } = first;
+  return { ...graduate, ...data, mint: graduate.mint, alertedAt: recordedAt };
+}
+
+// Outcome at each horizon measured from the alert: hit when market cap reached
+// entry x target within the window; pending when the history doesn't cover it yet
+function evaluateOutcomes(entryMarketCap, entryTime, series, horizons, target) {
+  const lastTime = series.length > 0 ? series[series.length - 1].time : null;
+  const outcomes = {};
+
+  for (const [label, offset] of Object.entries(horizons)) {
+    const end = entryTime + offset;
+    const window = series.filter(point => point.time > entryTime && point.time <= end && point.marketCap !== null);
+    const peak = window.reduce((max, point) => Math.max(max, point.marketCap), entryMarketCap);
+    const reachedTarget = peak >= entryMarketCap * target;
+
+    if (!reachedTarget && (lastTime === null || lastTime < end)) {
+      outcomes[label] = { status: 'pending' };
+      continue;
+    }
+
+    const valueAtEnd = valueAt(series, 'marketCap', end);
+    outcomes[label] = {
+      status: reachedTarget ? 'hit' : 'miss',
+      peakMultiple: peak / entryMarketCap,
+      returnPct: valueAtEnd !== null ? ((valueAtEnd - entryMarketCap) / entryMarketCap) * 100 : null
+    };
+  }
+  return outcomes;
+}
+
+function emptyStats(horizons) {
+  const stats = { alerts: 0, horizons: {} };
+  for (const label of Object.keys(horizons)) {
+    stats.horizons[label] = { hits: 0, misses: 0, pending: 0, returns: [] };
+  }
+  return stats;
+}
+
+function addOutcome(stats, outcomes) {
+  stats.alerts++;
+  for (const [label, outcome] of Object.entries(outcomes)) {
+    const bucket = stats.horizons[label];
+    if (outcome.status === 'pending') {
+      bucket.pending++;
+      continue;
+    }
+    bucket[outcome.status === 'hit' ? 'hits' : 'misses']++;
+    if (outcome.returnPct !== null) bucket.returns.push(outcome.returnPct);
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function summarise(stats) {
+  const horizons = {};
+  for (const [label, bucket] of Object.entries(stats.horizons)) {
+    const decided = bucket.hits + bucket.misses;
+    horizons[label] = {
+      hits: bucket.hits,
+      misses: bucket.misses,
+      pending: bucket.pending,
+      hitRate: decided > 0 ? bucket.hits / decided : null,
+      medianReturnPct: median(bucket.returns)
+    };
+  }
+  return { alerts: stats.alerts, horizons };
+}
+
+// graduates: iterable of stored graduates; getSnapshots(mint) returns their stored snapshots.
+// Rules are evaluated whether or not they're enabled, so candidate sets can be compared.
+function runBacktest({ graduates, getSnapshots, rules, horizons, target = 2 }) {
+  const baseline = emptyStats(horizons);
+  const anyRule = emptyStats(horizons);
+  const perRule = new Map(rules.map(rule => [rule.id, emptyStats(horizons)]));
+  let replayed = 0;
+  let skipped = 0;
+
+  for (const graduate of graduates) {
+    const snapshots = getSnapshots(graduate.mint);
+    const entry = entryState(graduate, snapshots);
+    const entryMarketCap = entry ? parseFloat(entry.marketCap) : NaN;
+    if (!entry || !(entryMarketCap > 0)) {
+      skipped++;
+      continue;
+    }
+    replayed++;
+
+    const outcomes = evaluateOutcomes(entryMarketCap, entry.alertedAt, buildSeries(snapshots), horizons, target);
+    addOutcome(baseline, outcomes);
+
+    const matched = rules.filter(rule => evaluateRule(rule, entry).matched);
+    for (const rule of matched) {
+      addOutcome(perRule.get(rule.id), outcomes);
+    }
+    if (matched.length > 0) addOutcome(anyRule, outcomes);
+  }
+
+  return {
+    target,
+    replayed,
+    skipped,
+    baseline: summarise(baseline),
+    anyRule: summarise(anyRule),
+    rules: rules.map(rule => ({ id: rule.id, name: rule.name, enabled: rule.enabled, ...summarise(perRule.get(rule.id)) }))
+  };
+}
+
+module.exports = {
+  parseDuration,
+  entryState,
+  evaluateOutcomes,
+  runBacktest
+};
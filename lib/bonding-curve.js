@@ -0,0 +1,215 @@
+// Pre-graduation tracking of pump.fun bonding curves from PumpPortal create / buy / sell events.
+// Every event carries the curve's virtual reserves, so progress is computed the way pump.fun
+// shows it: the share of the 793.1M tokens for sale that has been bought. The curve completes
+// and the token migrates once they're all sold, at roughly 85 SOL of real SOL in the curve.
+//
+// BondingCurveTracker keeps the tokens created since startup whose curves are still moving.
+// It subscribes to a token's trades when it's created and drops it once it graduates, goes
+// idle or is evicted to stay under maxTracked.
+//
+// Events: 'subscribe' (mints), 'unsubscribe' (mints), 'progress' (token), 'near' (token - entered
+// the near-graduation list), 'leave' (token, reason - left it: fell, idle, evicted, graduated),
+// 'alert' (token, percent - first time an alert threshold is crossed), 'graduated' (token).
+const EventEmitter = require('events');
+
+const INITIAL_VIRTUAL_SOL_RESERVES = 30;
+const INITIAL_REAL_TOKEN_RESERVES = 793100000;
+// Virtual token reserves are the real reserves plus this fixed offset (1,073,000,000 - 793,100,000)
+const VIRTUAL_TOKEN_OFFSET = 279900000;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function parsePercents(value) {
+  return (value || '')
+    .split(',')
+    .map(percent => parseFloat(percent))
+    .filter(percent => Number.isFinite(percent) && percent > 0 && percent <= 100)
+    .sort((a, b) => a - b);
+}
+
+function bondingCurveConfigFromEnv(env) {
+  return {
+    enabled: env.PREGRAD_TRACKING !== 'false',
+    maxTracked: parseInt(env.PREGRAD_MAX_TRACKED || '1000', 10),
+    // Tokens with no trades for this long are dropped (and unsubscribed)
+    idleMs: parseInt(env.PREGRAD_IDLE_MS || String(30 * 60 * 1000), 10),
+    nearPercent: parseFloat(env.PREGRAD_NEAR_PERCENT || '80'),
+    // Comma-separated progress thresholds that send a notification, e.g. "90,95"; none by default
+    alertPercents: parsePercents(env.PREGRAD_ALERT_PERCENTS)
+  };
+}
+
+// SOL deposited in the curve and % of the sale completed, from PumpPortal's virtual reserves
+function curveProgress(vTokensInBondingCurve, vSolInBondingCurve) {
+  const vTokens = parseFloat(vTokensInBondingCurve);
+  const vSol = parseFloat(vSolInBondingCurve);
+  if (!Number.isFinite(vTokens) || !Number.isFinite(vSol)) return null;
+
+  const realTokens = Math.max(0, vTokens - VIRTUAL_TOKEN_OFFSET);
+  const sold = Math.min(1, Math.max(0, 1 - realTokens / INITIAL_REAL_TOKEN_RESERVES));
+  return {
+    solInCurve: round(Math.max(0, vSol - INITIAL_VIRTUAL_SOL_RESERVES), 4),
+    progressPercent: round(sold * 100, 2)
+  };
+}
+
+class BondingCurveTracker extends EventEmitter {
+  // options: { maxTracked = 1000, idleMs = 30 min, nearPercent = 80, alertPercents = [] }
+  constructor(options = {}) {
+    super();
+    this.maxTracked = options.maxTracked || 1000;
+    this.idleMs = options.idleMs || 30 * 60 * 1000;
+    this.nearPercent = options.nearPercent || 80;
+    this.alertPercents = options.alertPercents || [];
+    this.tokens = new Map();
+    this.stats = { created: 0, trades: 0, graduated: 0, evicted: 0, expired: 0, alerts: 0 };
+  }
+
+  // Route a PumpPortal message; returns false for messages that aren't create / buy / sell
+  handleMessage(message, now = Date.now()) {
+    if (!message || !message.mint) return false;
+    if (message.txType === 'create') {
+      this.handleCreate(message, now);
+    } else if (message.txType === 'buy' || message.txType === 'sell') {
+      this.handleTrade(message, now);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  handleCreate(message, now = Date.now()) {
+    if (this.tokens.has(message.mint)) return;
+    if (this.tokens.size >= this.maxTracked) this.evictOne();
+
+    const token = {
+      mint: message.mint,
+      name: message.name || null,
+      symbol: message.symbol || null,
+      uri: message.uri || null,
+      creator: message.traderPublicKey || null,
+      bondingCurveKey: message.bondingCurveKey || null,
+      signature: message.signature || null,
+      initialBuySol: parseFloat(message.solAmount) || 0,
+      createdAt: new Date(now).toISOString(),
+      lastTradeAt: new Date(now).toISOString(),
+      buys: 0,
+      sells: 0,
+      volumeSol: 0,
+      solInCurve: 0,
+      progressPercent: 0,
+      marketCapSol: null,
+      alertedPercents: [],
+      near: false,
+      pumpfunUrl: `https://pump.fun/${message.mint}`
+    };
+    this.tokens.set(token.mint, token);
+    this.stats.created++;
+
+    this.emit('subscribe', [token.mint]);
+    this.applyReserves(token, message);
+  }
+
+  handleTrade(message, now = Date.now()) {
+    const token = this.tokens.get(message.mint);
+    if (!token) return;
+
+    token.lastTradeAt = new Date(now).toISOString();
+    token[message.txType === 'buy' ? 'buys' : 'sells']++;
+    token.volumeSol = round(token.volumeSol + (parseFloat(message.solAmount) || 0), 4);
+    this.stats.trades++;
+    this.applyReserves(token, message);
+  }
+
+  applyReserves(token, message) {
+    const progress = curveProgress(message.vTokensInBondingCurve, message.vSolInBondingCurve);
+    if (progress) Object.assign(token, progress);
+    if (message.marketCapSol !== undefined) token.marketCapSol = round(parseFloat(message.marketCapSol) || 0, 4);
+
+    const wasNear = token.near;
+    token.near = token.progressPercent >= this.nearPercent;
+    if (token.near && !wasNear) this.emit('near', token);
+    if (!token.near && wasNear) this.emit('leave', token, 'fell');
+
+    for (const percent of this.alertPercents) {
+      if (token.progressPercent >= percent && !token.alertedPercents.includes(percent)) {
+        token.alertedPercents.push(percent);
+        this.stats.alerts++;
+        this.emit('alert', token, percent);
+      }
+    }
+    this.emit('progress', token);
+  }
+
+  // The token migrated: stop tracking it. Returns its last curve state, null when untracked.
+  handleMigration(mint) {
+    const token = this.remove(mint, 'graduated');
+    if (token) this.stats.graduated++;
+    return token;
+  }
+
+  remove(mint, reason) {
+    const token = this.tokens.get(mint);
+    if (!token) return null;
+    this.tokens.delete(mint);
+    this.emit('unsubscribe', [mint]);
+    if (token.near) this.emit('leave', token, reason);
+    if (reason === 'graduated') this.emit('graduated', token);
+    return token;
+  }
+
+  // Make room by dropping the token that has gone longest without a trade
+  evictOne() {
+    let oldest = null;
+    for (const token of this.tokens.values()) {
+      if (!oldest || token.lastTradeAt < oldest.lastTradeAt) oldest = token;
+    }
+    if (oldest) {
+      this.stats.evicted++;
+      this.remove(oldest.mint, 'evicted');
+    }
+  }
+
+  // Drop tokens with no trades for idleMs; returns how many were removed
+  prune(now = Date.now()) {
+    const cutoff = new Date(now - this.idleMs).toISOString();
+    const idle = [...this.tokens.values()].filter(token => token.lastTradeAt < cutoff);
+    for (const token of idle) this.remove(token.mint, 'idle');
+    this.stats.expired += idle.length;
+    return idle.length;
+  }
+
+  // Tracked tokens, most progressed first
+  list({ minProgress = 0, limit = Infinity } = {}) {
+    return [...this.tokens.values()]
+      .filter(token => token.progressPercent >= minProgress)
+      .sort((a, b) => b.progressPercent - a.progressPercent)
+      .slice(0, limit);
+  }
+
+  nearGraduation(limit = Infinity) {
+    return this.list({ minProgress: this.nearPercent, limit });
+  }
+
+  mints() {
+    return [...this.tokens.keys()];
+  }
+
+  status() {
+    return {
+      tracked: this.tokens.size,
+      near: this.nearGraduation().length,
+      maxTracked: this.maxTracked,
+      nearPercent: this.nearPercent,
+      alertPercents: this.alertPercents,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  INITIAL_REAL_TOKEN_RESERVES,
+  bondingCurveConfigFromEnv,
+  curveProgress,
+  BondingCurveTracker
+};
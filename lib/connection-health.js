@@ -0,0 +1,65 @@
+// Feed connection bookkeeping: reconnect backoff and uptime / gap reporting from recorded
+// connection intervals ({ up, down, reason }, epoch ms). Used by the PumpPortalTracker
+// Durable Object for /pumpportal/health.
+
+const MAX_CONNECTION_INTERVALS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Capped exponential backoff with jitter: a random delay in [50%, 100%] of min(max, base * 2^attempt)
+function reconnectDelayMs(attempt, { baseMs = 1000, maxMs = 5 * 60 * 1000, random = Math.random } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt)));
+  return Math.round(ceiling * (0.5 + random() * 0.5));
+}
+
+function appendInterval(intervals, interval) {
+  return [...intervals, interval].slice(-MAX_CONNECTION_INTERVALS);
+}
+
+const iso = time => (time === null || time === undefined ? null : new Date(time).toISOString());
+
+function overlap(from, to, windowStart, windowEnd) {
+  return Math.max(0, Math.min(to, windowEnd) - Math.max(from, windowStart));
+}
+
+// Uptime over the last windowMs (from the first recorded connection when that's more recent),
+// the disconnection gaps in that window (newest first) and the ongoing gap, if any
+function summarizeConnection(intervals, { connectedSince = null, now = Date.now(), windowMs = DAY_MS, maxGaps = 20 } = {}) {
+  const periods = connectedSince ? [...intervals, { up: connectedSince, down: now }] : intervals;
+  if (periods.length === 0) {
+    return { uptimePercent: null, windowStart: null, upMs: 0, downMs: 0, gaps: [], currentGap: null };
+  }
+
+  const windowStart = Math.max(now - windowMs, periods[0].up);
+  const upMs = periods.reduce((total, period) => total + overlap(period.up, period.down, windowStart, now), 0);
+  const observedMs = now - windowStart;
+
+  const gaps = [];
+  for (let i = 1; i < periods.length; i++) {
+    const from = periods[i - 1].down;
+    const to = periods[i].up;
+    if (to > windowStart) {
+      gaps.push({ from: iso(from), to: iso(to), durationMs: to - from, reason: periods[i - 1].reason || null });
+    }
+  }
+
+  const last = intervals[intervals.length - 1];
+  const currentGap = !connectedSince && last
+    ? { from: iso(last.down), durationMs: now - last.down, reason: last.reason || null }
+    : null;
+
+  return {
+    uptimePercent: observedMs > 0 ? Math.round((upMs / observedMs) * 10000) / 100 : 100,
+    windowStart: iso(windowStart),
+    upMs,
+    downMs: observedMs - upMs,
+    gaps: gaps.reverse().slice(0, maxGaps),
+    currentGap
+  };
+}
+
+module.exports = {
+  MAX_CONNECTION_INTERVALS,
+  reconnectDelayMs,
+  appendInterval,
+  summarizeConnection
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+
+// Labels shared by every program decoder
+const INSTRUCTION_KINDS = {
+  INITIALIZE_POOL: 'initializePool',
+  ADD_LIQUIDITY: 'addLiquidity',
+  REMOVE_LIQUIDITY: 'removeLiquidity',
+  SWAP: 'swap',
+  OTHER: 'other'
+};
+
+// Anchor discriminator: first 8 bytes of sha256("global:<instruction_name>")
+function anchorDiscriminator(instructionName) {
+  return crypto.createHash('sha256').update(`global:${instructionName}`).digest().subarray(0, 8);
+}
+
+// Build a lookup of discriminator hex -> { name, kind } for an Anchor program
+function buildAnchorTable(instructions) {
+  const table = new Map();
+  for (const [name, kind] of Object.entries(instructions)) {
+    table.set(anchorDiscriminator(name).toString('hex'), { name, kind });
+  }
+  return table;
+}
+
+// Match raw instruction data against an Anchor discriminator table
+function matchAnchor(table, data) {
+  if (!data || data.length < 8) return null;
+  return table.get(data.subarray(0, 8).toString('hex')) || null;
+}
+
+// Decode the base58 `data` field delivered by Helius / RPC into a Buffer
+function decodeInstructionData(data) {
+  if (!data || typeof data !== 'string') return null;
+  try {
+    return Buffer.from(bs58.decode(data));
+  } catch (error) {
+    return null;
+  }
+}
+
+// True for a base58 string that decodes to a 32-byte public key (mints, pools, wallets)
+function isValidAddress(address) {
+  if (typeof address !== 'string' || address.length < 32 || address.length > 44) return false;
+  try {
+    return bs58.decode(address).length === 32;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Little-endian readers that return null instead of throwing on short data
+function readU8(data, offset) {
+  return data.length >= offset + 1 ? data.readUInt8(offset) : null;
+}
+
+function readU16(data, offset) {
+  return data.length >= offset + 2 ? data.readUInt16LE(offset) : null;
+}
+
+function readI32(data, offset) {
+  return data.length >= offset + 4 ? data.readInt32LE(offset) : null;
+}
+
+// u64/u128 values are returned as strings so they survive JSON serialization
+function readU64(data, offset) {
+  return data.length >= offset + 8 ? data.readBigUInt64LE(offset).toString() : null;
+}
+
+function readU128(data, offset) {
+  if (data.length < offset + 16) return null;
+  const low = data.readBigUInt64LE(offset);
+  const high = data.readBigUInt64LE(offset + 8);
+  return ((high << 64n) + low).toString();
+}
+
+module.exports = {
+  INSTRUCTION_KINDS,
+  anchorDiscriminator,
+  buildAnchorTable,
+  matchAnchor,
+  decodeInstructionData,
+  isValidAddress,
+  readU8,
+  readU16,
+  readI32,
+  readU64,
+  readU128
+};
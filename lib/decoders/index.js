@@ -0,0 +1,88 @@
+const { INSTRUCTION_KINDS, decodeInstructionData, isValidAddress } = require('./common');
+
+const DECODERS = [
+  require('./raydium-amm-v4'),
+  require('./raydium-cp-swap'),
+  require('./raydium-clmm'),
+  require('./orca-whirlpools'),
+  require('./orca-token-swap-v2'),
+  require('./meteora-dlmm'),
+  require('./pumpfun'),
+  require('./pumpswap')
+];
+
+const decodersByProgramId = new Map(DECODERS.map(decoder => [decoder.programId, decoder]));
+
+// Decode a raw instruction ({ programId, accounts, data }) into a labelled instruction
+// Returns null for unmonitored programs and unrecognised instruction data
+function decodeInstruction(instruction) {
+  const decoder = decodersByProgramId.get(instruction.programId);
+  if (!decoder) return null;
+
+  const data = decodeInstructionData(instruction.data);
+  if (!data || data.length === 0) return null;
+
+  const decoded = decoder.decode(data);
+  if (!decoded) return null;
+
+  return {
+    program: decoder.name,
+    programId: decoder.programId,
+    ...decoded
+  };
+}
+
+// Map a decoded pool-creation instruction's accounts onto named pool fields
+// using the program's account layout; fields the layout doesn't cover are null
+function extractPoolAccounts(instruction, decoded) {
+  const pool = {
+    poolAddress: null,
+    tokenMintA: null,
+    tokenMintB: null,
+    lpMint: null,
+    tokenVaultA: null,
+    tokenVaultB: null,
+    creator: null,
+    ammConfig: null,
+    feeTier: null,
+    marketId: null
+  };
+
+  const decoder = decodersByProgramId.get(decoded.programId);
+  const layout = decoder && decoder.accountLayouts[decoded.name];
+  if (!layout) return pool;
+
+  const accounts = instruction.accounts || [];
+  for (const [field, index] of Object.entries(layout)) {
+    pool[field] = accounts[index] || null;
+  }
+  return pool;
+}
+
+// Pool parameters carried in the instruction data (fee, tick spacing, bin step)
+function extractPoolParams(decoded) {
+  const args = decoded.args || {};
+  const params = {
+    feeBps: null,
+    tickSpacing: args.tickSpacing ?? null,
+    binStep: args.binStep ?? null
+  };
+
+  if (args.tradeFeeNumerator && args.tradeFeeDenominator && args.tradeFeeDenominator !== '0') {
+    const tradeFee = Number(args.tradeFeeNumerator) / Number(args.tradeFeeDenominator);
+    const ownerFee = args.ownerTradeFeeDenominator && args.ownerTradeFeeDenominator !== '0'
+      ? Number(args.ownerTradeFeeNumerator) / Number(args.ownerTradeFeeDenominator)
+      : 0;
+    params.feeBps = Math.round((tradeFee + ownerFee) * 10000 * 100) / 100;
+  }
+
+  return params;
+}
+
+module.exports = {
+  INSTRUCTION_KINDS,
+  decodeInstruction,
+  extractPoolAccounts,
+  extractPoolParams,
+  isValidAddress
+};
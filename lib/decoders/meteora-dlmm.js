@@ -0,0 +1,90 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor, readU16, readI32 } = require('./common');
+
+const PROGRAM_NAME = 'Meteora DLMM';
+
+const INSTRUCTIONS = buildAnchorTable({
+  initialize_lb_pair: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_lb_pair2: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_permission_lb_pair: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_customizable_permissionless_lb_pair: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_customizable_permissionless_lb_pair2: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  add_liquidity: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity2: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_by_weight: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_by_strategy: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_by_strategy2: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_by_strategy_one_side: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_one_side: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  add_liquidity_one_side_precise: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  remove_liquidity: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  remove_liquidity2: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  remove_all_liquidity: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  remove_liquidity_by_range: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  remove_liquidity_by_range2: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  swap: INSTRUCTION_KINDS.SWAP,
+  swap2: INSTRUCTION_KINDS.SWAP,
+  swap_exact_out: INSTRUCTION_KINDS.SWAP,
+  swap_exact_out2: INSTRUCTION_KINDS.SWAP,
+  swap_with_price_impact: INSTRUCTION_KINDS.SWAP,
+  swap_with_price_impact2: INSTRUCTION_KINDS.SWAP
+});
+
+// Account indexes for pool creation, keyed by instruction name
+const LB_PAIR_LAYOUT = {
+  poolAddress: 0,
+  tokenMintA: 2,
+  tokenMintB: 3,
+  tokenVaultA: 4,
+  tokenVaultB: 5,
+  ammConfig: 7,
+  creator: 8
+};
+
+const CUSTOMIZABLE_LB_PAIR_LAYOUT = {
+  poolAddress: 0,
+  tokenMintA: 2,
+  tokenMintB: 3,
+  tokenVaultA: 4,
+  tokenVaultB: 5,
+  creator: 8
+};
+
+const ACCOUNT_LAYOUTS = {
+  initialize_lb_pair: LB_PAIR_LAYOUT,
+  initialize_lb_pair2: LB_PAIR_LAYOUT,
+  initialize_permission_lb_pair: {
+    poolAddress: 1,
+    tokenMintA: 3,
+    tokenMintB: 4,
+    tokenVaultA: 5,
+    tokenVaultB: 6,
+    creator: 8
+  },
+  initialize_customizable_permissionless_lb_pair: CUSTOMIZABLE_LB_PAIR_LAYOUT,
+  initialize_customizable_permissionless_lb_pair2: CUSTOMIZABLE_LB_PAIR_LAYOUT
+};
+
+function decodeArgs(name, data) {
+  // The *2 variants take the bin step from the preset parameter account instead
+  if (name === 'initialize_lb_pair2' || name === 'initialize_customizable_permissionless_lb_pair2') {
+    return { activeId: readI32(data, 8) };
+  }
+  if (name.startsWith('initialize')) {
+    return { activeId: readI32(data, 8), binStep: readU16(data, 12) };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,53 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, readU8, readU64 } = require('./common');
+
+const PROGRAM_NAME = 'Orca Token-Swap v2';
+
+// SPL token-swap layout: the first byte of data is the instruction tag
+const INSTRUCTIONS = {
+  0: { name: 'initialize', kind: INSTRUCTION_KINDS.INITIALIZE_POOL },
+  1: { name: 'swap', kind: INSTRUCTION_KINDS.SWAP },
+  2: { name: 'depositAllTokenTypes', kind: INSTRUCTION_KINDS.ADD_LIQUIDITY },
+  3: { name: 'withdrawAllTokenTypes', kind: INSTRUCTION_KINDS.REMOVE_LIQUIDITY },
+  4: { name: 'depositSingleTokenTypeExactAmountIn', kind: INSTRUCTION_KINDS.ADD_LIQUIDITY },
+  5: { name: 'withdrawSingleTokenTypeExactAmountOut', kind: INSTRUCTION_KINDS.REMOVE_LIQUIDITY }
+};
+
+// Account indexes for pool creation, keyed by instruction name
+// Token-swap only references the vaults; their mints are resolved from the transaction balances
+const ACCOUNT_LAYOUTS = {
+  initialize: {
+    poolAddress: 0,
+    tokenVaultA: 2,
+    tokenVaultB: 3,
+    lpMint: 4
+  }
+};
+
+function decodeArgs(name, data) {
+  if (name === 'initialize') {
+    // Tag, authority nonce, then the fees struct (four u64 numerator/denominator pairs) and the curve type
+    return {
+      nonce: readU8(data, 1),
+      tradeFeeNumerator: readU64(data, 2),
+      tradeFeeDenominator: readU64(data, 10),
+      ownerTradeFeeNumerator: readU64(data, 18),
+      ownerTradeFeeDenominator: readU64(data, 26),
+      curveType: readU8(data, 66)
+    };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = INSTRUCTIONS[data[0]];
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
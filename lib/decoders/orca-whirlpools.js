@@ -0,0 +1,69 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor, readU8, readU16, readU128 } = require('./common');
+
+const PROGRAM_NAME = 'Orca Whirlpools';
+
+const INSTRUCTIONS = buildAnchorTable({
+  initialize_pool: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_pool_v2: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  increase_liquidity: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  increase_liquidity_v2: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  decrease_liquidity: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  decrease_liquidity_v2: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  swap: INSTRUCTION_KINDS.SWAP,
+  swap_v2: INSTRUCTION_KINDS.SWAP,
+  two_hop_swap: INSTRUCTION_KINDS.SWAP,
+  two_hop_swap_v2: INSTRUCTION_KINDS.SWAP
+});
+
+// Account indexes for pool creation, keyed by instruction name
+const ACCOUNT_LAYOUTS = {
+  initialize_pool: {
+    ammConfig: 0,
+    tokenMintA: 1,
+    tokenMintB: 2,
+    creator: 3,
+    poolAddress: 4,
+    tokenVaultA: 5,
+    tokenVaultB: 6,
+    feeTier: 7
+  },
+  initialize_pool_v2: {
+    ammConfig: 0,
+    tokenMintA: 1,
+    tokenMintB: 2,
+    creator: 5,
+    poolAddress: 6,
+    tokenVaultA: 7,
+    tokenVaultB: 8,
+    feeTier: 9
+  }
+};
+
+function decodeArgs(name, data) {
+  // v1 carries a one-byte WhirlpoolBumps struct ahead of the tick spacing
+  if (name === 'initialize_pool') {
+    return {
+      whirlpoolBump: readU8(data, 8),
+      tickSpacing: readU16(data, 9),
+      initialSqrtPrice: readU128(data, 11)
+    };
+  }
+  if (name === 'initialize_pool_v2') {
+    return { tickSpacing: readU16(data, 8), initialSqrtPrice: readU128(data, 10) };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,31 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor } = require('./common');
+
+const PROGRAM_NAME = 'Pump.fun';
+
+// The bonding curve is not a pool: token creation and migration are labelled
+// as "other", and the PumpSwap create_pool CPI emitted by migrate is what counts
+const INSTRUCTIONS = buildAnchorTable({
+  create: INSTRUCTION_KINDS.OTHER,
+  create_v2: INSTRUCTION_KINDS.OTHER,
+  migrate: INSTRUCTION_KINDS.OTHER,
+  buy: INSTRUCTION_KINDS.SWAP,
+  buy_exact_sol_in: INSTRUCTION_KINDS.SWAP,
+  sell: INSTRUCTION_KINDS.SWAP
+});
+
+// The bonding curve creates no pool accounts of its own
+const ACCOUNT_LAYOUTS = {};
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: {} };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,51 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor, readU16, readU64 } = require('./common');
+
+const PROGRAM_NAME = 'PumpSwap AMM';
+
+const INSTRUCTIONS = buildAnchorTable({
+  create_pool: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  deposit: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  withdraw: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  buy: INSTRUCTION_KINDS.SWAP,
+  buy_exact_quote_in: INSTRUCTION_KINDS.SWAP,
+  sell: INSTRUCTION_KINDS.SWAP
+});
+
+// Account indexes for pool creation, keyed by instruction name
+const ACCOUNT_LAYOUTS = {
+  create_pool: {
+    poolAddress: 0,
+    ammConfig: 1,
+    creator: 2,
+    tokenMintA: 3,
+    tokenMintB: 4,
+    lpMint: 5,
+    tokenVaultA: 9,
+    tokenVaultB: 10
+  }
+};
+
+function decodeArgs(name, data) {
+  if (name === 'create_pool') {
+    return {
+      index: readU16(data, 8),
+      baseAmountIn: readU64(data, 10),
+      quoteAmountIn: readU64(data, 18)
+    };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,70 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, readU8, readU64 } = require('./common');
+
+const PROGRAM_NAME = 'Raydium AMM v4';
+
+// AMM v4 is a native program: the first byte of data is the instruction tag
+const INSTRUCTIONS = {
+  0: { name: 'initialize', kind: INSTRUCTION_KINDS.INITIALIZE_POOL },
+  1: { name: 'initialize2', kind: INSTRUCTION_KINDS.INITIALIZE_POOL },
+  3: { name: 'deposit', kind: INSTRUCTION_KINDS.ADD_LIQUIDITY },
+  4: { name: 'withdraw', kind: INSTRUCTION_KINDS.REMOVE_LIQUIDITY },
+  9: { name: 'swapBaseIn', kind: INSTRUCTION_KINDS.SWAP },
+  11: { name: 'swapBaseOut', kind: INSTRUCTION_KINDS.SWAP },
+  16: { name: 'swapBaseInV2', kind: INSTRUCTION_KINDS.SWAP },
+  17: { name: 'swapBaseOutV2', kind: INSTRUCTION_KINDS.SWAP }
+};
+
+// Account indexes for pool creation, keyed by instruction name
+// initialize2 is what the Raydium SDK and pump.fun migrations emit today
+const ACCOUNT_LAYOUTS = {
+  initialize: {
+    poolAddress: 3,
+    lpMint: 6,
+    tokenMintA: 7,
+    tokenMintB: 8,
+    tokenVaultA: 9,
+    tokenVaultB: 10,
+    marketId: 16,
+    creator: 17
+  },
+  initialize2: {
+    poolAddress: 4,
+    lpMint: 7,
+    tokenMintA: 8,
+    tokenMintB: 9,
+    tokenVaultA: 10,
+    tokenVaultB: 11,
+    ammConfig: 13,
+    marketId: 16,
+    creator: 17
+  }
+};
+
+function decodeArgs(name, data) {
+  if (name === 'initialize') {
+    return { nonce: readU8(data, 1), openTime: readU64(data, 2) };
+  }
+  if (name === 'initialize2') {
+    return {
+      nonce: readU8(data, 1),
+      openTime: readU64(data, 2),
+      initPcAmount: readU64(data, 10),
+      initCoinAmount: readU64(data, 18)
+    };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = INSTRUCTIONS[data[0]];
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
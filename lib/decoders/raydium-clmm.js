@@ -0,0 +1,52 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor, readU64, readU128 } = require('./common');
+
+const PROGRAM_NAME = 'Raydium CLMM';
+
+const INSTRUCTIONS = buildAnchorTable({
+  create_pool: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  open_position: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  open_position_v2: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  open_position_with_token22_nft: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  increase_liquidity: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  increase_liquidity_v2: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  decrease_liquidity: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  decrease_liquidity_v2: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  swap: INSTRUCTION_KINDS.SWAP,
+  swap_v2: INSTRUCTION_KINDS.SWAP,
+  swap_router_base_in: INSTRUCTION_KINDS.SWAP
+});
+
+// Account indexes for pool creation, keyed by instruction name
+// The fee tier lives on the amm config account; CLMM positions are NFTs so there is no LP mint
+const ACCOUNT_LAYOUTS = {
+  create_pool: {
+    creator: 0,
+    ammConfig: 1,
+    poolAddress: 2,
+    tokenMintA: 3,
+    tokenMintB: 4,
+    tokenVaultA: 5,
+    tokenVaultB: 6
+  }
+};
+
+function decodeArgs(name, data) {
+  if (name === 'create_pool') {
+    return { sqrtPriceX64: readU128(data, 8), openTime: readU64(data, 24) };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,62 @@
+const { PROGRAM_IDS } = require('../programs');
+const { INSTRUCTION_KINDS, buildAnchorTable, matchAnchor, readU64 } = require('./common');
+
+const PROGRAM_NAME = 'Raydium CP-Swap';
+
+const INSTRUCTIONS = buildAnchorTable({
+  initialize: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  initialize_with_permission: INSTRUCTION_KINDS.INITIALIZE_POOL,
+  deposit: INSTRUCTION_KINDS.ADD_LIQUIDITY,
+  withdraw: INSTRUCTION_KINDS.REMOVE_LIQUIDITY,
+  swap_base_input: INSTRUCTION_KINDS.SWAP,
+  swap_base_output: INSTRUCTION_KINDS.SWAP
+});
+
+// Account indexes for pool creation, keyed by instruction name
+const ACCOUNT_LAYOUTS = {
+  initialize: {
+    creator: 0,
+    ammConfig: 1,
+    poolAddress: 3,
+    tokenMintA: 4,
+    tokenMintB: 5,
+    lpMint: 6,
+    tokenVaultA: 10,
+    tokenVaultB: 11
+  },
+  // Permissioned creation: a separate payer signs first, so every account shifts by one
+  initialize_with_permission: {
+    creator: 1,
+    ammConfig: 2,
+    poolAddress: 4,
+    tokenMintA: 5,
+    tokenMintB: 6,
+    lpMint: 7,
+    tokenVaultA: 11,
+    tokenVaultB: 12
+  }
+};
+
+function decodeArgs(name, data) {
+  if (name === 'initialize' || name === 'initialize_with_permission') {
+    return {
+      initAmount0: readU64(data, 8),
+      initAmount1: readU64(data, 16),
+      openTime: readU64(data, 24)
+    };
+  }
+  return {};
+}
+
+function decode(data) {
+  const instruction = matchAnchor(INSTRUCTIONS, data);
+  if (!instruction) return null;
+  return { ...instruction, args: decodeArgs(instruction.name, data) };
+}
+
+module.exports = {
+  name: PROGRAM_NAME,
+  programId: PROGRAM_IDS[PROGRAM_NAME],
+  decode,
+  accountLayouts: ACCOUNT_LAYOUTS
+};
@@ -0,0 +1,206 @@
+// Creator ("dev") wallet index and reputation for pump.fun launches, built from our own events:
+// every create on the PumpPortal feed is recorded under its creator, graduations mark the
+// launch as graduated, and the creator selling a token after it graduated is a dev sell.
+// Shared by server.js (SQLite wallets table) and the PumpPortalTracker Durable Object
+// (`wallet:<address>` keys); like lib/backfill.js, chain lookups go through `rpc(method, params)`.
+const bs58 = require('bs58').default;
+const { PROGRAM_IDS } = require('./programs');
+const { normalizeRpcTransaction } = require('./ingestion/rpc-transaction');
+const { flattenInstructions } = require('./ingestion/normalize');
+const { readPumpSwapPool } = require('./token-safety');
+
+// Most recent launches kept per wallet
+const MAX_LAUNCHES_PER_WALLET = 100;
+
+// sha256("global:create") / sha256("global:create_v2") [0..8] - Pump.fun's token creation instructions
+const CREATE_DISCRIMINATORS = [
+  [0x18, 0x1e, 0xc8, 0x28, 0x05, 0x1c, 0x07, 0x77],
+  [0xd6, 0x90, 0x4c, 0xec, 0x5f, 0x8b, 0x31, 0xb4]
+];
+
+const SIGNATURE_PAGE_SIZE = 1000;
+
+// DEV_RPC_URL falls back to the caller's RPC endpoint; without one, creators come from create events only
+function devWalletConfigFromEnv(env, fallbackRpcUrl = null) {
+  return {
+    enabled: env.DEV_PROFILING !== 'false',
+    rpcUrl: env.DEV_RPC_URL || fallbackRpcUrl || null,
+    // Creators are watched for sells this long after each graduation
+    watchMs: parseInt(env.DEV_WATCH_MS || String(24 * 60 * 60 * 1000), 10),
+    // Signature pages searched for a mint's create transaction (1000 each); busier tokens are skipped
+    maxSignaturePages: parseInt(env.DEV_MAX_SIGNATURE_PAGES || '3', 10)
+  };
+}
+
+const iso = time => new Date(time).toISOString();
+
+function createWallet(address, now = Date.now()) {
+  return { address, firstSeenAt: iso(now), lastSeenAt: iso(now), launches: [] };
+}
+
+// Launches are kept newest first; the oldest are dropped past MAX_LAUNCHES_PER_WALLET
+function upsertLaunch(wallet, mint) {
+  let launch = wallet.launches.find(entry => entry.mint === mint);
+  if (!launch) {
+    launch = { mint, name: null, symbol: null, createdAt: null, graduatedAt: null, devSoldAt: null, devSellSol: 0 };
+    wallet.launches = [launch, ...wallet.launches].slice(0, MAX_LAUNCHES_PER_WALLET);
+  }
+  return launch;
+}
+
+// A PumpPortal create event (traderPublicKey is the creator)
+function recordLaunch(wallet, message, now = Date.now()) {
+  const launch = upsertLaunch(wallet, message.mint);
+  launch.name = message.name || launch.name;
+  launch.symbol = message.symbol || launch.symbol;
+  launch.createdAt = launch.createdAt || iso(now);
+  wallet.lastSeenAt = iso(now);
+  return wallet;
+}
+
+function recordGraduation(wallet, graduate, now = Date.now()) {
+  const launch = upsertLaunch(wallet, graduate.mint);
+  launch.name = launch.name || graduate.name || null;
+  launch.symbol = launch.symbol || graduate.symbol || null;
+  launch.graduatedAt = launch.graduatedAt || graduate.graduatedAt || iso(now);
+  wallet.lastSeenAt = iso(now);
+  return wallet;
+}
+
+// A sell by the creator; only counts once the launch has graduated. Returns true when recorded.
+function recordDevSell(wallet, mint, { solAmount = 0 } = {}, now = Date.now()) {
+  const launch = wallet.launches.find(entry => entry.mint === mint);
+  if (!launch || !launch.graduatedAt || now < new Date(launch.graduatedAt).getTime()) return false;
+  launch.devSoldAt = launch.devSoldAt || iso(now);
+  launch.devSellSol = Math.round((launch.devSellSol + (parseFloat(solAmount) || 0)) * 10000) / 10000;
+  wallet.lastSeenAt = iso(now);
+  return true;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function compactUsd(value) {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${Math.round(value / 1e3)}k`;
+  return `$${Math.round(value)}`;
+}
+
+// Reputation of the creator of `mint` from their other launches. lookupGraduate(mint) returns a
+// stored graduate (for the current market cap of earlier graduations) or null.
+//   new - first launch we've seen; good - graduated before and never sold after graduating;
+//   bad - sold after at least half their graduations, or 10+ launches and none graduated
+function devProfile(wallet, mint, lookupGraduate = () => null) {
+  const previous = wallet.launches.filter(launch => launch.mint !== mint);
+  const graduated = previous.filter(launch => launch.graduatedAt);
+  const sold = graduated.filter(launch => launch.devSoldAt).length;
+  const marketCaps = graduated
+    .map(launch => parseFloat((lookupGraduate(launch.mint) || {}).marketCap))
+    .filter(value => Number.isFinite(value) && value > 0);
+  const current = wallet.launches.find(launch => launch.mint === mint);
+
+  let reputation = 'mixed';
+  if (previous.length === 0) reputation = 'new';
+  else if ((graduated.length > 0 && sold / graduated.length >= 0.5) || (previous.length >= 10 && graduated.length === 0)) reputation = 'bad';
+  else if (graduated.length > 0 && sold === 0) reputation = 'good';
+
+  const parts = previous.length === 0
+    ? ['First launch seen']
+    : [`${previous.length} prior launch${previous.length === 1 ? '' : 'es'}`, `${graduated.length} graduated`];
+  if (graduated.length > 0) parts.push(`sold after ${sold}/${graduated.length}`);
+  if (marketCaps.length > 0) parts.push(`best MC ${compactUsd(Math.max(...marketCaps))}`);
+
+  return {
+    address: wallet.address,
+    firstSeenAt: wallet.firstSeenAt,
+    launches: previous.length,
+    graduated: graduated.length,
+    graduationRate: previous.length > 0 ? Math.round((graduated.length / previous.length) * 100) : null,
+    soldAfterGraduation: sold,
+    bestMarketCap: marketCaps.length > 0 ? Math.max(...marketCaps) : null,
+    medianMarketCap: median(marketCaps),
+    reputation,
+    summary: parts.join(' · '),
+    // This token: the creator sold after it graduated (updated while the creator is watched)
+    soldThis: Boolean(current && current.devSoldAt),
+    soldThisAt: current ? current.devSoldAt : null
+  };
+}
+
+function isCreate(data) {
+  let bytes;
+  try {
+    bytes = bs58.decode(data || '');
+  } catch (error) {
+    return false;
+  }
+  return CREATE_DISCRIMINATORS.some(discriminator => discriminator.every((byte, index) => bytes[index] === byte));
+}
+
+// The wallet that launched a token: the fee payer of its Pump.fun create transaction
+function creatorFromTransaction(tx) {
+  if (!tx || tx.transactionError) return null;
+  const create = flattenInstructions(tx).find(instruction =>
+    instruction.programId === PROGRAM_IDS['Pump.fun'] && isCreate(instruction.data)
+  );
+  return create ? tx.feePayer : null;
+}
+
+// Creator of a graduated token from the chain: the PumpSwap pool's coin_creator when set,
+// otherwise the mint's oldest transaction (its create), searched over at most maxSignaturePages.
+// Returns { address, source } or null.
+async function findCreator(rpc, { mint, pool = null, maxSignaturePages = 3 }) {
+  if (pool) {
+    const poolAccount = await readPumpSwapPool(rpc, pool);
+    if (poolAccount && poolAccount.coinCreator) return { address: poolAccount.coinCreator, source: 'pool' };
+  }
+
+  let before;
+  for (let page = 0; page < maxSignaturePages; page++) {
+    const signatures = await rpc('getSignaturesForAddress', [mint, { limit: SIGNATURE_PAGE_SIZE, before, commitment: 'confirmed' }]);
+    if (!signatures || signatures.length === 0) return null;
+
+    const oldest = signatures[signatures.length - 1].signature;
+    if (signatures.length < SIGNATURE_PAGE_SIZE) {
+      const result = await rpc('getTransaction', [oldest, { encoding: 'json', commitment: 'confirmed', maxSupportedTransactionVersion: 0 }]);
+      const address = creatorFromTransaction(normalizeRpcTransaction(result, oldest));
+      return address ? { address, source: 'create-tx' } : null;
+    }
+    before = oldest;
+  }
+  return null;
+}
+
+// Creators of graduates still inside the post-graduation watch window (subscribeAccountTrade keys)
+function watchedCreators(graduates, watchMs, now = Date.now()) {
+  const creators = new Set();
+  for (const graduate of graduates) {
+    const graduatedAt = new Date(graduate.graduatedAt).getTime();
+    if (graduate.dev && graduate.dev.address && now - graduatedAt < watchMs) creators.add(graduate.dev.address);
+  }
+  return [...creators];
+}
+
+// Whether a wallet can be forgotten: idle past retentionMs and never graduated a token
+function isStaleWallet(wallet, retentionMs, now = Date.now()) {
+  return now - new Date(wallet.lastSeenAt).getTime() > retentionMs &&
+    !wallet.launches.some(launch => launch.graduatedAt);
+}
+
+module.exports = {
+  MAX_LAUNCHES_PER_WALLET,
+  devWalletConfigFromEnv,
+  createWallet,
+  recordLaunch,
+  recordGraduation,
+  recordDevSell,
+  devProfile,
+  creatorFromTransaction,
+  findCreator,
+  watchedCreators,
+  isStaleWallet
+};
@@ -0,0 +1,108 @@
+// Server-side refresh schedule for graduates' Dexscreener trading data (PumpPortalTracker alarm).
+// Fresh graduates move fastest, so they're refreshed often and the interval decays with age:
+// every minute for the first hour, every 15 minutes for the first day, then hourly for a week.
+// Graduates on the watchlist (lib/watchlist.js) keep being refreshed every 15 minutes after that.
+// Each graduate is due `interval` after its own last refresh, which keeps the requests
+// staggered across alarms instead of refreshing every token at once.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const REFRESH_SCHEDULE = [
+  { maxAgeMs: HOUR, intervalMs: MINUTE },
+  { maxAgeMs: 24 * HOUR, intervalMs: 15 * MINUTE },
+  { maxAgeMs: 7 * 24 * HOUR, intervalMs: HOUR }
+];
+const WATCHED_INTERVAL_MS = 15 * MINUTE;
+
+// Dexscreener's /latest/dex/tokens endpoint takes up to 30 comma-separated addresses
+const DEXSCREENER_BATCH_SIZE = 30;
+
+function graduatedAtMs(graduate) {
+  const time = new Date(graduate.graduatedAt || graduate.timestamp).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Refresh interval for a graduate of the given age, null once it's past the schedule
+function refreshIntervalMs(ageMs) {
+  const tier = REFRESH_SCHEDULE.find(entry => ageMs < entry.maxAgeMs);
+  return tier ? tier.intervalMs : null;
+}
+
+// When the graduate should next be refreshed, null when it's no longer refreshed
+function nextRefreshAt(graduate, now = Date.now(), watched = false) {
+  const graduatedAt = graduatedAtMs(graduate);
+  if (graduatedAt === null) return null;
+
+  const interval = refreshIntervalMs(now - graduatedAt) || (watched ? WATCHED_INTERVAL_MS : null);
+  if (interval === null) return null;
+
+  const lastRefresh = graduate.refreshedAt ? new Date(graduate.refreshedAt).getTime() : graduatedAt;
+  return lastRefresh + interval;
+}
+
+// Graduates whose refresh is due, most overdue first (watchedMints: Set of watchlist mints)
+function dueGraduates(graduates, now = Date.now(), limit = Infinity, watchedMints = new Set()) {
+  return graduates
+    .map(graduate => ({ graduate, dueAt: nextRefreshAt(graduate, now, watchedMints.has(graduate.mint)) }))
+    .filter(entry => entry.dueAt !== null && entry.dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .slice(0, limit)
+    .map(entry => entry.graduate);
+}
+
+// Earliest upcoming refresh across all graduates, null when none are on the schedule
+function earliestRefreshAt(graduates, now = Date.now(), watchedMints = new Set()) {
+  let earliest = null;
+  for (const graduate of graduates) {
+    const dueAt = nextRefreshAt(graduate, now, watchedMints.has(graduate.mint));
+    if (dueAt !== null && (earliest === null || dueAt < earliest)) earliest = dueAt;
+  }
+  return earliest;
+}
+
+// Graduated pair for each mint in a Dexscreener response (first non-pump.fun pair, like the dashboard)
+function pairsByMint(pairs) {
+  const byMint = new Map();
+  for (const pair of pairs || []) {
+    const mint = pair.baseToken && pair.baseToken.address;
+    if (!mint) continue;
+    const current = byMint.get(mint);
+    if (!current || (current.dexId === 'pumpfun' && pair.dexId !== 'pumpfun')) byMint.set(mint, pair);
+  }
+  return byMint;
+}
+
+// Graduate fields taken from a Dexscreener pair, in the shape /update-graduates accepts.
+// Metadata only overwrites what's stored when Dexscreener has a value.
+function tradingDataFromPair(pair, graduate) {
+  const image = pair.baseToken?.image || pair.info?.imageUrl || pair.info?.image || pair.baseToken?.logoURI || null;
+
+  return {
+    priceUsd: parseFloat(pair.priceUsd) || 0,
+    marketCap: pair.marketCap || 0,
+    liquidityUsd: pair.liquidity?.usd || graduate.liquidityUsd || null,
+    volume1h: pair.volume?.h1 || null,
+    volume24h: pair.volume?.h24 || null,
+    txns1h: pair.txns?.h1 || null,
+    txns24h: pair.txns?.h24 || null,
+    priceChange1h: pair.priceChange?.h1 || null,
+    priceChange24h: pair.priceChange?.h24 || null,
+    dexscreenerUrl: pair.url || graduate.dexscreenerUrl || null,
+    name: pair.baseToken?.name || graduate.name || null,
+    symbol: pair.baseToken?.symbol || graduate.symbol || null,
+    tokenImage: image || graduate.tokenImage || null
+  };
+}
+
+module.exports = {
+  REFRESH_SCHEDULE,
+  WATCHED_INTERVAL_MS,
+  DEXSCREENER_BATCH_SIZE,
+  refreshIntervalMs,
+  nextRefreshAt,
+  dueGraduates,
+  earliestRefreshAt,
+  pairsByMint,
+  tradingDataFromPair
+};
@@ -0,0 +1,165 @@
+// Validated partial updates for stored graduates (POST /pumpportal/update-graduates).
+// Clients patch Dexscreener-derived fields per mint and send the graduate's version they
+// last saw; a batch is applied all-or-nothing and rejected when any mint changed since.
+//
+//   { "updates": [{ "mint": "...", "version": 3, "changes": { "priceUsd": 0.0012, "marketCap": 120000 } }] }
+
+const MAX_UPDATES_PER_REQUEST = 500;
+
+// Fields a client may patch: trading data plus the Dexscreener link and display metadata.
+// Identity and event fields (mint, graduatedAt, signature, migrationEvent, ...) are server-owned.
+const FIELD_TYPES = {
+  priceUsd: 'amount',
+  priceUsdCurrent: 'amount',
+  marketCap: 'amount',
+  liquidityUsd: 'amount',
+  volume1h: 'amount',
+  volume24h: 'amount',
+  priceChange1h: 'percent',
+  priceChange24h: 'percent',
+  txns1h: 'txns',
+  txns24h: 'txns',
+  dexscreenerUrl: 'url',
+  tokenImage: 'url',
+  name: 'text',
+  symbol: 'text'
+};
+
+// Fields whose changes are recorded as a history snapshot
+const TRADING_FIELDS = ['priceUsd', 'priceUsdCurrent', 'marketCap', 'liquidityUsd', 'volume1h', 'volume24h', 'txns1h', 'txns24h'];
+
+const TEXT_LIMITS = { name: 100, symbol: 32 };
+const MAX_URL_LENGTH = 500;
+
+class GraduateUpdateError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'GraduateUpdateError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// Returns an error message for an invalid value, null when it's acceptable (null clears a field)
+function fieldError(field, value) {
+  const type = FIELD_TYPES[field];
+  if (!type) return 'is not an updatable field';
+  if (value === null) return null;
+
+  switch (type) {
+    case 'amount':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+    case 'percent':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'txns':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        isCount(value.buys) && isCount(value.sells) && Object.keys(value).every(key => key === 'buys' || key === 'sells')
+        ? null
+        : 'must be { buys, sells } with non-negative integers';
+    case 'url':
+      return typeof value === 'string' && value.length <= MAX_URL_LENGTH && /^https:\/\/[^\s]+$/.test(value)
+        ? null
+        : `must be an https URL of at most ${MAX_URL_LENGTH} characters`;
+    case 'text':
+      return typeof value === 'string' && value.length <= TEXT_LIMITS[field]
+        ? null
+        : `must be a string of at most ${TEXT_LIMITS[field]} characters`;
+    default:
+      return 'has an unknown type';
+  }
+}
+
+// Schema-check a request body; throws GraduateUpdateError listing every problem found
+function parseGraduateUpdates(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.updates)) {
+    throw new GraduateUpdateError('Expected { "updates": [{ "mint", "version", "changes" }] }');
+  }
+  if (body.updates.length > MAX_UPDATES_PER_REQUEST) {
+    throw new GraduateUpdateError(`At most ${MAX_UPDATES_PER_REQUEST} updates per request`);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const updates = body.updates.map((update, index) => {
+    const where = update && typeof update.mint === 'string' ? update.mint : `updates[${index}]`;
+    if (!update || typeof update !== 'object' || typeof update.mint !== 'string' || !update.mint) {
+      errors.push({ mint: where, error: 'mint must be a non-empty string' });
+      return null;
+    }
+    if (seen.has(update.mint)) {
+      errors.push({ mint: where, error: 'mint appears more than once' });
+    }
+    seen.add(update.mint);
+
+    if (!isCount(update.version)) {
+      errors.push({ mint: where, error: 'version must be a non-negative integer' });
+    }
+    if (!update.changes || typeof update.changes !== 'object' || Array.isArray(update.changes)) {
+      errors.push({ mint: where, error: 'changes must be an object' });
+      return null;
+    }
+    for (const [field, value] of Object.entries(update.changes)) {
+      const error = fieldError(field, value);
+      if (error) errors.push({ mint: where, field, error: `${field} ${error}` });
+    }
+    return { mint: update.mint, version: update.version, changes: update.changes };
+  });
+
+  if (errors.length > 0) {
+    throw new GraduateUpdateError('Invalid graduate updates', 400, errors);
+  }
+  return updates;
+}
+
+// Graduates stored before versioning count as version 0
+function graduateVersion(graduate) {
+  return graduate.version || 0;
+}
+
+// Check every update against the stored graduates: unknown mints -> 404, stale versions -> 409
+function planGraduateUpdates(updates, graduates) {
+  const byMint = new Map(graduates.map(graduate => [graduate.mint, graduate]));
+
+  const unknownMints = updates.filter(update => !byMint.has(update.mint)).map(update => update.mint);
+  if (unknownMints.length > 0) {
+    throw new GraduateUpdateError('Unknown mints', 404, unknownMints);
+  }
+
+  const conflicts = updates
+    .filter(update => graduateVersion(byMint.get(update.mint)) !== update.version)
+    .map(update => ({
+      mint: update.mint,
+      expectedVersion: update.version,
+      currentVersion: graduateVersion(byMint.get(update.mint)),
+      graduate: byMint.get(update.mint)
+    }));
+  if (conflicts.length > 0) {
+    throw new GraduateUpdateError('Version conflict - graduates changed since they were loaded', 409, conflicts);
+  }
+
+  return updates.map(update => ({ graduate: byMint.get(update.mint), changes: update.changes }));
+}
+
+// Field-level diff of a patch: { field: { from, to } } for values that actually change
+function diffChanges(graduate, changes) {
+  const diff = {};
+  for (const [field, value] of Object.entries(changes)) {
+    const current = graduate[field] === undefined ? null : graduate[field];
+    if (JSON.stringify(current) !== JSON.stringify(value)) {
+      diff[field] = { from: current, to: value };
+    }
+  }
+  return diff;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  TRADING_FIELDS,
+  GraduateUpdateError,
+  parseGraduateUpdates,
+  planGraduateUpdates,
+  diffChanges,
+  graduateVersion
+};
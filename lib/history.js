@@ -0,0 +1,117 @@
+// Price / market cap time series for graduated tokens, built from the enrichment
+// snapshots saved on every Dexscreener refresh, plus post-graduation performance metrics.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Return horizons measured from graduation
+const HORIZONS = {
+  '5m': 5 * MINUTE,
+  '1h': HOUR,
+  '24h': 24 * HOUR
+};
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function toTime(value) {
+  if (value === null || value === undefined) return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Normalise stored snapshots into time-ordered points
+// (shared with the worker, which stores the same snapshot fields in Durable Object storage)
+function buildSeries(snapshots) {
+  return snapshots
+    .map(snapshot => ({
+      time: toTime(snapshot.recordedAt),
+      priceUsd: toNumber(snapshot.priceUsdCurrent ?? snapshot.priceUsd),
+      marketCap: toNumber(snapshot.marketCap),
+      liquidityUsd: toNumber(snapshot.liquidityUsd),
+      volume1h: toNumber(snapshot.volume1h),
+      volume24h: toNumber(snapshot.volume24h),
+      buys1h: snapshot.txns1h ? Number(snapshot.txns1h.buys) || 0 : null,
+      sells1h: snapshot.txns1h ? Number(snapshot.txns1h.sells) || 0 : null
+    }))
+    .filter(point => point.time !== null && (point.priceUsd !== null || point.marketCap !== null))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Value of a field at a point in time, linearly interpolated between the surrounding
+// snapshots; null when the time falls outside the recorded range
+function valueAt(series, field, time) {
+  const points = series.filter(point => point[field] !== null);
+  if (points.length === 0) return null;
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point.time === time) return point[field];
+    if (point.time > time) {
+      if (i === 0) return null;
+      const previous = points[i - 1];
+      const ratio = (time - previous.time) / (point.time - previous.time);
+      return previous[field] + (point[field] - previous[field]) * ratio;
+    }
+  }
+  return null;
+}
+
+function percentChange(from, to) {
+  if (from === null || to === null || from === 0) return null;
+  return ((to - from) / from) * 100;
+}
+
+// Peak, time to peak, drawdowns and returns at each horizon for one graduate.
+// Returns are price based, falling back to market cap when prices are missing.
+function computeMetrics(graduate, series) {
+  const graduatedAt = toTime(graduate.graduatedAt || graduate.timestamp);
+  const field = series.some(point => point.priceUsd !== null) ? 'priceUsd' : 'marketCap';
+  const first = series.find(point => point[field] !== null) || null;
+  const latest = [...series].reverse().find(point => point[field] !== null) || null;
+
+  // Baseline is the value at graduation, or the first snapshot when graduation predates the series
+  const baseTime = graduatedAt !== null && first && graduatedAt > first.time ? graduatedAt : first?.time ?? null;
+  const baseValue = baseTime !== null ? valueAt(series, field, baseTime) : null;
+
+  let peak = null;
+  let runningPeak = null;
+  let maxDrawdownPct = null;
+  for (const point of series) {
+    if (point.marketCap === null) continue;
+    if (!peak || point.marketCap > peak.marketCap) peak = point;
+    if (runningPeak === null || point.marketCap > runningPeak) runningPeak = point.marketCap;
+    const drawdown = ((runningPeak - point.marketCap) / runningPeak) * 100;
+    if (maxDrawdownPct === null || drawdown > maxDrawdownPct) maxDrawdownPct = drawdown;
+  }
+  const latestMarketCap = [...series].reverse().find(point => point.marketCap !== null)?.marketCap ?? null;
+
+  const returns = {};
+  for (const [label, offset] of Object.entries(HORIZONS)) {
+    const time = (graduatedAt ?? baseTime) + offset;
+    returns[label] = baseTime === null ? null : percentChange(baseValue, valueAt(series, field, time));
+  }
+
+  return {
+    snapshots: series.length,
+    firstSnapshotAt: series.length > 0 ? new Date(series[0].time).toISOString() : null,
+    lastSnapshotAt: series.length > 0 ? new Date(series[series.length - 1].time).toISOString() : null,
+    returnBasis: field,
+    peakMarketCap: peak ? peak.marketCap : null,
+    peakAt: peak ? new Date(peak.time).toISOString() : null,
+    timeToPeakMs: peak && graduatedAt !== null ? Math.max(0, peak.time - graduatedAt) : null,
+    maxDrawdownPct,
+    currentDrawdownPct: peak && latestMarketCap !== null ? ((peak.marketCap - latestMarketCap) / peak.marketCap) * 100 : null,
+    returnSinceGraduationPct: percentChange(baseValue, latest ? latest[field] : null),
+    returns
+  };
+}
+
+module.exports = {
+  HORIZONS,
+  buildSeries,
+  valueAt,
+  computeMetrics
+};
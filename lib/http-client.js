@@ -0,0 +1,249 @@
+// Outbound HTTP client used by server.js: timeouts, retries with exponential backoff,
+// per-host token-bucket rate limiting and coalescing of identical in-flight GETs.
+// Built on the global fetch (Node 18+), so no shelling out to curl.
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 10000,
+  retries: 3,
+  backoffMs: 500,
+  maxBackoffMs: 10000
+};
+
+// Requests per second and burst size per host; unlisted hosts are not rate limited.
+// Dexscreener allows 300 requests/minute on the token endpoints.
+const DEFAULT_RATE_LIMITS = {
+  'api.dexscreener.com': { ratePerSecond: 5, burst: 5 },
+  'api.telegram.org': { ratePerSecond: 25, burst: 25 },
+  'api.helius.xyz': { ratePerSecond: 10, burst: 10 }
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Structured error for every failed request; code is one of
+// timeout | network | http | parse
+class HttpError extends Error {
+  constructor(message, { code, url, method, status = null, attempts = 1, body = null, cause = null }) {
+    super(message);
+    this.name = 'HttpError';
+    this.code = code;
+    this.url = redactUrl(url);
+    this.method = method;
+    this.status = status;
+    this.attempts = attempts;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      method: this.method,
+      url: this.url,
+      status: this.status,
+      attempts: this.attempts
+    };
+  }
+}
+
+// Strip API keys and bot tokens before URLs end up in logs or error payloads
+function redactUrl(url) {
+  return String(url)
+    .replace(/([?&](?:api-key|api_key|apikey|token)=)[^&]+/gi, '$1***')
+    .replace(/\/bot[^/]+\//, '/bot***/');
+}
+
+class TokenBucket {
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = burst || ratePerSecond;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  // Resolves once a token is available; waiters are served in order
+  take() {
+    const next = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.ratePerSecond) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next;
+    return next;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createHttpClient(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+  const rateLimits = { ...DEFAULT_RATE_LIMITS, ...(options.rateLimits || {}) };
+  const buckets = new Map();
+  const inFlight = new Map();
+  const hostStats = new Map();
+
+  function statsFor(host) {
+    if (!hostStats.has(host)) {
+      hostStats.set(host, { requests: 0, failures: 0, retries: 0, rateLimited: 0, coalesced: 0, lastError: null });
+    }
+    return hostStats.get(host);
+  }
+
+  function bucketFor(host) {
+    if (!rateLimits[host]) return null;
+    if (!buckets.has(host)) buckets.set(host, new TokenBucket(rateLimits[host]));
+    return buckets.get(host);
+  }
+
+  function backoffDelay(attempt) {
+    const delay = Math.min(config.maxBackoffMs, config.backoffMs * Math.pow(2, attempt - 1));
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  // One attempt with its own timeout
+  async function attemptFetch(url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetchImpl(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // fetch-compatible: resolves with the final Response (even when not ok) and only
+  // throws HttpError when no response could be obtained. Non-idempotent requests are
+  // only retried on 429 unless requestOptions.idempotent is set.
+  async function send(url, init = {}, requestOptions = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const host = new URL(url).host;
+    const stats = statsFor(host);
+    const retries = requestOptions.retries !== undefined ? requestOptions.retries : config.retries;
+    const timeoutMs = requestOptions.timeoutMs || config.timeoutMs;
+    const idempotent = requestOptions.idempotent !== undefined ? requestOptions.idempotent : IDEMPOTENT_METHODS.includes(method);
+    const bucket = bucketFor(host);
+
+    for (let attempt = 1; ; attempt++) {
+      if (bucket) await bucket.take();
+      stats.requests++;
+
+      let response;
+      try {
+        response = await attemptFetch(url, init, timeoutMs);
+      } catch (error) {
+        const timedOut = error.name === 'AbortError';
+        const httpError = new HttpError(
+          timedOut ? `Request timed out after ${timeoutMs}ms` : `Network error: ${error.cause?.code || error.message}`,
+          { code: timedOut ? 'timeout' : 'network', url, method, attempts: attempt, cause: error }
+        );
+        if (attempt <= retries && idempotent) {
+          stats.retries++;
+          await sleep(backoffDelay(attempt));
+          continue;
+        }
+        stats.failures++;
+        stats.lastError = { ...httpError.toJSON(), at: new Date().toISOString() };
+        throw httpError;
+      }
+
+      if (response.status === 429) stats.rateLimited++;
+      if (isRetryableStatus(response.status) && attempt <= retries && (idempotent || response.status === 429)) {
+        stats.retries++;
+        await sleep(Math.min(config.maxBackoffMs, retryAfterMs(response) ?? backoffDelay(attempt)));
+        continue;
+      }
+
+      if (!response.ok) {
+        stats.failures++;
+        stats.lastError = {
+          code: 'http', method, url: redactUrl(url), status: response.status, attempts: attempt, at: new Date().toISOString()
+        };
+      }
+      return response;
+    }
+  }
+
+  // Request returning the parsed body; non-2xx responses throw HttpError.
+  // Identical GETs already in flight share one upstream request.
+  async function request(url, { method = 'GET', headers = {}, body, responseType = 'json', ...requestOptions } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      if (!Object.keys(init.headers).some(name => name.toLowerCase() === 'content-type')) {
+        init.headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    const run = async () => {
+      const response = await send(url, init, requestOptions);
+      const text = await response.text();
+      if (!response.ok) {
+        throw new HttpError(`HTTP ${response.status} from ${new URL(url).host}`, {
+          code: 'http', url, method, status: response.status, body: text.slice(0, 500)
+        });
+      }
+      if (responseType !== 'json') return text;
+      if (text === '') return null;
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new HttpError('Invalid JSON response', { code: 'parse', url, method, status: response.status, body: text.slice(0, 500) });
+      }
+    };
+
+    if (method !== 'GET') return run();
+
+    const key = `${responseType} ${url}`;
+    if (inFlight.has(key)) {
+      statsFor(new URL(url).host).coalesced++;
+      return inFlight.get(key);
+    }
+    const promise = run().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    fetch: (url, init, requestOptions) => send(String(url), init, requestOptions),
+    request,
+    getJson: (url, requestOptions = {}) => request(url, { ...requestOptions, method: 'GET' }),
+    postJson: (url, body, requestOptions = {}) => request(url, { ...requestOptions, method: 'POST', body }),
+    delete: (url, requestOptions = {}) => request(url, { ...requestOptions, method: 'DELETE' }),
+    stats: () => Object.fromEntries(hostStats)
+  };
+}
+
+module.exports = {
+  HttpError,
+  TokenBucket,
+  createHttpClient,
+  redactUrl,
+  DEFAULT_RATE_LIMITS
+};
@@ -0,0 +1,116 @@
+// Convert Yellowstone / Geyser gRPC transaction updates (as JSON) into the JSON-RPC
+// getTransaction shape, so they go through the same normalisation as RPC and Helius raw payloads.
+// Protobuf bytes fields arrive as base64 strings, byte arrays or serialised Buffers.
+const bs58 = require('bs58').default;
+
+function toBytes(value) {
+  if (value === null || value === undefined) return Buffer.alloc(0);
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  if (value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  return Buffer.from(value);
+}
+
+// Addresses and signatures: base64 is always padded at these lengths, so a string without
+// base64-only characters is already base58
+function toBase58(value) {
+  if (typeof value === 'string' && !/[=+/]/.test(value)) return value;
+  return bs58.encode(toBytes(value));
+}
+
+// Compiled instruction account lists are bytes: one account index per byte
+function toIndexes(value) {
+  return Array.isArray(value) ? value : [...toBytes(value)];
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function convertInstruction(instruction) {
+  return {
+    programIdIndex: instruction.programIdIndex,
+    accounts: toIndexes(instruction.accounts),
+    data: bs58.encode(toBytes(instruction.data)),
+    stackHeight: instruction.stackHeight ?? null
+  };
+}
+
+// Accepts a SubscribeUpdate ({ transaction: { transaction, slot } }), a SubscribeUpdateTransaction
+// ({ transaction, slot }) or the bare transaction info ({ signature, transaction, meta })
+function unwrapGeyserUpdate(payload) {
+  if (payload.transaction && payload.transaction.transaction && payload.transaction.transaction.transaction) {
+    return { info: payload.transaction.transaction, slot: payload.transaction.slot };
+  }
+  if (payload.transaction && payload.transaction.transaction && payload.transaction.meta) {
+    return { info: payload.transaction, slot: payload.slot };
+  }
+  return { info: payload, slot: payload.slot };
+}
+
+// Geyser-specific markers: vote flag, loaded address fields, or byte-encoded keys / account lists
+// (RPC results use base58 strings, jsonParsed { pubkey } objects and index arrays)
+function isGeyserTransaction(payload) {
+  if (!payload || typeof payload !== 'object') return false;
+  const { info } = unwrapGeyserUpdate(payload);
+  const message = info && info.transaction && info.transaction.message;
+  if (!message || !info.meta) return false;
+
+  return 'isVote' in info ||
+    'loadedWritableAddresses' in info.meta ||
+    'loadedReadonlyAddresses' in info.meta ||
+    (message.accountKeys || []).some(key => (typeof key === 'string' ? /[=+/]/.test(key) : !key.pubkey)) ||
+    (message.instructions || []).some(instruction => instruction.accounts !== undefined && !Array.isArray(instruction.accounts));
+}
+
+function geyserToRpcTransaction(payload) {
+  const { info, slot } = unwrapGeyserUpdate(payload);
+  const { transaction, meta } = info;
+  const message = transaction.message;
+  const signatures = (transaction.signatures || []).map(toBase58);
+  const hasLoadedAddresses = 'loadedWritableAddresses' in meta || 'loadedReadonlyAddresses' in meta;
+
+  return {
+    slot: toNumber(slot),
+    blockTime: null, // Geyser updates carry no block time
+    version: message.versioned ? 0 : 'legacy',
+    transaction: {
+      signatures: signatures.length > 0 ? signatures : [toBase58(info.signature)],
+      message: {
+        header: message.header,
+        accountKeys: (message.accountKeys || []).map(toBase58),
+        recentBlockhash: message.recentBlockhash ? toBase58(message.recentBlockhash) : null,
+        instructions: (message.instructions || []).map(convertInstruction),
+        addressTableLookups: (message.addressTableLookups || []).map(lookup => ({
+          accountKey: toBase58(lookup.accountKey),
+          writableIndexes: toIndexes(lookup.writableIndexes),
+          readonlyIndexes: toIndexes(lookup.readonlyIndexes)
+        }))
+      }
+    },
+    meta: {
+      err: meta.err || null,
+      fee: toNumber(meta.fee),
+      preBalances: (meta.preBalances || []).map(toNumber),
+      postBalances: (meta.postBalances || []).map(toNumber),
+      innerInstructions: (meta.innerInstructions || []).map(inner => ({
+        index: inner.index,
+        instructions: (inner.instructions || []).map(convertInstruction)
+      })),
+      logMessages: meta.logMessages || [],
+      preTokenBalances: meta.preTokenBalances || [],
+      postTokenBalances: meta.postTokenBalances || [],
+      // Left out when absent so the lookup tables get resolved instead
+      ...(hasLoadedAddresses ? {
+        loadedAddresses: {
+          writable: (meta.loadedWritableAddresses || []).map(toBase58),
+          readonly: (meta.loadedReadonlyAddresses || []).map(toBase58)
+        }
+      } : {})
+    }
+  };
+}
+
+module.exports = {
+  isGeyserTransaction,
+  geyserToRpcTransaction
+};
@@ -0,0 +1,148 @@
+// Normalise incoming webhook payloads into the Helius enhanced transaction shape that
+// processTransactions in server.js consumes. Accepted formats:
+//   enhanced - Helius enhanced webhooks (instructions with programId / accounts / innerInstructions)
+//   rpc      - Helius raw webhooks and JSON-RPC getTransaction results ("json" or "jsonParsed")
+//   geyser   - Yellowstone / Geyser gRPC transaction updates serialised as JSON
+const { normalizeRpcTransaction, missingLookupTables, parseLookupTableAddresses } = require('./rpc-transaction');
+const { isGeyserTransaction, geyserToRpcTransaction } = require('./geyser-transaction');
+
+const MAX_CACHED_LOOKUP_TABLES = 1000;
+
+function detectFormat(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (isGeyserTransaction(payload)) return 'geyser';
+  if (payload.transaction && payload.transaction.message) return 'rpc';
+  if (typeof payload.signature === 'string' && Array.isArray(payload.instructions)) return 'enhanced';
+  return null;
+}
+
+function normalizeEnhancedTransaction(tx) {
+  return {
+    ...tx,
+    instructions: tx.instructions.map(instruction => ({
+      ...instruction,
+      innerInstructions: instruction.innerInstructions || []
+    })),
+    format: 'enhanced'
+  };
+}
+
+// Addresses a transaction references through the highest index in each lookup table,
+// so a cached table that has since been extended gets refetched
+function lookupTableRequirements(result) {
+  const tables = new Set(missingLookupTables(result));
+  return result.transaction.message.addressTableLookups
+    .filter(lookup => tables.has(lookup.accountKey))
+    .map(lookup => ({
+      address: lookup.accountKey,
+      minEntries: Math.max(-1, ...lookup.writableIndexes, ...lookup.readonlyIndexes) + 1
+    }));
+}
+
+// Cache around fetchAccountData(address) -> Buffer | null (the lookup table account's data)
+function createLookupTableLoader(fetchAccountData) {
+  const cache = new Map();
+
+  return async function loadLookupTable(address, minEntries = 0) {
+    const cached = cache.get(address);
+    if (cached && cached.length >= minEntries) return cached;
+
+    const data = await fetchAccountData(address);
+    if (!data) throw new Error(`Lookup table ${address} not found`);
+
+    const addresses = parseLookupTableAddresses(data);
+    if (cache.size >= MAX_CACHED_LOOKUP_TABLES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(address, addresses);
+    return addresses;
+  };
+}
+
+async function normalizeTransaction(payload, { loadLookupTable = null } = {}) {
+  const format = detectFormat(payload);
+  if (!format) return null;
+  if (format === 'enhanced') return normalizeEnhancedTransaction(payload);
+
+  const result = format === 'geyser' ? geyserToRpcTransaction(payload) : payload;
+  const lookupTables = new Map();
+
+  if (loadLookupTable) {
+    for (const { address, minEntries } of lookupTableRequirements(result)) {
+      try {
+        lookupTables.set(address, await loadLookupTable(address, minEntries));
+      } catch (error) {
+        // Accounts from this table stay null; the transaction is still processed
+        console.log(`⚠️ Failed to resolve lookup table ${address}:`, error.message);
+      }
+    }
+  }
+
+  return normalizeRpcTransaction(result, null, { lookupTables, format });
+}
+
+// Webhook bodies are usually an array, but single-transaction senders (Geyser relays) post one object
+async function normalizeWebhookPayload(body, options = {}) {
+  const payloads = Array.isArray(body) ? body : [body];
+  const transactions = [];
+  let skipped = 0;
+
+  for (const payload of payloads) {
+    const tx = await normalizeTransaction(payload, options);
+    if (tx && tx.signature) {
+      transactions.push(tx);
+    } else {
+      skipped++;
+    }
+  }
+  return { transactions, skipped };
+}
+
+// Top-level instructions followed by each one's inner (CPI) instructions, in execution order.
+// Every entry carries its parent context: outerIndex / innerIndex, stackHeight, the
+// top-level program (outerProgramId) and the program that invoked it (parentProgramId).
+function flattenInstructions(tx) {
+  const flattened = [];
+
+  (tx.instructions || []).forEach((outer, outerIndex) => {
+    flattened.push({
+      programId: outer.programId,
+      accounts: outer.accounts || [],
+      data: outer.data,
+      outerIndex,
+      innerIndex: null,
+      stackHeight: 1,
+      outerProgramId: outer.programId,
+      parentProgramId: null
+    });
+
+    // callers[h - 1] is the program currently executing at stack height h
+    const callers = [outer.programId];
+    (outer.innerInstructions || []).forEach((inner, innerIndex) => {
+      // Helius enhanced payloads omit stack heights; treat those as direct CPIs
+      const stackHeight = inner.stackHeight || 2;
+      flattened.push({
+        programId: inner.programId,
+        accounts: inner.accounts || [],
+        data: inner.data,
+        outerIndex,
+        innerIndex,
+        stackHeight,
+        outerProgramId: outer.programId,
+        parentProgramId: callers[stackHeight - 2] || outer.programId
+      });
+      callers[stackHeight - 1] = inner.programId;
+      callers.length = stackHeight;
+    });
+  });
+
+  return flattened;
+}
+
+module.exports = {
+  detectFormat,
+  normalizeTransaction,
+  normalizeWebhookPayload,
+  flattenInstructions,
+  createLookupTableLoader
+};
@@ -0,0 +1,234 @@
+// Pool detection straight from a Solana JSON-RPC node, as an alternative to Helius webhooks.
+// Subscribes to logsSubscribe (or programSubscribe) for each monitored program, fetches
+// candidate transactions with getTransaction and hands them to onTransaction in the same
+// shape the /webhook loop processes.
+const WebSocket = require('ws');
+const { normalizeRpcTransaction } = require('./rpc-transaction');
+
+// Log lines worth fetching the transaction for: Anchor "Instruction: Initialize*/Create*"
+// and Raydium AMM v4's "initialize2". Everything else (swaps, deposits) is skipped.
+const POOL_LOG_HINT = /Instruction: (Initialize|Create)|initialize2/i;
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+const MAX_KNOWN_ACCOUNTS = 50000;
+const TRANSACTION_FETCH_ATTEMPTS = 3;
+
+class RpcIngestor {
+  // options: { wsUrl, httpUrl, programIds, http, onTransaction, subscription = 'logs',
+  //            commitment = 'confirmed', logFilter = true }
+  constructor(options) {
+    this.wsUrl = options.wsUrl;
+    this.httpUrl = options.httpUrl || options.wsUrl.replace(/^ws/, 'http');
+    this.programIds = options.programIds;
+    this.http = options.http;
+    this.onTransaction = options.onTransaction;
+    this.subscription = options.subscription || 'logs';
+    this.commitment = options.commitment || 'confirmed';
+    this.logFilter = options.logFilter !== false;
+
+    this.ws = null;
+    this.running = false;
+    this.requestId = 0;
+    this.pendingSubscriptions = new Map(); // request id -> program id
+    this.subscriptions = new Map(); // subscription id -> program id
+    this.inFlight = new Set();
+    this.knownAccounts = new Set();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.stats = {
+      connectedAt: null,
+      reconnects: 0,
+      notifications: 0,
+      filtered: 0,
+      transactionsFetched: 0,
+      lastNotificationAt: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close();
+      this.ws = null;
+    }
+    this.subscriptions.clear();
+  }
+
+  status() {
+    return {
+      running: this.running,
+      connected: !!this.ws && this.ws.readyState === WebSocket.OPEN,
+      wsUrl: this.wsUrl.replace(/([?&]api-key=)[^&]+/i, '$1***'),
+      subscription: this.subscription,
+      subscriptions: this.subscriptions.size,
+      ...this.stats
+    };
+  }
+
+  connect() {
+    console.log(`🔗 Connecting to Solana RPC WebSocket (${this.subscription}Subscribe)...`);
+    const ws = new WebSocket(this.wsUrl);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`✅ Connected to Solana RPC - subscribing to ${this.programIds.length} programs`);
+      this.reconnectAttempts = 0;
+      this.stats.connectedAt = new Date().toISOString();
+      this.subscriptions.clear();
+      this.pendingSubscriptions.clear();
+      for (const programId of this.programIds) {
+        this.subscribe(programId);
+      }
+    });
+
+    ws.on('message', data => {
+      try {
+        this.handleMessage(JSON.parse(data.toString()));
+      } catch (error) {
+        console.error('❌ Error processing RPC message:', error.message);
+      }
+    });
+
+    ws.on('error', error => {
+      console.error('❌ Solana RPC WebSocket error:', error.message);
+      this.stats.lastError = { message: error.message, at: new Date().toISOString() };
+    });
+
+    ws.on('close', code => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.subscriptions.clear();
+      if (!this.running) return;
+
+      this.reconnectAttempts++;
+      this.stats.reconnects++;
+      const delay = Math.min(MAX_RECONNECT_DELAY_MS, Math.pow(2, this.reconnectAttempts) * 1000);
+      console.log(`🔌 Solana RPC WebSocket closed (${code}) - reconnecting in ${delay / 1000}s`);
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    });
+  }
+
+  subscribe(programId) {
+    const id = ++this.requestId;
+    this.pendingSubscriptions.set(id, programId);
+
+    const params = this.subscription === 'program'
+      ? [programId, { encoding: 'base64', commitment: this.commitment }]
+      : [{ mentions: [programId] }, { commitment: this.commitment }];
+    this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method: `${this.subscription}Subscribe`, params }));
+  }
+
+  handleMessage(message) {
+    if (message.id !== undefined && this.pendingSubscriptions.has(message.id)) {
+      const programId = this.pendingSubscriptions.get(message.id);
+      this.pendingSubscriptions.delete(message.id);
+      if (message.error) {
+        console.error(`❌ Subscription failed for ${programId}:`, message.error.message);
+        this.stats.lastError = { message: message.error.message, at: new Date().toISOString() };
+      } else {
+        this.subscriptions.set(message.result, programId);
+      }
+      return;
+    }
+
+    if (message.method === 'logsNotification') {
+      this.recordNotification();
+      this.handleLogs(message.params.result.value);
+    } else if (message.method === 'programNotification') {
+      this.recordNotification();
+      this.handleAccount(message.params.result.value.pubkey);
+    }
+  }
+
+  recordNotification() {
+    this.stats.notifications++;
+    this.stats.lastNotificationAt = new Date().toISOString();
+  }
+
+  handleLogs({ signature, err, logs }) {
+    if (err) return; // Failed transactions never create pools
+    if (this.logFilter && !(logs || []).some(line => POOL_LOG_HINT.test(line))) {
+      this.stats.filtered++;
+      return;
+    }
+    this.fetchTransaction(signature);
+  }
+
+  // programSubscribe fires on every account write, so only an account's first-ever write
+  // (a single signature in its history) is treated as a creation
+  async handleAccount(pubkey) {
+    if (this.knownAccounts.has(pubkey)) return;
+    this.rememberAccount(pubkey);
+
+    try {
+      const signatures = await this.rpc('getSignaturesForAddress', [pubkey, { limit: 2, commitment: this.commitment }]);
+      if (signatures && signatures.length === 1 && !signatures[0].err) {
+        await this.fetchTransaction(signatures[0].signature);
+      }
+    } catch (error) {
+      console.log(`⚠️ Failed to look up signatures for ${pubkey}:`, error.message);
+    }
+  }
+
+  rememberAccount(pubkey) {
+    if (this.knownAccounts.size >= MAX_KNOWN_ACCOUNTS) {
+      this.knownAccounts.delete(this.knownAccounts.values().next().value);
+    }
+    this.knownAccounts.add(pubkey);
+  }
+
+  // getTransaction can briefly return null right after a notification, so retry a few times
+  async fetchTransaction(signature) {
+    if (this.inFlight.has(signature)) return;
+    this.inFlight.add(signature);
+
+    try {
+      for (let attempt = 1; attempt <= TRANSACTION_FETCH_ATTEMPTS; attempt++) {
+        const result = await this.rpc('getTransaction', [
+          signature,
+          { encoding: 'json', commitment: this.commitment, maxSupportedTransactionVersion: 0 }
+        ]);
+        if (result) {
+          this.stats.transactionsFetched++;
+          const tx = normalizeRpcTransaction(result, signature);
+          if (tx) await this.onTransaction(tx);
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+      }
+      console.log(`⚠️ Transaction ${signature} not available from RPC`);
+    } catch (error) {
+      console.error(`❌ Failed to fetch transaction ${signature}:`, error.message);
+      this.stats.lastError = { message: error.message, at: new Date().toISOString() };
+    } finally {
+      this.inFlight.delete(signature);
+    }
+  }
+
+  async rpc(method, params) {
+    const response = await this.http.postJson(
+      this.httpUrl,
+      { jsonrpc: '2.0', id: ++this.requestId, method, params },
+      { idempotent: true }
+    );
+    if (response.error) {
+      throw new Error(`RPC ${method} error: ${response.error.message}`);
+    }
+    return response.result;
+  }
+}
+
+module.exports = {
+  RpcIngestor,
+  POOL_LOG_HINT
+};
@@ -0,0 +1,119 @@
+// Normalise a JSON-RPC getTransaction result (encoding "json" or "jsonParsed") into the
+// Helius enhanced transaction shape the webhook loop in server.js processes. Helius "raw"
+// webhooks deliver this same shape.
+const bs58 = require('bs58').default;
+
+// On-chain address lookup table accounts: 56-byte header followed by 32-byte addresses
+const LOOKUP_TABLE_META_SIZE = 56;
+
+// Addresses stored in a lookup table account's data (Buffer)
+function parseLookupTableAddresses(data) {
+  const addresses = [];
+  for (let offset = LOOKUP_TABLE_META_SIZE; offset + 32 <= data.length; offset += 32) {
+    addresses.push(bs58.encode(data.subarray(offset, offset + 32)));
+  }
+  return addresses;
+}
+
+// Lookup tables a v0 transaction references when the payload doesn't carry meta.loadedAddresses
+function missingLookupTables(result) {
+  const message = result && result.transaction && result.transaction.message;
+  if (!message || !message.addressTableLookups || message.addressTableLookups.length === 0) return [];
+  if (result.meta && result.meta.loadedAddresses) return [];
+  return message.addressTableLookups.map(lookup => lookup.accountKey);
+}
+
+// Loaded addresses from meta, or resolved from fetched lookup tables (Map of table -> addresses):
+// every table's writable entries first, then every table's readonly entries
+function loadedAddresses(message, meta, lookupTables) {
+  if (meta && meta.loadedAddresses) return meta.loadedAddresses;
+
+  const loaded = { writable: [], readonly: [] };
+  for (const lookup of message.addressTableLookups || []) {
+    const table = lookupTables && lookupTables.get(lookup.accountKey);
+    if (!table) continue;
+    loaded.writable.push(...lookup.writableIndexes.map(index => table[index]));
+    loaded.readonly.push(...lookup.readonlyIndexes.map(index => table[index]));
+  }
+  return loaded;
+}
+
+// Static account keys followed by the writable and readonly keys loaded from address lookup tables
+function resolveAccountKeys(message, meta, lookupTables = null) {
+  const staticKeys = (message.accountKeys || []).map(key => (typeof key === 'string' ? key : key.pubkey));
+  const loaded = loadedAddresses(message, meta, lookupTables);
+  return [...staticKeys, ...(loaded.writable || []), ...(loaded.readonly || [])];
+}
+
+// Token balance changes grouped per account, like Helius accountData[].tokenBalanceChanges
+function buildAccountData(keys, meta) {
+  if (!meta) return [];
+
+  const accounts = keys.map((account, index) => ({
+    account,
+    nativeBalanceChange: meta.preBalances && meta.postBalances
+      ? (meta.postBalances[index] || 0) - (meta.preBalances[index] || 0)
+      : 0,
+    tokenBalanceChanges: []
+  }));
+
+  const pre = new Map((meta.preTokenBalances || []).map(balance => [balance.accountIndex, balance]));
+  const post = new Map((meta.postTokenBalances || []).map(balance => [balance.accountIndex, balance]));
+  for (const accountIndex of new Set([...pre.keys(), ...post.keys()])) {
+    const before = pre.get(accountIndex);
+    const after = post.get(accountIndex);
+    const balance = after || before;
+    if (!accounts[accountIndex]) continue;
+
+    const decimals = balance.uiTokenAmount ? balance.uiTokenAmount.decimals : 0;
+    const change = BigInt(after?.uiTokenAmount?.amount || '0') - BigInt(before?.uiTokenAmount?.amount || '0');
+    accounts[accountIndex].tokenBalanceChanges.push({
+      userAccount: balance.owner || null,
+      tokenAccount: keys[accountIndex],
+      mint: balance.mint,
+      rawTokenAmount: { tokenAmount: change.toString(), decimals }
+    });
+  }
+  return accounts;
+}
+
+// options.lookupTables: Map of lookup table address -> addresses, for payloads without loadedAddresses
+function normalizeRpcTransaction(result, signature = null, options = {}) {
+  if (!result || !result.transaction || !result.transaction.message) return null;
+
+  const { transaction, meta } = result;
+  const message = transaction.message;
+  const keys = resolveAccountKeys(message, meta, options.lookupTables);
+
+  // jsonParsed instructions already carry addresses; "json" ones carry account indexes
+  const toInstruction = instruction => ({
+    programId: instruction.programId || keys[instruction.programIdIndex],
+    accounts: (instruction.accounts || []).map(account => (typeof account === 'string' ? account : keys[account] ?? null)),
+    data: instruction.data,
+    stackHeight: instruction.stackHeight ?? null
+  });
+
+  const innerByIndex = new Map(((meta && meta.innerInstructions) || []).map(inner => [inner.index, inner.instructions]));
+
+  return {
+    signature: signature || (transaction.signatures && transaction.signatures[0]) || null,
+    slot: result.slot ?? null,
+    timestamp: result.blockTime ?? null,
+    feePayer: keys[0] || null,
+    fee: meta ? meta.fee : null,
+    transactionError: meta ? meta.err : null,
+    instructions: (message.instructions || []).map((instruction, index) => ({
+      ...toInstruction(instruction),
+      innerInstructions: (innerByIndex.get(index) || []).map(toInstruction)
+    })),
+    accountData: buildAccountData(keys, meta),
+    format: options.format || 'rpc'
+  };
+}
+
+module.exports = {
+  normalizeRpcTransaction,
+  resolveAccountKeys,
+  missingLookupTables,
+  parseLookupTableAddresses
+};
@@ -0,0 +1,50 @@
+const { renderTemplate, fieldsWithRules, templateVars } = require('./messages');
+
+function formatDiscord(message, rules) {
+  const embed = {
+    title: `${message.emoji} ${message.title}`,
+    color: 0x7c3aed,
+    fields: fieldsWithRules(message, rules).map(field => ({
+      name: `${field.emoji} ${field.label}`,
+      value: String(field.value),
+      inline: true
+    })),
+    timestamp: new Date().toISOString()
+  };
+  if (message.links.length > 0) {
+    embed.description = message.links.map(link => `[${link.label}](${link.url})`).join(' • ');
+  }
+  if (message.code) {
+    embed.footer = { text: message.code };
+  }
+  return { embeds: [embed] };
+}
+
+// Discord incoming webhook
+function createDiscordNotifier({ webhookUrl, username, template }, { fetch }) {
+  return {
+    channel: 'discord',
+    supportsChatTargets: false,
+    async send(message, target = {}) {
+      const payload = template
+        ? { content: renderTemplate(template, templateVars(message, target.rules)) }
+        : formatDiscord(message, target.rules);
+      if (username) payload.username = username;
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!response.ok) {
+        throw new Error(`Discord webhook error: ${response.status} ${await response.text()}`);
+      }
+      return {};
+    }
+  };
+}
+
+module.exports = {
+  createDiscordNotifier,
+  formatDiscord
+};
@@ -0,0 +1,58 @@
+// SMTP email notifier (Node only - not bundled into the worker)
+const nodemailer = require('nodemailer');
+const { renderTemplate, fieldsWithRules, templateVars } = require('./messages');
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+function formatEmail(message, rules) {
+  const fields = fieldsWithRules(message, rules);
+  const subject = `${message.emoji} ${message.title}${message.vars.symbol ? `: ${message.vars.symbol}` : ''}`;
+
+  const text = [
+    ...fields.map(field => `${field.label}: ${field.value}`),
+    '',
+    ...message.links.map(link => `${link.label}: ${link.url}`),
+    ...(message.code ? ['', message.code] : [])
+  ].join('\n');
+
+  const html = `
+    <h2>${escapeHtml(`${message.emoji} ${message.title}`)}</h2>
+    <table>${fields.map(field => `<tr><td><strong>${escapeHtml(field.label)}</strong></td><td>${escapeHtml(field.value)}</td></tr>`).join('')}</table>
+    ${message.links.length > 0 ? `<p>${message.links.map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join(' • ')}</p>` : ''}
+    ${message.code ? `<p><code>${escapeHtml(message.code)}</code></p>` : ''}
+  `;
+
+  return { subject, text, html };
+}
+
+function createEmailNotifier({ host, port, secure, user, pass, from, to, template }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    channel: 'email',
+    supportsChatTargets: false,
+    async send(message, target = {}) {
+      const formatted = formatEmail(message, target.rules);
+      if (template) {
+        formatted.text = renderTemplate(template, templateVars(message, target.rules));
+        delete formatted.html;
+      }
+      const info = await transport.sendMail({ from, to, ...formatted });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createEmailNotifier,
+  formatEmail
+};
@@ -0,0 +1,131 @@
+// Notification channels shared by server.js and the PumpPortalTracker Durable Object.
+// Email is Node-only, so server.js passes its factory in via createNotifiers(config, { email }).
+const { createTelegramNotifier } = require('./telegram');
+const { createDiscordNotifier } = require('./discord');
+const { createSlackNotifier } = require('./slack');
+const { createWebhookNotifier } = require('./webhook');
+const { buildGraduationMessage, buildNearGraduationMessage, buildWatchAlertMessage, buildTrackedWalletBuyMessage, buildTestMessage, renderTemplate } = require('./messages');
+
+const DEFAULT_FACTORIES = {
+  telegram: createTelegramNotifier,
+  discord: createDiscordNotifier,
+  slack: createSlackNotifier,
+  webhook: createWebhookNotifier
+};
+
+const CHANNELS = ['telegram', 'discord', 'slack', 'webhook', 'email'];
+
+// Per-channel config from env vars; a channel is enabled when it's configured, or only the
+// channels listed in NOTIFY_CHANNELS (comma separated) when that is set
+function notifierConfigFromEnv(env) {
+  const template = channel => env[`NOTIFY_TEMPLATE_${channel.toUpperCase()}`] || null;
+
+  const configured = {
+    telegram: env.TELEGRAM_BOT_TOKEN ? {
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID || null,
+      template: template('telegram')
+    } : null,
+    discord: env.DISCORD_WEBHOOK_URL ? {
+      webhookUrl: env.DISCORD_WEBHOOK_URL,
+      username: env.DISCORD_USERNAME || null,
+      template: template('discord')
+    } : null,
+    slack: env.SLACK_WEBHOOK_URL ? {
+      webhookUrl: env.SLACK_WEBHOOK_URL,
+      template: template('slack')
+    } : null,
+    webhook: env.WEBHOOK_URL ? {
+      url: env.WEBHOOK_URL,
+      secret: env.WEBHOOK_SECRET || null,
+      template: template('webhook')
+    } : null,
+    email: env.SMTP_HOST && env.EMAIL_TO ? {
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.EMAIL_FROM || env.SMTP_USER,
+      to: env.EMAIL_TO,
+      template: template('email')
+    } : null
+  };
+
+  const requested = env.NOTIFY_CHANNELS
+    ? env.NOTIFY_CHANNELS.split(',').map(channel => channel.trim().toLowerCase()).filter(Boolean)
+    : CHANNELS;
+
+  const config = {};
+  for (const channel of requested) {
+    if (!CHANNELS.includes(channel)) {
+      console.warn(`⚠️ Unknown notification channel in NOTIFY_CHANNELS: ${channel}`);
+    } else if (!configured[channel]) {
+      if (env.NOTIFY_CHANNELS) console.warn(`⚠️ Notification channel ${channel} is enabled but not configured`);
+    } else {
+      config[channel] = configured[channel];
+    }
+  }
+  return config;
+}
+
+// Build notifiers for every configured channel; options.fetch overrides the HTTP client
+function createNotifiers(config, extraFactories = {}, options = {}) {
+  const factories = { ...DEFAULT_FACTORIES, ...extraFactories };
+  const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+
+  const notifiers = [];
+  for (const [channel, channelConfig] of Object.entries(config)) {
+    if (!factories[channel]) {
+      console.warn(`⚠️ Notification channel ${channel} is not available here`);
+      continue;
+    }
+    notifiers.push(factories[channel](channelConfig, { fetch: fetchImpl }));
+  }
+  return notifiers;
+}
+
+// Send a message to every notifier. targets come from resolveAlertTargets: chat-aware
+// channels (Telegram) get one message per target, the rest get one message with all matched rules
+async function notifyAll(notifiers, message, targets = [{ chatId: null, rules: [] }]) {
+  if (targets.length === 0) return [];
+
+  const allRules = [...new Map(targets.flatMap(target => target.rules).map(rule => [rule.id, rule])).values()];
+  const sends = [];
+
+  for (const notifier of notifiers) {
+    const channelTargets = notifier.supportsChatTargets ? targets : [{ chatId: null, rules: allRules }];
+    for (const target of channelTargets) {
+      sends.push(
+        notifier.send(message, target)
+          .then(details => ({ channel: notifier.channel, success: true, ...details }))
+          .catch(error => ({ channel: notifier.channel, success: false, chatId: target.chatId, error: error.message }))
+      );
+    }
+  }
+
+  const results = await Promise.all(sends);
+  for (const result of results) {
+    if (result.muted) {
+      console.log(`🔇 ${result.channel} notification muted${result.chatId ? ` for ${result.chatId}` : ''}`);
+    } else if (result.success) {
+      console.log(`📱 ${result.channel} notification sent${result.chatId ? ` to ${result.chatId}` : ''}`);
+    } else {
+      console.error(`❌ ${result.channel} notification failed:`, result.error);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  CHANNELS,
+  notifierConfigFromEnv,
+  createNotifiers,
+  notifyAll,
+  buildGraduationMessage,
+  buildNearGraduationMessage,
+  buildWatchAlertMessage,
+  buildTrackedWalletBuyMessage,
+  buildTestMessage,
+  renderTemplate
+};
@@ -0,0 +1,242 @@
+// Channel-agnostic notification messages. Each notifier formats these for its own channel
+// (see the per-channel modules), or renders a custom {{placeholder}} template when configured.
+const { changeFromWatchPrice } = require('../watchlist');
+
+// DD/MM/YY HH:mm in Brisbane time, same as the dashboard
+function formatTime(date = new Date()) {
+  return date.toLocaleString('en-AU', {
+    timeZone: 'Australia/Brisbane',
+    day: '2-digit',
+    month: '2-digit',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).replace(',', '');
+}
+
+function formatPrice(value) {
+  const price = parseFloat(value);
+  return Number.isNaN(price) || price === 0 ? 'Unknown' : `$${price.toFixed(6)}`;
+}
+
+function formatUsd(value) {
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) || amount === 0 ? 'Unknown' : `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// "55/100 high (freeze authority, top holder)" from a lib/token-safety.js result.
+// Underscores would open italics in Telegram Markdown, so flag ids are spelled out.
+function formatRisk(safety) {
+  if (!safety || safety.riskScore === null) return 'Unknown';
+  const flags = safety.flags.map(flag => flag.id.replace(/_/g, ' ')).join(', ');
+  return `${safety.riskScore}/100 ${safety.riskLevel}${flags ? ` (${flags})` : ''}`;
+}
+
+// "good (7xKX…9fQe) · 3 prior launches · 2 graduated · sold after 0/2" from a lib/dev-wallets.js profile
+function formatDev(dev) {
+  if (!dev) return 'Unknown';
+  const address = `${dev.address.slice(0, 4)}…${dev.address.slice(-4)}`;
+  return `${dev.reputation} (${address}) · ${dev.summary}${dev.soldThis ? ' · sold this token' : ''}`;
+}
+
+// Replace {{name}} placeholders with message vars (unknown placeholders become empty)
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    vars[key] === null || vars[key] === undefined ? '' : String(vars[key])
+  );
+}
+
+function buildGraduationMessage(graduate) {
+  const vars = {
+    mint: graduate.mint,
+    symbol: graduate.symbol || 'Unknown',
+    name: graduate.name || 'Unknown Token',
+    price: formatPrice(graduate.priceUsdCurrent || graduate.priceUsd),
+    marketCap: formatUsd(graduate.marketCap),
+    liquidity: formatUsd(graduate.liquidityUsd),
+    dex: graduate.graduationDex || 'pump-amm',
+    time: formatTime(),
+    pumpfunUrl: `https://pump.fun/${graduate.mint}`,
+    dexscreenerUrl: graduate.dexscreenerUrl || '',
+    risk: formatRisk(graduate.safety),
+    dev: formatDev(graduate.dev)
+  };
+
+  return {
+    type: 'graduation',
+    emoji: '🎓',
+    title: 'PUMP.FUN GRADUATION ALERT',
+    fields: [
+      { emoji: '🪙', label: 'Token', value: `${vars.symbol} (${vars.name})` },
+      { emoji: '💰', label: 'Price', value: vars.price },
+      { emoji: '📊', label: 'Market Cap', value: vars.marketCap },
+      { emoji: '🏦', label: 'DEX', value: vars.dex },
+      ...(graduate.safety ? [{ emoji: '🛡️', label: 'Risk', value: vars.risk }] : []),
+      ...(graduate.dev ? [{ emoji: '👤', label: 'Dev', value: vars.dev }] : []),
+      { emoji: '⏰', label: 'Time', value: vars.time }
+    ],
+    links: [
+      { label: 'Pump.fun', url: vars.pumpfunUrl },
+      ...(graduate.dexscreenerUrl ? [{ label: 'Dexscreener', url: graduate.dexscreenerUrl }] : [])
+    ],
+    code: graduate.mint,
+    vars,
+    data: graduate
+  };
+}
+
+// A pre-graduation token crossed one of the PREGRAD_ALERT_PERCENTS thresholds
+function buildNearGraduationMessage(token, percent) {
+  const vars = {
+    mint: token.mint,
+    symbol: token.symbol || 'Unknown',
+    name: token.name || 'Unknown Token',
+    progress: `${token.progressPercent.toFixed(1)}%`,
+    threshold: `${percent}%`,
+    solInCurve: `${token.solInCurve.toFixed(2)} SOL`,
+    marketCap: token.marketCapSol ? `${token.marketCapSol.toFixed(2)} SOL` : 'Unknown',
+    time: formatTime(),
+    pumpfunUrl: `https://pump.fun/${token.mint}`
+  };
+
+  return {
+    type: 'nearGraduation',
+    emoji: '🔥',
+    title: 'NEAR GRADUATION ALERT',
+    fields: [
+      { emoji: '🪙', label: 'Token', value: `${vars.symbol} (${vars.name})` },
+      { emoji: '📈', label: 'Bonding Curve', value: `${vars.progress} (passed ${vars.threshold})` },
+      { emoji: '💧', label: 'SOL in Curve', value: vars.solInCurve },
+      { emoji: '📊', label: 'Market Cap', value: vars.marketCap },
+      { emoji: '⏰', label: 'Time', value: vars.time }
+    ],
+    links: [{ label: 'Pump.fun', url: vars.pumpfunUrl }],
+    code: token.mint,
+    vars,
+    data: token
+  };
+}
+
+// Watchlist alerts that fired on a refresh (lib/watchlist.js evaluateWatch), one message per token
+function buildWatchAlertMessage(watch, graduate, triggered) {
+  const change = changeFromWatchPrice(watch, graduate);
+  const vars = {
+    mint: graduate.mint,
+    symbol: graduate.symbol || watch.symbol || 'Unknown',
+    name: graduate.name || watch.name || 'Unknown Token',
+    alert: triggered.map(entry => entry.description).join(', '),
+    price: formatPrice(graduate.priceUsdCurrent || graduate.priceUsd),
+    watchPrice: formatPrice(watch.watchPrice),
+    change: change === null ? 'Unknown' : `${change > 0 ? '+' : ''}${change.toFixed(2)}%`,
+    marketCap: formatUsd(graduate.marketCap),
+    volume1h: formatUsd(graduate.volume1h),
+    time: formatTime(),
+    pumpfunUrl: `https://pump.fun/${graduate.mint}`,
+    dexscreenerUrl: graduate.dexscreenerUrl || ''
+  };
+
+  return {
+    type: 'watchAlert',
+    emoji: '⭐',
+    title: 'WATCHLIST ALERT',
+    fields: [
+      { emoji: '🪙', label: 'Token', value: `${vars.symbol} (${vars.name})` },
+      { emoji: '🔔', label: 'Alert', value: vars.alert },
+      { emoji: '💰', label: 'Price', value: `${vars.price} (${vars.change} from ${vars.watchPrice})` },
+      { emoji: '📊', label: 'Market Cap', value: vars.marketCap },
+      { emoji: '📈', label: '1h Volume', value: vars.volume1h },
+      { emoji: '⏰', label: 'Time', value: vars.time }
+    ],
+    links: [
+      { label: 'Pump.fun', url: vars.pumpfunUrl },
+      ...(graduate.dexscreenerUrl ? [{ label: 'Dexscreener', url: graduate.dexscreenerUrl }] : [])
+    ],
+    code: graduate.mint,
+    vars,
+    data: { watch, graduate, triggered }
+  };
+}
+
+// A tracked wallet bought a token soon after it graduated or its pool was detected (lib/tracked-wallets.js)
+function buildTrackedWalletBuyMessage(event) {
+  const address = `${event.wallet.slice(0, 4)}…${event.wallet.slice(-4)}`;
+  const vars = {
+    mint: event.mint,
+    symbol: event.symbol || 'Unknown',
+    name: event.name || 'Unknown Token',
+    wallet: event.wallet,
+    label: event.label || address,
+    solAmount: `${event.solAmount.toFixed(3)} SOL`,
+    minutesAfter: String(event.minutesAfter),
+    after: event.source === 'graduate' ? 'graduation' : 'pool creation',
+    marketCap: event.marketCapSol ? `${event.marketCapSol.toFixed(2)} SOL` : 'Unknown',
+    time: formatTime(),
+    pumpfunUrl: `https://pump.fun/${event.mint}`,
+    walletUrl: `https://solscan.io/account/${event.wallet}`
+  };
+
+  return {
+    type: 'trackedWalletBuy',
+    emoji: '👀',
+    title: 'TRACKED WALLET BUY',
+    fields: [
+      { emoji: '👛', label: 'Wallet', value: event.label ? `${event.label} (${address})` : address },
+      { emoji: '🪙', label: 'Token', value: `${vars.symbol} (${vars.name})` },
+      { emoji: '💸', label: 'Bought', value: vars.solAmount },
+      { emoji: '⏱️', label: 'Timing', value: `${vars.minutesAfter} min after ${vars.after}` },
+      { emoji: '📊', label: 'Market Cap', value: vars.marketCap },
+      { emoji: '⏰', label: 'Time', value: vars.time }
+    ],
+    links: [
+      { label: 'Pump.fun', url: vars.pumpfunUrl },
+      { label: 'Wallet', url: vars.walletUrl },
+      ...(event.signature ? [{ label: 'Transaction', url: `https://solscan.io/tx/${event.signature}` }] : [])
+    ],
+    code: event.mint,
+    vars,
+    data: event
+  };
+}
+
+function buildTestMessage(source) {
+  const vars = { source, time: formatTime(), symbol: 'TEST', name: 'Test Notification', mint: '' };
+  return {
+    type: 'test',
+    emoji: '🧪',
+    title: 'TEST NOTIFICATION',
+    fields: [
+      { emoji: '✅', label: 'Status', value: 'Solana Pool Tracker is working!' },
+      { emoji: '⏰', label: 'Time', value: vars.time },
+      { emoji: '🌐', label: 'Source', value: source }
+    ],
+    links: [],
+    code: null,
+    vars,
+    data: null
+  };
+}
+
+// Field list with the matched alert rule names appended, used by every formatter
+function fieldsWithRules(message, rules = []) {
+  if (!rules || rules.length === 0) return message.fields;
+  return [...message.fields, { emoji: '🎯', label: 'Rules', value: rules.map(rule => rule.name).join(', ') }];
+}
+
+function templateVars(message, rules = []) {
+  return { ...message.vars, rules: (rules || []).map(rule => rule.name).join(', ') };
+}
+
+module.exports = {
+  renderTemplate,
+  buildGraduationMessage,
+  buildNearGraduationMessage,
+  buildWatchAlertMessage,
+  buildTrackedWalletBuyMessage,
+  buildTestMessage,
+  fieldsWithRules,
+  templateVars,
+  formatTime,
+  formatPrice,
+  formatUsd
+};
@@ -0,0 +1,57 @@
+const { renderTemplate, fieldsWithRules, templateVars } = require('./messages');
+
+function formatSlack(message, rules) {
+  const fields = fieldsWithRules(message, rules);
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `${message.emoji} ${message.title}`, emoji: true } },
+    {
+      type: 'section',
+      fields: fields.map(field => ({ type: 'mrkdwn', text: `*${field.emoji} ${field.label}:*\n${field.value}` }))
+    }
+  ];
+  if (message.links.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: message.links.map(link => `<${link.url}|${link.label}>`).join(' • ') }
+    });
+  }
+  if (message.code) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `\`${message.code}\`` }] });
+  }
+
+  // Slack limits a section to 10 fields
+  blocks[1].fields = blocks[1].fields.slice(0, 10);
+
+  return {
+    text: `${message.emoji} ${message.title}: ${fields.map(field => `${field.label} ${field.value}`).join(', ')}`,
+    blocks
+  };
+}
+
+// Slack incoming webhook
+function createSlackNotifier({ webhookUrl, template }, { fetch }) {
+  return {
+    channel: 'slack',
+    supportsChatTargets: false,
+    async send(message, target = {}) {
+      const payload = template
+        ? { text: renderTemplate(template, templateVars(message, target.rules)) }
+        : formatSlack(message, target.rules);
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!response.ok) {
+        throw new Error(`Slack webhook error: ${response.status} ${await response.text()}`);
+      }
+      return {};
+    }
+  };
+}
+
+module.exports = {
+  createSlackNotifier,
+  formatSlack
+};
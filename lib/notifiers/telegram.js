@@ -0,0 +1,61 @@
+const { renderTemplate, fieldsWithRules, templateVars } = require('./messages');
+
+function formatTelegram(message, rules) {
+  const lines = [`${message.emoji} *${message.title}*`, ''];
+  for (const field of fieldsWithRules(message, rules)) {
+    lines.push(`${field.emoji} *${field.label}:* ${field.value}`);
+  }
+  if (message.links.length > 0) {
+    lines.push('', '🔗 *Links:*');
+    for (const link of message.links) {
+      lines.push(`• [${link.label}](${link.url})`);
+    }
+  }
+  if (message.code) {
+    lines.push('', `\`${message.code}\``);
+  }
+  return lines.join('\n');
+}
+
+// Telegram Bot API sendMessage; the only channel that supports per-rule chat targets
+function createTelegramNotifier({ botToken, chatId, template }, { fetch }) {
+  const notifier = {
+    channel: 'telegram',
+    supportsChatTargets: true,
+    // Epoch ms set by the bot's /mute command (lib/telegram-bot.js); alerts are skipped until then
+    mutedUntil: null,
+    async send(message, target = {}) {
+      const destination = target.chatId || chatId;
+      if (!destination) {
+        throw new Error('No Telegram chat configured');
+      }
+      if (notifier.mutedUntil && Date.now() < notifier.mutedUntil) {
+        return { chatId: destination, muted: true };
+      }
+
+      const text = template ? renderTemplate(template, templateVars(message, target.rules)) : formatTelegram(message, target.rules);
+      const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: destination,
+          text,
+          parse_mode: 'Markdown',
+          disable_web_page_preview: false
+        })
+      });
+
+      const result = await response.json();
+      if (!result.ok) {
+        throw new Error(`Telegram API error: ${result.description || response.status}`);
+      }
+      return { chatId: destination };
+    }
+  };
+  return notifier;
+}
+
+module.exports = {
+  createTelegramNotifier,
+  formatTelegram
+};
@@ -0,0 +1,58 @@
+const { renderTemplate, fieldsWithRules, templateVars } = require('./messages');
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded (WebCrypto, so it also runs in the worker)
+async function signPayload(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await globalThis.crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function formatWebhook(message, rules, template) {
+  const payload = {
+    event: message.type,
+    title: message.title,
+    fields: fieldsWithRules(message, rules).map(({ label, value }) => ({ label, value })),
+    links: message.links,
+    rules: (rules || []).map(rule => ({ id: rule.id, name: rule.name })),
+    data: message.data,
+    sentAt: new Date().toISOString()
+  };
+  if (template) {
+    payload.text = renderTemplate(template, templateVars(message, rules));
+  }
+  return payload;
+}
+
+// Generic JSON webhook; when a secret is set the receiver can verify
+// X-Signature-256: sha256=<hmac> against X-Signature-Timestamp + "." + raw body
+function createWebhookNotifier({ url, secret, template }, { fetch }) {
+  return {
+    channel: 'webhook',
+    supportsChatTargets: false,
+    async send(message, target = {}) {
+      const body = JSON.stringify(formatWebhook(message, target.rules, template));
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (secret) {
+        const timestamp = String(Date.now());
+        headers['X-Signature-Timestamp'] = timestamp;
+        headers['X-Signature-256'] = `sha256=${await signPayload(secret, timestamp, body)}`;
+      }
+
+      const response = await fetch(url, { method: 'POST', headers, body });
+      if (!response.ok) {
+        throw new Error(`Webhook error: ${response.status}`);
+      }
+      return {};
+    }
+  };
+}
+
+module.exports = {
+  createWebhookNotifier,
+  formatWebhook,
+  signPayload
+};
@@ -0,0 +1,30 @@
+// Program IDs to monitor
+const PROGRAM_IDS = {
+  'Raydium AMM v4': '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  'Raydium CP-Swap': 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  'Raydium CLMM': 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+  'Orca Whirlpools': 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  'Orca Token-Swap v2': '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP',
+  'Meteora DLMM': 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  'Pump.fun': '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  'PumpSwap AMM': 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
+};
+
+// Function to get program name by ID
+function getProgramName(programId) {
+  for (const [name, id] of Object.entries(PROGRAM_IDS)) {
+    if (id === programId) return name;
+  }
+  return 'Unknown';
+}
+
+// Function to check if a program ID is one we monitor
+function isMonitoredProgram(programId) {
+  return Object.values(PROGRAM_IDS).includes(programId);
+}
+
+module.exports = {
+  PROGRAM_IDS,
+  getProgramName,
+  isMonitoredProgram
+};
@@ -0,0 +1,236 @@
+// WebSocket client that stays connected: reconnects forever with capped exponential backoff and
+// jitter, detects half-open sockets with ping / pong heartbeats, replays its subscriptions on
+// every connection and reports its state. Used for the PumpPortal feed in server.js.
+//
+// A circuit breaker sits on top of the backoff: after `failureThreshold` consecutive failed
+// connections it opens and waits `cooldownMs` before a single trial connection (half-open).
+// A trial that fails re-opens it; one that stays up closes it again. A connection only counts
+// as successful once it has stayed open for `stableAfterMs`, so a flapping server trips it too.
+//
+// Events: 'state' (state, previous), 'open', 'message' (data), 'close' ({ code, reason }),
+// 'error' (error), 'circuit' (circuit). States: idle, connecting, open, reconnecting, stopped.
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { reconnectDelayMs } = require('./connection-health');
+
+const MAX_TRANSITIONS = 20;
+
+class ResilientWebSocket extends EventEmitter {
+  // options: { url, name, subscriptions = [] (messages sent on every open, or a function
+  //            returning them for subscriptions that change while connected),
+  //            reconnect: { baseMs = 1000, maxMs = 60000 }, connectTimeoutMs = 15000, stableAfterMs = 10000,
+  //            heartbeat: { intervalMs = 30000, timeoutMs = 10000 },
+  //            circuit: { failureThreshold = 10, cooldownMs = 300000 } }
+  constructor(options) {
+    super();
+    this.url = options.url;
+    this.name = options.name || options.url;
+    this.subscriptions = options.subscriptions || [];
+    this.reconnect = { baseMs: 1000, maxMs: 60000, ...options.reconnect };
+    this.connectTimeoutMs = options.connectTimeoutMs || 15000;
+    this.stableAfterMs = options.stableAfterMs || 10000;
+    this.heartbeat = { intervalMs: 30000, timeoutMs: 10000, ...options.heartbeat };
+    this.circuitOptions = { failureThreshold: 10, cooldownMs: 5 * 60 * 1000, ...options.circuit };
+
+    this.ws = null;
+    this.state = 'idle';
+    this.circuit = 'closed';
+    this.reconnectAttempts = 0;
+    this.consecutiveFailures = 0;
+    this.reconnectTimer = null;
+    this.connectTimer = null;
+    this.stableTimer = null;
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.stats = {
+      connectedAt: null,
+      disconnectedAt: null,
+      lastMessageAt: null,
+      lastPongAt: null,
+      nextReconnectAt: null,
+      reconnects: 0,
+      heartbeatTimeouts: 0,
+      circuitOpens: 0,
+      lastClose: null,
+      lastError: null
+    };
+    this.transitions = [];
+  }
+
+  start() {
+    if (this.state !== 'idle' && this.state !== 'stopped') return;
+    this.connect();
+  }
+
+  stop() {
+    clearTimeout(this.reconnectTimer);
+    this.stats.nextReconnectAt = null;
+    this.dropSocket();
+    this.setState('stopped');
+  }
+
+  isOpen() {
+    return this.state === 'open';
+  }
+
+  send(message) {
+    if (!this.isOpen()) return false;
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }
+
+  status() {
+    return {
+      name: this.name,
+      state: this.state,
+      connected: this.isOpen(),
+      circuit: this.circuit,
+      reconnectAttempts: this.reconnectAttempts,
+      consecutiveFailures: this.consecutiveFailures,
+      ...this.stats,
+      transitions: this.transitions
+    };
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.transitions = [...this.transitions, { state, at: new Date().toISOString() }].slice(-MAX_TRANSITIONS);
+    this.emit('state', state, previous);
+  }
+
+  setCircuit(circuit) {
+    if (circuit === this.circuit) return;
+    this.circuit = circuit;
+    if (circuit === 'open') this.stats.circuitOpens++;
+    console.log(`⚡ ${this.name} circuit ${circuit}`);
+    this.emit('circuit', circuit);
+  }
+
+  connect() {
+    this.stats.nextReconnectAt = null;
+    this.setState('connecting');
+    if (this.circuit === 'open') this.setCircuit('half-open');
+
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+    let opened = false;
+    let stable = false;
+
+    // A handshake that hangs counts as a failed attempt
+    this.connectTimer = setTimeout(() => {
+      console.log(`⏱️ ${this.name} connection timed out`);
+      ws.terminate();
+    }, this.connectTimeoutMs);
+
+    ws.on('open', () => {
+      if (this.ws !== ws) return;
+      opened = true;
+      clearTimeout(this.connectTimer);
+      this.stats.connectedAt = new Date().toISOString();
+      this.stats.lastMessageAt = null;
+      this.setState('open');
+
+      this.stableTimer = setTimeout(() => {
+        stable = true;
+        this.reconnectAttempts = 0;
+        this.consecutiveFailures = 0;
+        this.setCircuit('closed');
+      }, this.stableAfterMs);
+
+      const subscriptions = typeof this.subscriptions === 'function' ? this.subscriptions() : this.subscriptions;
+      for (const subscription of subscriptions) {
+        this.send(subscription);
+      }
+      this.startHeartbeat();
+      this.emit('open');
+    });
+
+    ws.on('message', data => {
+      if (this.ws !== ws) return;
+      this.stats.lastMessageAt = new Date().toISOString();
+      this.emit('message', data);
+    });
+
+    ws.on('pong', () => {
+      if (this.ws !== ws) return;
+      this.stats.lastPongAt = new Date().toISOString();
+      clearTimeout(this.pongTimer);
+    });
+
+    ws.on('error', error => {
+      if (this.ws !== ws) return;
+      this.stats.lastError = { message: error.message, at: new Date().toISOString() };
+      // Without a listener EventEmitter would throw on 'error'
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+
+    ws.on('close', (code, reason) => {
+      if (this.ws !== ws) return;
+      this.dropSocket();
+      this.stats.lastClose = { code, reason: reason ? reason.toString() : '', at: new Date().toISOString() };
+      if (opened) this.stats.disconnectedAt = this.stats.lastClose.at;
+      this.emit('close', { code, reason: this.stats.lastClose.reason });
+
+      if (!stable) this.recordFailure();
+      this.scheduleReconnect();
+    });
+  }
+
+  // Ping every interval; a socket that doesn't answer within timeoutMs is half-open, so drop it
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+      clearTimeout(this.pongTimer);
+      this.pongTimer = setTimeout(() => {
+        this.stats.heartbeatTimeouts++;
+        console.log(`💔 ${this.name} missed a heartbeat - reconnecting`);
+        this.ws.terminate();
+      }, this.heartbeat.timeoutMs);
+      this.ws.ping();
+    }, this.heartbeat.intervalMs);
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.circuit === 'half-open' || this.consecutiveFailures >= this.circuitOptions.failureThreshold) {
+      this.setCircuit('open');
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.state === 'stopped') return;
+
+    const delay = this.circuit === 'open'
+      ? this.circuitOptions.cooldownMs
+      : reconnectDelayMs(this.reconnectAttempts, this.reconnect);
+    this.reconnectAttempts++;
+    this.stats.reconnects++;
+    this.stats.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    this.setState('reconnecting');
+    console.log(`🔄 Reconnecting to ${this.name} in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts}${this.circuit === 'open' ? ', circuit open' : ''})`);
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  dropSocket() {
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.stableTimer);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pongTimer);
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) ws.terminate();
+    }
+  }
+}
+
+module.exports = {
+  ResilientWebSocket
+};
@@ -0,0 +1,39 @@
+// Shared helpers for the storage drivers
+
+// Normalise the mix of ISO strings, Brisbane-formatted strings and epoch numbers we receive
+function toMillis(value) {
+  if (value === null || value === undefined || value === '') return Date.now();
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+// Opaque keyset cursor: "<sort value>|<tiebreak id>" encoded as base64url
+function encodeCursor(sortValue, id) {
+  return Buffer.from(`${sortValue}|${id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const raw = Buffer.from(String(cursor), 'base64url').toString();
+    const separator = raw.lastIndexOf('|');
+    if (separator === -1) return null;
+    return { sortValue: Number(raw.slice(0, separator)), id: raw.slice(separator + 1) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function clampLimit(limit, fallback = 50, max = 500) {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) return fallback;
+  return Math.min(parsed, max);
+}
+
+module.exports = {
+  toMillis,
+  encodeCursor,
+  decodeCursor,
+  clampLimit
+};
@@ -0,0 +1,37 @@
+const path = require('path');
+const MemoryStorage = require('./memory-storage');
+const { QueryError, parseQuery } = require('./query');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'tracker.db');
+
+// Create the storage driver selected by configuration ("sqlite" by default, "memory" for tests)
+function createStorage({ driver = 'sqlite', filePath = DEFAULT_SQLITE_PATH } = {}) {
+  if (driver === 'memory') {
+    return new MemoryStorage();
+  }
+  if (driver === 'sqlite') {
+    // Required lazily so the memory driver works without the native module
+    const SqliteStorage = require('./sqlite-storage');
+    return new SqliteStorage(filePath);
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+// Set-like view over a dedupe namespace, so callers can keep using has/add/clear/size
+function createDedupeSet(storage, namespace) {
+  return {
+    has: key => storage.hasSeen(namespace, key),
+    add: key => storage.markSeen(namespace, key),
+    clear: () => storage.clearSeen(namespace),
+    get size() {
+      return storage.countSeen(namespace);
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  createDedupeSet,
+  parseQuery,
+  QueryError
+};
@@ -0,0 +1,304 @@
+const { toMillis, encodeCursor, decodeCursor } = require('./helpers');
+const { COLLECTIONS, MISSING_SORT_VALUE, parseQuery } = require('./query');
+
+// In-memory storage with the same interface as SqliteStorage (tests and throwaway runs)
+class MemoryStorage {
+  constructor() {
+    this.pools = new Map();
+    this.graduates = new Map();
+    this.snapshots = [];
+    this.dedupeKeys = new Map();
+    this.alertRules = new Map();
+    this.watchlist = new Map();
+    this.trackedWallets = new Map();
+    this.settings = new Map();
+    this.wallets = new Map();
+    this.walletMints = new Map();
+  }
+
+  savePool(pool) {
+    const existing = this.pools.get(pool.signature);
+    this.pools.set(pool.signature, {
+      id: pool.signature,
+      sortValue: existing ? existing.sortValue : toMillis(pool.timestamp),
+      data: JSON.parse(JSON.stringify(pool))
+    });
+  }
+
+  listPools({ limit, cursor } = {}) {
+    return this.queryPools(parseQuery('pools', { limit, cursor }));
+  }
+
+  queryPools(query) {
+    return this.query(this.pools, COLLECTIONS.pools, query);
+  }
+
+  countPools() {
+    return this.pools.size;
+  }
+
+  clearPools() {
+    this.pools.clear();
+  }
+
+  saveGraduate(graduate) {
+    const existing = this.graduates.get(graduate.mint);
+    this.graduates.set(graduate.mint, {
+      id: graduate.mint,
+      sortValue: existing ? existing.sortValue : toMillis(graduate.graduatedAt || graduate.timestamp),
+      data: JSON.parse(JSON.stringify(graduate))
+    });
+  }
+
+  getGraduate(mint) {
+    const entry = this.graduates.get(mint);
+    return entry ? JSON.parse(JSON.stringify(entry.data)) : null;
+  }
+
+  listGraduates({ limit, cursor } = {}) {
+    return this.queryGraduates(parseQuery('graduates', { limit, cursor }));
+  }
+
+  queryGraduates(query) {
+    return this.query(this.graduates, COLLECTIONS.graduates, query);
+  }
+
+  countGraduates() {
+    return this.graduates.size;
+  }
+
+  saveSnapshot(mint, snapshot, recordedAt = Date.now()) {
+    this.snapshots.push({ mint, recordedAt, data: JSON.parse(JSON.stringify(snapshot)) });
+  }
+
+  listSnapshots(mint) {
+    return this.snapshots
+      .filter(snapshot => snapshot.mint === mint)
+      .sort((a, b) => a.recordedAt - b.recordedAt)
+      .map(snapshot => ({ recordedAt: snapshot.recordedAt, ...snapshot.data }));
+  }
+
+  // Returns true when the key had not been seen before
+  markSeen(namespace, key) {
+    const id = `${namespace}:${key}`;
+    if (this.dedupeKeys.has(id)) return false;
+    this.dedupeKeys.set(id, { namespace, createdAt: Date.now() });
+    return true;
+  }
+
+  hasSeen(namespace, key) {
+    return this.dedupeKeys.has(`${namespace}:${key}`);
+  }
+
+  clearSeen(namespace) {
+    for (const [id, entry] of this.dedupeKeys) {
+      if (entry.namespace === namespace) this.dedupeKeys.delete(id);
+    }
+  }
+
+  countSeen(namespace) {
+    let count = 0;
+    for (const entry of this.dedupeKeys.values()) {
+      if (entry.namespace === namespace) count++;
+    }
+    return count;
+  }
+
+  saveAlertRule(rule) {
+    this.alertRules.set(rule.id, JSON.parse(JSON.stringify(rule)));
+  }
+
+  getAlertRule(id) {
+    const rule = this.alertRules.get(id);
+    return rule ? JSON.parse(JSON.stringify(rule)) : null;
+  }
+
+  listAlertRules() {
+    return [...this.alertRules.values()]
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))
+      .map(rule => JSON.parse(JSON.stringify(rule)));
+  }
+
+  deleteAlertRule(id) {
+    return this.alertRules.delete(id);
+  }
+
+  // Watchlist entries (lib/watchlist.js), one per starred graduate
+  saveWatch(watch) {
+    this.watchlist.set(watch.mint, JSON.parse(JSON.stringify(watch)));
+  }
+
+  getWatch(mint) {
+    const watch = this.watchlist.get(mint);
+    return watch ? JSON.parse(JSON.stringify(watch)) : null;
+  }
+
+  listWatches() {
+    return [...this.watchlist.values()]
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0))
+      .map(watch => JSON.parse(JSON.stringify(watch)));
+  }
+
+  deleteWatch(mint) {
+    return this.watchlist.delete(mint);
+  }
+
+  // Tracked wallets (lib/tracked-wallets.js)
+  saveTrackedWallet(wallet) {
+    this.trackedWallets.set(wallet.address, JSON.parse(JSON.stringify(wallet)));
+  }
+
+  getTrackedWallet(address) {
+    const wallet = this.trackedWallets.get(address);
+    return wallet ? JSON.parse(JSON.stringify(wallet)) : null;
+  }
+
+  listTrackedWallets() {
+    return [...this.trackedWallets.values()]
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))
+      .map(wallet => JSON.parse(JSON.stringify(wallet)));
+  }
+
+  deleteTrackedWallet(address) {
+    return this.trackedWallets.delete(address);
+  }
+
+  // Runtime settings that outlive a restart (e.g. the Telegram bot's /mute), stored as JSON
+  saveSetting(key, value) {
+    this.settings.set(key, JSON.stringify(value));
+  }
+
+  getSetting(key) {
+    return this.settings.has(key) ? JSON.parse(this.settings.get(key)) : null;
+  }
+
+  // Creator wallets (lib/dev-wallets.js), indexed by the mints they launched
+  saveWallet(wallet) {
+    this.wallets.set(wallet.address, JSON.parse(JSON.stringify(wallet)));
+    for (const launch of wallet.launches) {
+      if (!this.walletMints.has(launch.mint)) this.walletMints.set(launch.mint, wallet.address);
+    }
+  }
+
+  getWallet(address) {
+    const wallet = this.wallets.get(address);
+    return wallet ? JSON.parse(JSON.stringify(wallet)) : null;
+  }
+
+  getWalletByMint(mint) {
+    const address = this.walletMints.get(mint);
+    return address ? this.getWallet(address) : null;
+  }
+
+  // Delete entries older than maxAgeMs and trim collections down to their limits
+  applyRetention({ maxAgeMs, maxPools, maxGraduates } = {}) {
+    const removed = { pools: 0, graduates: 0, snapshots: 0, dedupeKeys: 0, wallets: 0 };
+
+    if (maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      // Creators who ever graduated a token are kept for their reputation
+      removed.wallets += this.deleteWhere(this.wallets, wallet =>
+        toMillis(wallet.lastSeenAt) < cutoff && !wallet.launches.some(launch => launch.graduatedAt)
+      );
+      for (const [mint, address] of this.walletMints) {
+        if (!this.wallets.has(address)) this.walletMints.delete(mint);
+      }
+      removed.pools += this.deleteWhere(this.pools, entry => entry.sortValue < cutoff);
+      // Watched graduates are kept while they're on the watchlist
+      removed.graduates += this.deleteWhere(this.graduates, entry => entry.sortValue < cutoff && !this.watchlist.has(entry.id));
+      removed.dedupeKeys += this.deleteWhere(this.dedupeKeys, entry => entry.createdAt < cutoff);
+      const before = this.snapshots.length;
+      this.snapshots = this.snapshots.filter(snapshot => snapshot.recordedAt >= cutoff);
+      removed.snapshots += before - this.snapshots.length;
+    }
+    if (maxPools) {
+      const keep = new Set(this.sorted(this.pools).slice(0, maxPools).map(entry => entry.id));
+      removed.pools += this.deleteWhere(this.pools, entry => !keep.has(entry.id));
+    }
+    if (maxGraduates) {
+      const keep = new Set(this.sorted(this.graduates).slice(0, maxGraduates).map(entry => entry.id));
+      // Watched graduates are kept on top of the newest maxGraduates
+      removed.graduates += this.deleteWhere(this.graduates, entry => !keep.has(entry.id) && !this.watchlist.has(entry.id));
+      const before = this.snapshots.length;
+      this.snapshots = this.snapshots.filter(snapshot => this.graduates.has(snapshot.mint));
+      removed.snapshots += before - this.snapshots.length;
+    }
+
+    return removed;
+  }
+
+  close() {}
+
+  deleteWhere(map, predicate) {
+    let count = 0;
+    for (const [key, entry] of map) {
+      if (predicate(entry)) {
+        map.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Newest first, ties broken by id descending (same order as the SQLite driver)
+  sorted(map) {
+    return [...map.values()].sort((a, b) =>
+      b.sortValue - a.sortValue || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0)
+    );
+  }
+
+  // Filtered, sorted keyset pagination over a collection (see query.js)
+  query(map, collection, query) {
+    const sortValueOf = entry => {
+      if (query.sort === collection.timeField) return entry.sortValue;
+      const value = parseFloat(entry.data[query.sort]);
+      return Number.isNaN(value) ? MISSING_SORT_VALUE : value;
+    };
+    const lower = value => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+    const matching = [...map.values()].filter(entry => {
+      const data = entry.data;
+      if (query.from !== null && entry.sortValue < query.from) return false;
+      if (query.to !== null && entry.sortValue > query.to) return false;
+      if (query.programs.length > 0 &&
+          !collection.programFields.some(name => query.programs.includes(lower(data[name])))) {
+        return false;
+      }
+      for (const [name, minimum] of Object.entries(query.minimums)) {
+        const value = parseFloat(data[name]);
+        if (Number.isNaN(value) || value < minimum) return false;
+      }
+      if (query.search && !collection.searchFields.some(name => lower(data[name]).includes(query.search))) {
+        return false;
+      }
+      return true;
+    });
+
+    const direction = query.order === 'asc' ? 1 : -1;
+    let entries = matching
+      .map(entry => ({ entry, sortValue: sortValueOf(entry) }))
+      .sort((a, b) =>
+        direction * (a.sortValue - b.sortValue) ||
+        direction * (a.entry.id < b.entry.id ? -1 : a.entry.id > b.entry.id ? 1 : 0)
+      );
+
+    const after = decodeCursor(query.cursor);
+    if (after) {
+      entries = entries.filter(({ entry, sortValue }) =>
+        direction * (sortValue - after.sortValue) > 0 ||
+        (sortValue === after.sortValue && direction * (entry.id < after.id ? -1 : entry.id > after.id ? 1 : 0) > 0)
+      );
+    }
+
+    const pageEntries = entries.slice(0, query.limit);
+    const last = pageEntries[pageEntries.length - 1];
+
+    return {
+      items: pageEntries.map(({ entry }) => JSON.parse(JSON.stringify(entry.data))),
+      nextCursor: entries.length > query.limit && last ? encodeCursor(last.sortValue, last.entry.id) : null,
+      total: matching.length
+    };
+  }
+}
+
+module.exports = MemoryStorage;
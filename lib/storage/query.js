@@ -0,0 +1,134 @@
+const { toMillis, decodeCursor, clampLimit } = require('./helpers');
+
+// Sort value used for records missing the sort field, so they always land last in descending order
+const MISSING_SORT_VALUE = -1e18;
+
+// Queryable collections: which JSON fields can be sorted, searched and filtered
+const COLLECTIONS = {
+  pools: {
+    table: 'pools',
+    idField: 'signature',
+    idColumn: 'signature',
+    timeField: 'timestamp',
+    timeColumn: 'detected_at',
+    sortFields: ['timestamp', 'liquidityUsd'],
+    programFields: ['programId', 'program'],
+    searchFields: ['poolAddress', 'tokenMintA', 'tokenMintB', 'tokenSymbolA', 'tokenSymbolB', 'tokenNameA', 'tokenNameB'],
+    minFilters: { minLiquidity: 'liquidityUsd' }
+  },
+  graduates: {
+    table: 'graduates',
+    idField: 'mint',
+    idColumn: 'mint',
+    timeField: 'graduatedAt',
+    timeColumn: 'graduated_at',
+    sortFields: ['graduatedAt', 'marketCap', 'liquidityUsd', 'volume24h', 'volume1h', 'priceChange1h', 'priceChange24h'],
+    programFields: ['graduationDex'],
+    searchFields: ['mint', 'symbol', 'name'],
+    minFilters: {
+      minMarketCap: 'marketCap',
+      minLiquidity: 'liquidityUsd',
+      minVolume: 'volume24h',
+      minVolume1h: 'volume1h'
+    }
+  }
+};
+
+// Thrown for malformed query parameters; the API maps it to a 400
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Express parses repeated (?order=asc&order=desc) and bracketed (?search[a]=b) parameters into
+// arrays / objects; every parameter except the program list must be a single value
+function scalarParams(raw, names) {
+  const params = {};
+  for (const name of names) {
+    const value = raw[name];
+    if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      throw new QueryError(`${name} must be a single value`);
+    }
+    params[name] = value === null ? undefined : value;
+  }
+  return params;
+}
+
+function parseNumber(name, value) {
+  if (value === undefined || value === '') return null;
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new QueryError(`${name} must be a number`);
+  }
+  return parsed;
+}
+
+function parseTime(name, value) {
+  if (value === undefined || value === '') return null;
+  const asNumber = Number(value);
+  const parsed = Number.isNaN(asNumber) ? Date.parse(value) : toMillis(asNumber);
+  if (Number.isNaN(parsed)) {
+    throw new QueryError(`${name} must be an ISO date or epoch timestamp`);
+  }
+  return parsed;
+}
+
+function parseList(name, value) {
+  if (value === undefined || value === '') return [];
+  if (Array.isArray(value) ? value.some(item => typeof item !== 'string') : typeof value !== 'string') {
+    throw new QueryError(`${name} must be a comma-separated list`);
+  }
+  return (Array.isArray(value) ? value : value.split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Normalise raw request query parameters into a storage query for the given collection
+// Supported: limit, cursor, from, to, program/dex, search/q, min* filters, sort, order
+function parseQuery(collectionName, query = {}) {
+  const collection = COLLECTIONS[collectionName];
+  const raw = scalarParams(query, ['sort', 'order', 'cursor', 'limit', 'from', 'to', 'search', 'q', ...Object.keys(collection.minFilters)]);
+
+  const sort = raw.sort || collection.timeField;
+  if (!collection.sortFields.includes(sort)) {
+    throw new QueryError(`sort must be one of: ${collection.sortFields.join(', ')}`);
+  }
+
+  const order = String(raw.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('order must be asc or desc');
+  }
+
+  if (raw.cursor && !decodeCursor(raw.cursor)) {
+    throw new QueryError('cursor is invalid');
+  }
+
+  const minimums = {};
+  for (const [param, field] of Object.entries(collection.minFilters)) {
+    const value = parseNumber(param, raw[param]);
+    if (value !== null) minimums[field] = value;
+  }
+
+  const search = String(raw.search || raw.q || '').trim();
+
+  return {
+    limit: clampLimit(raw.limit),
+    cursor: raw.cursor || null,
+    from: parseTime('from', raw.from),
+    to: parseTime('to', raw.to),
+    programs: query.program ? parseList('program', query.program) : parseList('dex', query.dex),
+    minimums,
+    search: search ? search.toLowerCase() : null,
+    sort,
+    order
+  };
+}
+
+module.exports = {
+  COLLECTIONS,
+  MISSING_SORT_VALUE,
+  QueryError,
+  parseQuery
+};
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { toMillis, encodeCursor, decodeCursor } = require('./helpers');
+const { COLLECTIONS, MISSING_SORT_VALUE, parseQuery } = require('./query');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS pools (
+    signature TEXT PRIMARY KEY,
+    program_id TEXT,
+    pool_address TEXT,
+    token_mint_a TEXT,
+    token_mint_b TEXT,
+    detected_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS pools_detected_at ON pools (detected_at DESC, signature DESC);
+
+  CREATE TABLE IF NOT EXISTS graduates (
+    mint TEXT PRIMARY KEY,
+    graduated_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS graduates_graduated_at ON graduates (graduated_at DESC, mint DESC);
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mint TEXT NOT NULL,
+    recorded_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_mint ON snapshots (mint, recorded_at);
+
+  CREATE TABLE IF NOT EXISTS dedupe_keys (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (namespace, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS watchlist (
+    mint TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS tracked_wallets (
+    address TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS wallets (
+    address TEXT PRIMARY KEY,
+    updated_at INTEGER NOT NULL,
+    graduated INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS wallet_mints (
+    mint TEXT PRIMARY KEY,
+    address TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS wallet_mints_address ON wallet_mints (address);
+`;
+
+// SQLite-backed storage (default driver), persisted to a single file
+class SqliteStorage {
+  constructor(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsertPool: this.db.prepare(`
+        INSERT INTO pools (signature, program_id, pool_address, token_mint_a, token_mint_b, detected_at, data)
+        VALUES (@signature, @programId, @poolAddress, @tokenMintA, @tokenMintB, @detectedAt, @data)
+        ON CONFLICT (signature) DO UPDATE SET
+          pool_address = excluded.pool_address,
+          token_mint_a = excluded.token_mint_a,
+          token_mint_b = excluded.token_mint_b,
+          data = excluded.data
+      `),
+      countPools: this.db.prepare('SELECT COUNT(*) AS count FROM pools'),
+      clearPools: this.db.prepare('DELETE FROM pools'),
+      upsertGraduate: this.db.prepare(`
+        INSERT INTO graduates (mint, graduated_at, updated_at, data)
+        VALUES (@mint, @graduatedAt, @updatedAt, @data)
+        ON CONFLICT (mint) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+      `),
+      getGraduate: this.db.prepare('SELECT data FROM graduates WHERE mint = ?'),
+      countGraduates: this.db.prepare('SELECT COUNT(*) AS count FROM graduates'),
+      insertSnapshot: this.db.prepare('INSERT INTO snapshots (mint, recorded_at, data) VALUES (?, ?, ?)'),
+      listSnapshots: this.db.prepare('SELECT recorded_at, data FROM snapshots WHERE mint = ? ORDER BY recorded_at ASC'),
+      insertSeen: this.db.prepare('INSERT OR IGNORE INTO dedupe_keys (namespace, key, created_at) VALUES (?, ?, ?)'),
+      hasSeen: this.db.prepare('SELECT 1 FROM dedupe_keys WHERE namespace = ? AND key = ?'),
+      clearSeen: this.db.prepare('DELETE FROM dedupe_keys WHERE namespace = ?'),
+      countSeen: this.db.prepare('SELECT COUNT(*) AS count FROM dedupe_keys WHERE namespace = ?'),
+      upsertAlertRule: this.db.prepare(`
+        INSERT INTO alert_rules (id, created_at, data) VALUES (@id, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET data = excluded.data
+      `),
+      getAlertRule: this.db.prepare('SELECT data FROM alert_rules WHERE id = ?'),
+      listAlertRules: this.db.prepare('SELECT data FROM alert_rules ORDER BY created_at ASC'),
+      deleteAlertRule: this.db.prepare('DELETE FROM alert_rules WHERE id = ?'),
+      upsertWatch: this.db.prepare(`
+        INSERT INTO watchlist (mint, created_at, data) VALUES (@mint, @createdAt, @data)
+        ON CONFLICT (mint) DO UPDATE SET data = excluded.data
+      `),
+      getWatch: this.db.prepare('SELECT data FROM watchlist WHERE mint = ?'),
+      listWatches: this.db.prepare('SELECT data FROM watchlist ORDER BY created_at DESC'),
+      deleteWatch: this.db.prepare('DELETE FROM watchlist WHERE mint = ?'),
+      upsertTrackedWallet: this.db.prepare(`
+        INSERT INTO tracked_wallets (address, created_at, data) VALUES (@address, @createdAt, @data)
+        ON CONFLICT (address) DO UPDATE SET data = excluded.data
+      `),
+      getTrackedWallet: this.db.prepare('SELECT data FROM tracked_wallets WHERE address = ?'),
+      listTrackedWallets: this.db.prepare('SELECT data FROM tracked_wallets ORDER BY created_at ASC'),
+      deleteTrackedWallet: this.db.prepare('DELETE FROM tracked_wallets WHERE address = ?'),
+      upsertSetting: this.db.prepare(`
+        INSERT INTO settings (key, data) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET data = excluded.data
+      `),
+      getSetting: this.db.prepare('SELECT data FROM settings WHERE key = ?'),
+      upsertWallet: this.db.prepare(`
+        INSERT INTO wallets (address, updated_at, graduated, data) VALUES (@address, @updatedAt, @graduated, @data)
+        ON CONFLICT (address) DO UPDATE SET updated_at = excluded.updated_at, graduated = excluded.graduated, data = excluded.data
+      `),
+      insertWalletMint: this.db.prepare('INSERT OR IGNORE INTO wallet_mints (mint, address) VALUES (?, ?)'),
+      getWallet: this.db.prepare('SELECT data FROM wallets WHERE address = ?'),
+      getWalletByMint: this.db.prepare(`
+        SELECT wallets.data FROM wallet_mints JOIN wallets ON wallets.address = wallet_mints.address
+        WHERE wallet_mints.mint = ?
+      `)
+    };
+  }
+
+  savePool(pool) {
+    this.statements.upsertPool.run({
+      signature: pool.signature,
+      programId: pool.programId || null,
+      poolAddress: pool.poolAddress || null,
+      tokenMintA: pool.tokenMintA || null,
+      tokenMintB: pool.tokenMintB || null,
+      detectedAt: toMillis(pool.timestamp),
+      data: JSON.stringify(pool)
+    });
+  }
+
+  listPools({ limit, cursor } = {}) {
+    return this.queryPools(parseQuery('pools', { limit, cursor }));
+  }
+
+  queryPools(query) {
+    return this.query(COLLECTIONS.pools, query);
+  }
+
+  countPools() {
+    return this.statements.countPools.get().count;
+  }
+
+  clearPools() {
+    this.statements.clearPools.run();
+  }
+
+  saveGraduate(graduate) {
+    this.statements.upsertGraduate.run({
+      mint: graduate.mint,
+      graduatedAt: toMillis(graduate.graduatedAt || graduate.timestamp),
+      updatedAt: Date.now(),
+      data: JSON.stringify(graduate)
+    });
+  }
+
+  getGraduate(mint) {
+    const row = this.statements.getGraduate.get(mint);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listGraduates({ limit, cursor } = {}) {
+    return this.queryGraduates(parseQuery('graduates', { limit, cursor }));
+  }
+
+  queryGraduates(query) {
+    return this.query(COLLECTIONS.graduates, query);
+  }
+
+  countGraduates() {
+    return this.statements.countGraduates.get().count;
+  }
+
+  saveSnapshot(mint, snapshot, recordedAt = Date.now()) {
+    this.statements.insertSnapshot.run(mint, recordedAt, JSON.stringify(snapshot));
+  }
+
+  listSnapshots(mint) {
+    return this.statements.listSnapshots.all(mint).map(row => ({
+      recordedAt: row.recorded_at,
+      ...JSON.parse(row.data)
+    }));
+  }
+
+  // Returns true when the key had not been seen before
+  markSeen(namespace, key) {
+    return this.statements.insertSeen.run(namespace, key, Date.now()).changes > 0;
+  }
+
+  hasSeen(namespace, key) {
+    return !!this.statements.hasSeen.get(namespace, key);
+  }
+
+  clearSeen(namespace) {
+    this.statements.clearSeen.run(namespace);
+  }
+
+  countSeen(namespace) {
+    return this.statements.countSeen.get(namespace).count;
+  }
+
+  saveAlertRule(rule) {
+    this.statements.upsertAlertRule.run({ id: rule.id, createdAt: rule.createdAt, data: JSON.stringify(rule) });
+  }
+
+  getAlertRule(id) {
+    const row = this.statements.getAlertRule.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listAlertRules() {
+    return this.statements.listAlertRules.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteAlertRule(id) {
+    return this.statements.deleteAlertRule.run(id).changes > 0;
+  }
+
+  // Watchlist entries (lib/watchlist.js), one per starred graduate
+  saveWatch(watch) {
+    this.statements.upsertWatch.run({ mint: watch.mint, createdAt: watch.createdAt, data: JSON.stringify(watch) });
+  }
+
+  getWatch(mint) {
+    const row = this.statements.getWatch.get(mint);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listWatches() {
+    return this.statements.listWatches.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteWatch(mint) {
+    return this.statements.deleteWatch.run(mint).changes > 0;
+  }
+
+  // Tracked wallets (lib/tracked-wallets.js)
+  saveTrackedWallet(wallet) {
+    this.statements.upsertTrackedWallet.run({ address: wallet.address, createdAt: wallet.createdAt, data: JSON.stringify(wallet) });
+  }
+
+  getTrackedWallet(address) {
+    const row = this.statements.getTrackedWallet.get(address);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listTrackedWallets() {
+    return this.statements.listTrackedWallets.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteTrackedWallet(address) {
+    return this.statements.deleteTrackedWallet.run(address).changes > 0;
+  }
+
+  // Runtime settings that outlive a restart (e.g. the Telegram bot's /mute), stored as JSON
+  saveSetting(key, value) {
+    this.statements.upsertSetting.run(key, JSON.stringify(value));
+  }
+
+  getSetting(key) {
+    const row = this.statements.getSetting.get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Creator wallets (lib/dev-wallets.js), indexed by the mints they launched
+  saveWallet(wallet) {
+    this.db.transaction(() => {
+      this.statements.upsertWallet.run({
+        address: wallet.address,
+        updatedAt: toMillis(wallet.lastSeenAt),
+        graduated: wallet.launches.filter(launch => launch.graduatedAt).length,
+        data: JSON.stringify(wallet)
+      });
+      for (const launch of wallet.launches) {
+        this.statements.insertWalletMint.run(launch.mint, wallet.address);
+      }
+    })();
+  }
+
+  getWallet(address) {
+    const row = this.statements.getWallet.get(address);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  getWalletByMint(mint) {
+    const row = this.statements.getWalletByMint.get(mint);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Delete rows older than maxAgeMs and trim tables down to their row limits
+  applyRetention({ maxAgeMs, maxPools, maxGraduates } = {}) {
+    const removed = { pools: 0, graduates: 0, snapshots: 0, dedupeKeys: 0, wallets: 0 };
+
+    const run = this.db.transaction(() => {
+      if (maxAgeMs) {
+        const cutoff = Date.now() - maxAgeMs;
+        // Creators who ever graduated a token are kept for their reputation
+        removed.wallets += this.db.prepare('DELETE FROM wallets WHERE updated_at < ? AND graduated = 0').run(cutoff).changes;
+        this.db.prepare('DELETE FROM wallet_mints WHERE address NOT IN (SELECT address FROM wallets)').run();
+        removed.pools += this.db.prepare('DELETE FROM pools WHERE detected_at < ?').run(cutoff).changes;
+        // Watched graduates are kept while they're on the watchlist
+        removed.graduates += this.db.prepare('DELETE FROM graduates WHERE graduated_at < ? AND mint NOT IN (SELECT mint FROM watchlist)').run(cutoff).changes;
+        removed.snapshots += this.db.prepare('DELETE FROM snapshots WHERE recorded_at < ?').run(cutoff).changes;
+        removed.dedupeKeys += this.db.prepare('DELETE FROM dedupe_keys WHERE created_at < ?').run(cutoff).changes;
+      }
+      if (maxPools) {
+        removed.pools += this.db.prepare(`
+          DELETE FROM pools WHERE signature NOT IN (
+            SELECT signature FROM pools ORDER BY detected_at DESC, signature DESC LIMIT ?
+          )
+        `).run(maxPools).changes;
+      }
+      if (maxGraduates) {
+        // Watched graduates are kept on top of the newest maxGraduates
+        removed.graduates += this.db.prepare(`
+          DELETE FROM graduates WHERE mint NOT IN (
+            SELECT mint FROM graduates ORDER BY graduated_at DESC, mint DESC LIMIT ?
+          ) AND mint NOT IN (SELECT mint FROM watchlist)
+        `).run(maxGraduates).changes;
+        removed.snapshots += this.db.prepare(
+          'DELETE FROM snapshots WHERE mint NOT IN (SELECT mint FROM graduates)'
+        ).run().changes;
+      }
+    });
+    run();
+
+    return removed;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Filtered, sorted keyset pagination over a collection (see query.js)
+  query(collection, query) {
+    const { table, idColumn, timeField, timeColumn } = collection;
+    const field = name => `json_extract(data, '$.${name}')`;
+    const sortExpr = query.sort === timeField
+      ? timeColumn
+      : `COALESCE(CAST(${field(query.sort)} AS REAL), ${MISSING_SORT_VALUE})`;
+
+    const where = [];
+    const params = {};
+
+    if (query.from !== null) {
+      where.push(`${timeColumn} >= @from`);
+      params.from = query.from;
+    }
+    if (query.to !== null) {
+      where.push(`${timeColumn} <= @to`);
+      params.to = query.to;
+    }
+    if (query.programs.length > 0) {
+      const placeholders = query.programs.map((program, index) => {
+        params[`program${index}`] = program;
+        return `@program${index}`;
+      }).join(', ');
+      where.push(`(${collection.programFields.map(name => `LOWER(${field(name)}) IN (${placeholders})`).join(' OR ')})`);
+    }
+    for (const [name, minimum] of Object.entries(query.minimums)) {
+      where.push(`CAST(${field(name)} AS REAL) >= @min_${name}`);
+      params[`min_${name}`] = minimum;
+    }
+    if (query.search) {
+      params.search = `%${query.search.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+      where.push(`(${collection.searchFields.map(name => `LOWER(${field(name)}) LIKE @search ESCAPE '\\'`).join(' OR ')})`);
+    }
+
+    const filterSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table} ${filterSql}`).get(params).count;
+
+    const after = decodeCursor(query.cursor);
+    const pageWhere = [...where];
+    if (after) {
+      const comparison = query.order === 'asc' ? '>' : '<';
+      pageWhere.push(`(${sortExpr} ${comparison} @cursorValue OR (${sortExpr} = @cursorValue AND ${idColumn} ${comparison} @cursorId))`);
+      params.cursorValue = after.sortValue;
+      params.cursorId = after.id;
+    }
+
+    const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(`
+      SELECT ${idColumn} AS id, ${sortExpr} AS sort_value, data FROM ${table}
+      ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+      ORDER BY ${sortExpr} ${direction}, ${idColumn} ${direction}
+      LIMIT @limit
+    `).all({ ...params, limit: query.limit + 1 });
+
+    const hasMore = rows.length > query.limit;
+    const pageRows = rows.slice(0, query.limit);
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      items: pageRows.map(row => JSON.parse(row.data)),
+      nextCursor: hasMore && last ? encodeCursor(last.sort_value, last.id) : null,
+      total
+    };
+  }
+}
+
+module.exports = SqliteStorage;
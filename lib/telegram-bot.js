@@ -0,0 +1,239 @@
+// Telegram bot commands shared by server.js (getUpdates long polling or webhook) and the
+// PumpPortalTracker Durable Object (webhook). The bot parses commands, checks the chat is
+// authorized and formats the replies; each backend supplies its data through `handlers`.
+// Kept free of Node-only APIs so the worker bundle can import it.
+const { formatTime, formatPrice, formatUsd } = require('./notifiers/messages');
+
+const COMMANDS = [
+  ['/status', 'PumpPortal connection and counts'],
+  ['/last 10', 'Latest graduates (up to 25)'],
+  ['/token <mint>', 'Fresh Dexscreener summary'],
+  ['/mute 1h', 'Mute Telegram alerts (30m, 2h, 1d; /mute off to unmute)'],
+  ['/rules', 'Alert rules'],
+  ['/watch <mint>', 'Add a graduate to the watchlist']
+];
+
+const MAX_LAST = 25;
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000;
+const UPDATE_TYPES = ['message', 'channel_post'];
+const BOT_MODES = ['polling', 'webhook'];
+
+// Commands are opt-in through TELEGRAM_BOT_MODE: the alert token is often shared between
+// server.js and the worker, and only one of them can receive the bot's updates.
+// TELEGRAM_AUTHORIZED_CHAT_IDS defaults to TELEGRAM_CHAT_ID, so the alert chat can use the commands
+function telegramBotConfigFromEnv(env) {
+  // server.js: 'polling' (getUpdates) or 'webhook'; the worker only receives webhooks
+  const mode = BOT_MODES.includes(env.TELEGRAM_BOT_MODE) ? env.TELEGRAM_BOT_MODE : null;
+  return {
+    enabled: Boolean(env.TELEGRAM_BOT_TOKEN && mode),
+    botToken: env.TELEGRAM_BOT_TOKEN || null,
+    authorizedChatIds: (env.TELEGRAM_AUTHORIZED_CHAT_IDS || env.TELEGRAM_CHAT_ID || '')
+      .split(',').map(chatId => chatId.trim()).filter(Boolean),
+    mode,
+    webhookUrl: env.TELEGRAM_WEBHOOK_URL || null,
+    // Telegram echoes it in X-Telegram-Bot-Api-Secret-Token on every webhook update
+    webhookSecret: env.TELEGRAM_WEBHOOK_SECRET || null
+  };
+}
+
+// "/last@MyBot 10" -> { command: 'last', args: ['10'] }; null for anything that isn't a command
+function parseCommand(text) {
+  const match = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), args: (match[2] || '').split(/\s+/).filter(Boolean) };
+}
+
+// "30m", "1h", "1.5h", "2d" (a bare number is minutes) -> milliseconds, or null
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*(m|min|h|d)?$/i.exec(text || '');
+  if (!match) return null;
+  const unit = { m: 60000, min: 60000, h: 3600000, d: 86400000 }[(match[2] || 'm').toLowerCase()];
+  const ms = parseFloat(match[1]) * unit;
+  return ms > 0 ? ms : null;
+}
+
+// Legacy Markdown has no entities inside plain text, so symbols like SOME_TOKEN need escaping
+function escapeMarkdown(value) {
+  return String(value).replace(/([_*`[])/g, '\\$1');
+}
+
+const isMint = value => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value || '');
+
+const percent = value => (value === null || value === undefined || value === '' ? '?' : `${value > 0 ? '+' : ''}${value}%`);
+
+function formatGraduates(graduates) {
+  if (graduates.length === 0) return '📭 No graduates yet';
+  const lines = [`🎓 *Last ${graduates.length} graduate${graduates.length === 1 ? '' : 's'}*`, ''];
+  graduates.forEach((graduate, index) => {
+    lines.push(`${index + 1}. *${escapeMarkdown(graduate.symbol || 'Unknown')}* · MC ${formatUsd(graduate.marketCap)} · ${formatTime(new Date(graduate.graduatedAt))}`);
+    lines.push(`\`${graduate.mint}\``);
+  });
+  return lines.join('\n');
+}
+
+// Summary of the most liquid Dexscreener pair for a mint (plus what we stored when it graduated)
+function formatTokenSummary(mint, pairs, graduate, watched) {
+  const pair = (pairs || [])
+    .filter(entry => entry.baseToken && entry.baseToken.address === mint)
+    .sort((a, b) => ((b.liquidity && b.liquidity.usd) || 0) - ((a.liquidity && a.liquidity.usd) || 0))[0];
+  const symbol = (pair && pair.baseToken.symbol) || (graduate && graduate.symbol) || 'Unknown';
+  const name = (pair && pair.baseToken.name) || (graduate && graduate.name) || 'Unknown Token';
+
+  const lines = [`🪙 *${escapeMarkdown(symbol)}* (${escapeMarkdown(name)})`, ''];
+  if (pair) {
+    lines.push(`💰 *Price:* ${formatPrice(pair.priceUsd)}`);
+    lines.push(`📊 *Market Cap:* ${formatUsd(pair.marketCap || pair.fdv)}`);
+    lines.push(`💧 *Liquidity:* ${formatUsd(pair.liquidity && pair.liquidity.usd)}`);
+    lines.push(`📈 *Volume:* ${formatUsd(pair.volume && pair.volume.h1)} 1h · ${formatUsd(pair.volume && pair.volume.h24)} 24h`);
+    lines.push(`📉 *Change:* ${percent(pair.priceChange && pair.priceChange.h1)} 1h · ${percent(pair.priceChange && pair.priceChange.h24)} 24h`);
+    lines.push(`🏪 *DEX:* ${escapeMarkdown(pair.dexId)}`);
+  } else {
+    lines.push('❔ No Dexscreener pairs yet');
+  }
+  if (graduate) lines.push(`🎓 *Graduated:* ${formatTime(new Date(graduate.graduatedAt))}`);
+  if (watched) lines.push('⭐ On the watchlist');
+
+  lines.push('', `• [Pump.fun](https://pump.fun/${mint})`);
+  if (pair && pair.url) lines.push(`• [Dexscreener](${pair.url})`);
+  lines.push('', `\`${mint}\``);
+  return lines.join('\n');
+}
+
+function formatRules(rules) {
+  if (rules.length === 0) return '🎯 No alert rules - every graduate is alerted';
+  const lines = ['🎯 *Alert rules*', ''];
+  for (const rule of rules) {
+    const conditions = Object.entries(rule.conditions || {})
+      .map(([key, value]) => `${key} ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join(' · ');
+    lines.push(`${rule.enabled ? '✅' : '⏸️'} *${escapeMarkdown(rule.name)}*${rule.chatId ? ` → chat ${rule.chatId}` : ''}`);
+    lines.push(`    ${escapeMarkdown(conditions || 'no conditions')}`);
+  }
+  return lines.join('\n');
+}
+
+// handlers (sync or async):
+//   status() -> [{ emoji, label, value }]      recentGraduates(limit) -> graduates, newest first
+//   findGraduate(mint) -> graduate | null       fetchPairs(mint) -> Dexscreener pairs
+//   alertRules() -> rules                       isWatched(mint) -> boolean
+//   watch(graduate) -> { watch, created }       getMutedUntil() / setMutedUntil(epoch ms | null)
+function createTelegramBot({ botToken, authorizedChatIds }, { fetch, handlers }) {
+  // Bot API call; requestOptions goes to fetch as a third argument (server.js's HTTP client timeouts)
+  async function api(method, params = {}, requestOptions = undefined) {
+    const response = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    }, requestOptions);
+    const result = await response.json();
+    if (!result.ok) {
+      throw new Error(`Telegram API error: ${result.description || response.status}`);
+    }
+    return result.result;
+  }
+
+  const commands = {
+    async status() {
+      const mutedUntil = await handlers.getMutedUntil();
+      const fields = [
+        ...(await handlers.status()),
+        { emoji: '🔔', label: 'Telegram alerts', value: mutedUntil && mutedUntil > Date.now() ? `muted until ${formatTime(new Date(mutedUntil))}` : 'on' }
+      ];
+      return ['📡 *Status*', '', ...fields.map(field => `${field.emoji} *${field.label}:* ${escapeMarkdown(field.value)}`)].join('\n');
+    },
+
+    async last([count]) {
+      const limit = count === undefined ? 10 : parseInt(count, 10);
+      if (!Number.isInteger(limit) || limit < 1) return '❌ Usage: /last 10';
+      return formatGraduates(await handlers.recentGraduates(Math.min(limit, MAX_LAST)));
+    },
+
+    async token([mint]) {
+      if (!isMint(mint)) return '❌ Usage: /token <mint>';
+      const [pairs, graduate, watched] = await Promise.all([handlers.fetchPairs(mint), handlers.findGraduate(mint), handlers.isWatched(mint)]);
+      return formatTokenSummary(mint, pairs, graduate, watched);
+    },
+
+    async mute([duration]) {
+      if (duration === 'off') {
+        await handlers.setMutedUntil(null);
+        return '🔔 Telegram alerts unmuted';
+      }
+      const ms = parseDuration(duration || '1h');
+      if (!ms || ms > MAX_MUTE_MS) return '❌ Usage: /mute 1h (30m, 2h, 1d, at most 7d) or /mute off';
+      const mutedUntil = Date.now() + ms;
+      await handlers.setMutedUntil(mutedUntil);
+      return `🔇 Telegram alerts muted until ${formatTime(new Date(mutedUntil))}`;
+    },
+
+    async rules() {
+      return formatRules(await handlers.alertRules());
+    },
+
+    async watch([mint]) {
+      if (!isMint(mint)) return '❌ Usage: /watch <mint>';
+      const graduate = await handlers.findGraduate(mint);
+      if (!graduate) return `❌ \`${mint}\` is not a known graduate`;
+      const { watch, created } = await handlers.watch(graduate);
+      const symbol = escapeMarkdown(watch.symbol || watch.mint);
+      return created
+        ? `⭐ Watching *${symbol}* - set its alerts from the dashboard or PUT /api/watchlist/${watch.mint}`
+        : `⭐ *${symbol}* is already on the watchlist (${watch.alerts.length} alerts)`;
+    },
+
+    help() {
+      return ['🤖 *Commands*', '', ...COMMANDS.map(([usage, description]) => `${escapeMarkdown(usage)} - ${description}`)].join('\n');
+    }
+  };
+  commands.start = commands.help;
+
+  // Answer one update from getUpdates or the webhook; returns true when a command was answered.
+  // Commands from chats outside authorizedChatIds are logged and ignored.
+  async function handleUpdate(update) {
+    const message = update.message || update.channel_post;
+    const parsed = message && parseCommand(message.text);
+    if (!parsed) return false;
+
+    const chatId = String(message.chat.id);
+    if (!authorizedChatIds.includes(chatId)) {
+      console.warn(`⛔ Ignoring Telegram /${parsed.command} from unauthorized chat ${chatId}`);
+      return false;
+    }
+
+    let text;
+    if (!commands[parsed.command]) {
+      text = `❔ Unknown command /${escapeMarkdown(parsed.command)} - try /help`;
+    } else {
+      console.log(`🤖 Telegram /${parsed.command} from chat ${chatId}`);
+      try {
+        text = await commands[parsed.command](parsed.args);
+      } catch (error) {
+        console.error(`❌ Telegram /${parsed.command} failed:`, error.message);
+        text = `❌ /${parsed.command} failed: ${escapeMarkdown(error.message)}`;
+      }
+    }
+
+    await api('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown', disable_web_page_preview: true });
+    return true;
+  }
+
+  return {
+    api,
+    handleUpdate,
+    // Long poll: resolves after timeoutSeconds with no updates
+    getUpdates: (offset, timeoutSeconds = 30) =>
+      api('getUpdates', { offset, timeout: timeoutSeconds, allowed_updates: UPDATE_TYPES }, { timeoutMs: (timeoutSeconds + 10) * 1000 }),
+    setWebhook: (url, secret = null) =>
+      api('setWebhook', { url, allowed_updates: UPDATE_TYPES, ...(secret ? { secret_token: secret } : {}) })
+  };
+}
+
+module.exports = {
+  COMMANDS,
+  telegramBotConfigFromEnv,
+  parseCommand,
+  parseDuration,
+  escapeMarkdown,
+  formatTokenSummary,
+  createTelegramBot
+};
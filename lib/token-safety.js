@@ -0,0 +1,309 @@
+// On-chain token safety checks: mint / freeze authority, supply and Token-2022 extensions,
+// top holder concentration and whether the pool's LP tokens are burned or locked, rolled up
+// into a 0-100 risk score (higher is riskier) and a list of flags.
+// Used by server.js for graduates and Helius-detected pools. Like lib/backfill.js, it only talks
+// to the chain through `rpc(method, params)`, so nothing here depends on Node APIs.
+const bs58 = require('bs58').default;
+const { PROGRAM_IDS } = require('./programs');
+
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+// Quote mints - a pool's other mint is the one worth checking
+const QUOTE_MINTS = [
+  'So11111111111111111111111111111111111111112', // Wrapped SOL
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY2oPWpxZ9BxQnVD' // USDT
+];
+
+// AMM authorities that own pool vaults, so their balances aren't counted as holders
+const POOL_AUTHORITIES = [
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL' // Raydium CP-Swap
+];
+
+// Lockers whose escrow accounts hold locked LP tokens (SAFETY_LP_LOCKER_PROGRAMS adds more)
+const DEFAULT_LOCKER_PROGRAMS = [
+  'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m' // Streamflow
+];
+
+// PumpSwap Pool account: 8-byte discriminator, bump (u8), index (u16), creator, base mint,
+// quote mint, then lp_mint at 107, the two vaults, lp_supply (u64) at 203 and coin_creator at
+// 211 (the pump.fun launcher; missing or zeroed on pools created before it was added)
+const PUMPSWAP_POOL_SLICE = { offset: 107, length: 136 };
+const DEFAULT_PUBKEY = '11111111111111111111111111111111';
+
+// Points added to the risk score per flag
+const FLAG_WEIGHTS = {
+  mint_authority: 30,
+  freeze_authority: 25,
+  permanent_delegate: 30,
+  non_transferable: 40,
+  default_frozen: 25,
+  transfer_fee: 15,
+  transfer_hook: 15,
+  mint_close_authority: 5,
+  top_holder: 15,
+  top10_holders: 15,
+  lp_unlocked: 25
+};
+
+function safetyConfigFromEnv(env, fallbackRpcUrl = null) {
+  const lockers = (env.SAFETY_LP_LOCKER_PROGRAMS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return {
+    enabled: env.SAFETY_CHECKS !== 'false',
+    rpcUrl: env.SAFETY_RPC_URL || fallbackRpcUrl || null,
+    topHolderPercent: parseFloat(env.SAFETY_TOP_HOLDER_PERCENT || '20'),
+    top10Percent: parseFloat(env.SAFETY_TOP10_PERCENT || '50'),
+    // LP share that has to be burned or locked for the liquidity to count as safe
+    lpSafePercent: parseFloat(env.SAFETY_LP_SAFE_PERCENT || '95'),
+    lockerPrograms: [...DEFAULT_LOCKER_PROGRAMS, ...lockers]
+  };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+function base64ToBytes(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function readU64(bytes, offset) {
+  let value = 0n;
+  for (let i = 7; i >= 0; i--) value = (value << 8n) | BigInt(bytes[offset + i]);
+  return value;
+}
+
+// The pool's non-quote mint, falling back to mint A
+function analyzedMint(mintA, mintB) {
+  if (mintA && QUOTE_MINTS.includes(mintA) && mintB) return mintB;
+  return mintA || mintB || null;
+}
+
+async function getParsedAccounts(rpc, addresses) {
+  if (addresses.length === 0) return [];
+  const result = await rpc('getMultipleAccounts', [addresses, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  return (result && result.value) || [];
+}
+
+// Authorities, supply and Token-2022 extensions from the parsed mint account
+async function inspectMint(rpc, mint) {
+  const result = await rpc('getAccountInfo', [mint, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  const account = result && result.value;
+  const parsed = account && account.data && account.data.parsed;
+  if (!parsed || parsed.type !== 'mint') throw new Error(`${mint} is not a token mint`);
+
+  const info = parsed.info;
+  const extensions = info.extensions || [];
+  const extension = name => extensions.find(entry => entry.extension === name);
+  const transferFee = extension('transferFeeConfig');
+  const defaultState = extension('defaultAccountState');
+
+  return {
+    program: account.owner === TOKEN_2022_PROGRAM ? 'token-2022' : account.owner === TOKEN_PROGRAM ? 'token' : account.owner,
+    mintAuthority: info.mintAuthority || null,
+    freezeAuthority: info.freezeAuthority || null,
+    supply: info.supply,
+    decimals: info.decimals,
+    extensions: extensions.map(entry => entry.extension),
+    transferFeeBps: transferFee ? transferFee.state?.newerTransferFee?.transferFeeBasisPoints || 0 : 0,
+    transferHookProgram: extension('transferHook')?.state?.programId || null,
+    permanentDelegate: extension('permanentDelegate')?.state?.delegate || null,
+    mintCloseAuthority: extension('mintCloseAuthority')?.state?.closeAuthority || null,
+    nonTransferable: Boolean(extension('nonTransferable')),
+    defaultAccountState: defaultState ? defaultState.state?.accountState || null : null
+  };
+}
+
+// Largest token accounts with their owners. Accounts that are pool vaults, or owned by a pool
+// or AMM authority, hold liquidity rather than supply, so they're listed but not counted.
+async function inspectHolders(rpc, mint, supply, { excludeAccounts = [], excludeOwners = [] } = {}) {
+  const result = await rpc('getTokenLargestAccounts', [mint, { commitment: 'confirmed' }]);
+  const largest = (result && result.value) || [];
+  const accounts = await getParsedAccounts(rpc, largest.map(entry => entry.address));
+  const total = Number(supply);
+  const ignoredOwners = [...POOL_AUTHORITIES, ...excludeOwners];
+
+  const holders = largest.map((entry, index) => {
+    const owner = accounts[index]?.data?.parsed?.info?.owner || null;
+    return {
+      address: entry.address,
+      owner,
+      amount: entry.amount,
+      percent: total > 0 ? round((Number(entry.amount) / total) * 100) : 0,
+      pool: excludeAccounts.includes(entry.address) || (owner !== null && ignoredOwners.includes(owner))
+    };
+  });
+
+  const counted = holders.filter(holder => !holder.pool);
+  return {
+    topHolderPercent: counted.length > 0 ? counted[0].percent : 0,
+    top10Percent: round(counted.slice(0, 10).reduce((sum, holder) => sum + holder.percent, 0)),
+    top: holders.slice(0, 10)
+  };
+}
+
+// LP mint, vaults, the LP supply minted so far and the coin creator from a PumpSwap pool
+// account, null for other pools
+async function readPumpSwapPool(rpc, pool) {
+  const result = await rpc('getAccountInfo', [pool, { encoding: 'base64', dataSlice: PUMPSWAP_POOL_SLICE, commitment: 'confirmed' }]);
+  const account = result && result.value;
+  if (!account || account.owner !== PROGRAM_IDS['PumpSwap AMM']) return null;
+
+  const bytes = base64ToBytes(account.data[0]);
+  if (bytes.length < 104) return null;
+  const coinCreator = bytes.length >= 136 ? bs58.encode(bytes.slice(104, 136)) : null;
+  return {
+    lpMint: bs58.encode(bytes.slice(0, 32)),
+    vaults: [bs58.encode(bytes.slice(32, 64)), bs58.encode(bytes.slice(64, 96))],
+    mintedLpSupply: readU64(bytes, 96).toString(),
+    coinCreator: coinCreator === DEFAULT_PUBKEY ? null : coinCreator
+  };
+}
+
+// Share of the LP supply that's burned (gone from the supply, or sitting in the incinerator)
+// or held by a locker program. `mintedLpSupply` is the total ever minted, when the pool records it.
+async function inspectLiquidity(rpc, lpMint, { mintedLpSupply = null, lockerPrograms = DEFAULT_LOCKER_PROGRAMS } = {}) {
+  const result = await rpc('getAccountInfo', [lpMint, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  const info = result?.value?.data?.parsed?.info;
+  if (!info) throw new Error(`LP mint ${lpMint} not found`);
+
+  const supply = Number(info.supply);
+  const minted = mintedLpSupply !== null ? Math.max(Number(mintedLpSupply), supply) : supply;
+  if (minted === 0) {
+    return { lpMint, supply: info.supply, burnedPercent: 100, lockedPercent: 0 };
+  }
+
+  let burned = minted - supply;
+  let locked = 0;
+  if (supply > 0) {
+    const largest = (await rpc('getTokenLargestAccounts', [lpMint, { commitment: 'confirmed' }]))?.value || [];
+    const accounts = await getParsedAccounts(rpc, largest.map(entry => entry.address));
+    const owners = accounts.map(account => account?.data?.parsed?.info?.owner || null);
+    // Escrow owners are accounts of the locker program, so look up who owns them
+    const ownerAddresses = [...new Set(owners.filter(owner => owner && owner !== INCINERATOR))];
+    const ownerAccounts = await getParsedAccounts(rpc, ownerAddresses);
+    const lockerOwned = new Set(ownerAddresses.filter((owner, index) =>
+      ownerAccounts[index] && lockerPrograms.includes(ownerAccounts[index].owner)
+    ));
+
+    largest.forEach((entry, index) => {
+      if (owners[index] === INCINERATOR) burned += Number(entry.amount);
+      else if (lockerOwned.has(owners[index]) || lockerPrograms.includes(owners[index])) locked += Number(entry.amount);
+    });
+  }
+
+  return {
+    lpMint,
+    supply: info.supply,
+    burnedPercent: round((burned / minted) * 100),
+    lockedPercent: round((locked / minted) * 100)
+  };
+}
+
+function flag(id, severity, message) {
+  return { id, severity, message };
+}
+
+// Flags raised by the collected checks
+function riskFlags({ mint, holders, liquidity }, config) {
+  const flags = [];
+  if (mint) {
+    if (mint.mintAuthority) flags.push(flag('mint_authority', 'high', 'Mint authority not revoked - supply can be inflated'));
+    if (mint.freezeAuthority) flags.push(flag('freeze_authority', 'high', 'Freeze authority not revoked - holders can be frozen'));
+    if (mint.permanentDelegate) flags.push(flag('permanent_delegate', 'high', 'Permanent delegate can move or burn any balance'));
+    if (mint.nonTransferable) flags.push(flag('non_transferable', 'high', 'Token is non-transferable'));
+    if (mint.defaultAccountState === 'frozen') flags.push(flag('default_frozen', 'high', 'New token accounts start frozen'));
+    if (mint.transferFeeBps > 0) flags.push(flag('transfer_fee', 'medium', `Transfer fee of ${mint.transferFeeBps / 100}%`));
+    if (mint.transferHookProgram) flags.push(flag('transfer_hook', 'medium', `Transfers call hook program ${mint.transferHookProgram}`));
+    if (mint.mintCloseAuthority) flags.push(flag('mint_close_authority', 'low', 'Mint account can be closed'));
+  }
+  if (holders) {
+    if (holders.topHolderPercent > config.topHolderPercent) {
+      flags.push(flag('top_holder', 'medium', `Largest holder owns ${holders.topHolderPercent}% of supply`));
+    }
+    if (holders.top10Percent > config.top10Percent) {
+      flags.push(flag('top10_holders', 'medium', `Top 10 holders own ${holders.top10Percent}% of supply`));
+    }
+  }
+  if (liquidity && liquidity.status === 'unlocked') {
+    flags.push(flag('lp_unlocked', 'high', `Only ${round(liquidity.burnedPercent + liquidity.lockedPercent)}% of LP tokens burned or locked`));
+  }
+  return flags;
+}
+
+function riskLevel(score) {
+  if (score >= 50) return 'high';
+  if (score >= 20) return 'medium';
+  return 'low';
+}
+
+// Run every check for a mint. Options: pool (address, for PumpSwap LP lookup and holder
+// exclusion), lpMint, excludeAccounts (pool vaults). A failed check is reported under
+// `errors` and the score is computed from the checks that did run.
+async function analyzeTokenSafety(rpc, mint, options = {}, config = safetyConfigFromEnv({})) {
+  const errors = [];
+  const attempt = async (check, run) => {
+    try {
+      return await run();
+    } catch (error) {
+      errors.push({ check, error: error.message });
+      return null;
+    }
+  };
+
+  const pumpSwapPool = options.pool && !options.lpMint
+    ? await attempt('pool', () => readPumpSwapPool(rpc, options.pool))
+    : null;
+  const lpMint = options.lpMint || (pumpSwapPool && pumpSwapPool.lpMint) || null;
+
+  const mintInfo = await attempt('mint', () => inspectMint(rpc, mint));
+  const holders = mintInfo
+    ? await attempt('holders', () => inspectHolders(rpc, mint, mintInfo.supply, {
+      excludeAccounts: [...(options.excludeAccounts || []), ...(pumpSwapPool ? pumpSwapPool.vaults : [])],
+      excludeOwners: options.pool ? [options.pool] : []
+    }))
+    : null;
+  const liquidityInfo = lpMint
+    ? await attempt('liquidity', () => inspectLiquidity(rpc, lpMint, {
+      mintedLpSupply: pumpSwapPool ? pumpSwapPool.mintedLpSupply : null,
+      lockerPrograms: config.lockerPrograms
+    }))
+    : null;
+  const liquidity = liquidityInfo
+    ? {
+      ...liquidityInfo,
+      status: liquidityInfo.burnedPercent >= config.lpSafePercent ? 'burned'
+        : liquidityInfo.burnedPercent + liquidityInfo.lockedPercent >= config.lpSafePercent ? 'locked'
+          : 'unlocked'
+    }
+    : null;
+
+  const flags = riskFlags({ mint: mintInfo, holders, liquidity }, config);
+  // Without the mint account there's nothing to score
+  const riskScore = mintInfo ? Math.min(100, flags.reduce((sum, entry) => sum + FLAG_WEIGHTS[entry.id], 0)) : null;
+
+  return {
+    mint,
+    checkedAt: new Date().toISOString(),
+    riskScore,
+    riskLevel: riskScore === null ? 'unknown' : riskLevel(riskScore),
+    flags,
+    token: mintInfo,
+    holders,
+    liquidity,
+    errors
+  };
+}
+
+module.exports = {
+  QUOTE_MINTS,
+  FLAG_WEIGHTS,
+  safetyConfigFromEnv,
+  analyzedMint,
+  readPumpSwapPool,
+  analyzeTokenSafety
+};
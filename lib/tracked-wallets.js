@@ -0,0 +1,87 @@
+// Tracked ("smart money") wallets for server.js: wallets whose trades are followed over PumpPortal's
+// account-trade subscription, and the correlation of their buys with tokens that just graduated or
+// whose pool was just detected. A buy within the wallet's window after that becomes a tracked buy event.
+
+// Tracked buys kept in memory for /api/tracked-wallets/buys and new SSE clients
+const MAX_RECENT_BUYS = 200;
+
+function trackedWalletConfigFromEnv(env) {
+  return {
+    // Comma-separated wallets tracked from startup, alongside those added through the API
+    wallets: (env.TRACKED_WALLETS || '').split(',').map(address => address.trim()).filter(Boolean),
+    // A buy is reported when it comes at most this long after the graduation / pool detection
+    windowMinutes: parseFloat(env.TRACKED_WALLET_WINDOW_MINUTES || '60')
+  };
+}
+
+// Thrown for malformed tracked wallet payloads; the API maps it to a 400
+class TrackedWalletValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrackedWalletValidationError';
+  }
+}
+
+// Validate a create/update payload ({ label, windowMinutes }) and return the normalised wallet.
+// windowMinutes null uses TRACKED_WALLET_WINDOW_MINUTES.
+function buildTrackedWallet(input, address, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TrackedWalletValidationError('Tracked wallet must be a JSON object');
+  }
+
+  const label = input.label !== undefined ? input.label : (existing ? existing.label : null);
+  if (label !== null && (typeof label !== 'string' || label.length > 64)) {
+    throw new TrackedWalletValidationError('label must be a string of at most 64 characters');
+  }
+
+  const windowMinutes = input.windowMinutes !== undefined ? input.windowMinutes : (existing ? existing.windowMinutes : null);
+  if (windowMinutes !== null && (typeof windowMinutes !== 'number' || !Number.isFinite(windowMinutes) || windowMinutes <= 0)) {
+    throw new TrackedWalletValidationError('windowMinutes must be a positive number');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    address,
+    label: label === null ? null : label.trim() || null,
+    windowMinutes,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// The tracked buy event for a PumpPortal buy by `wallet`, or null when the token isn't a known
+// graduate / detected pool or the buy falls outside the wallet's window after it
+function correlateBuy(message, wallet, { graduate = null, pool = null }, defaultWindowMinutes, now = Date.now()) {
+  if (message.txType !== 'buy' || (!graduate && !pool)) return null;
+
+  const referenceAt = new Date(graduate ? graduate.graduatedAt : pool.timestamp).getTime();
+  if (!Number.isFinite(referenceAt)) return null;
+  const minutesAfter = (now - referenceAt) / 60000;
+  if (minutesAfter < 0 || minutesAfter > (wallet.windowMinutes || defaultWindowMinutes)) return null;
+
+  const poolSide = pool && pool.tokenMintB === message.mint ? 'B' : 'A';
+  return {
+    wallet: wallet.address,
+    label: wallet.label,
+    mint: message.mint,
+    symbol: graduate ? graduate.symbol : pool[`tokenSymbol${poolSide}`],
+    name: graduate ? graduate.name : pool[`tokenName${poolSide}`],
+    source: graduate ? 'graduate' : 'pool',
+    dex: graduate ? graduate.graduationDex : pool.program,
+    solAmount: parseFloat(message.solAmount) || 0,
+    tokenAmount: parseFloat(message.tokenAmount) || null,
+    marketCapSol: parseFloat(message.marketCapSol) || null,
+    signature: message.signature || null,
+    minutesAfter: Math.round(minutesAfter * 10) / 10,
+    referenceAt: new Date(referenceAt).toISOString(),
+    boughtAt: new Date(now).toISOString()
+  };
+}
+
+module.exports = {
+  MAX_RECENT_BUYS,
+  trackedWalletConfigFromEnv,
+  TrackedWalletValidationError,
+  buildTrackedWallet,
+  correlateBuy
+};
@@ -0,0 +1,156 @@
+// Watchlist shared by server.js and the PumpPortalTracker Durable Object: graduates starred from
+// the dashboard, each with its own alerts checked whenever its trading data is refreshed.
+// Kept free of Node-only APIs so the worker bundle can import it.
+//
+// An alert fires when its condition becomes true (on the first check when it already holds) and
+// re-arms once the condition is false again, so a market cap hovering around a threshold alerts
+// on each crossing rather than on every refresh.
+
+const MAX_ALERTS_PER_WATCH = 10;
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const graduatePrice = graduate => toNumber(graduate.priceUsdCurrent || graduate.priceUsd);
+
+// % change of the current price from the price when the token was starred
+function changeFromWatchPrice(watch, graduate) {
+  const price = graduatePrice(graduate);
+  if (price === null || !watch.watchPrice) return null;
+  return Math.round(((price - watch.watchPrice) / watch.watchPrice) * 10000) / 100;
+}
+
+// Alert type -> the value it reads from the graduate, and whether that value meets the threshold
+const ALERT_TYPES = {
+  marketCapAbove: { read: graduate => toNumber(graduate.marketCap), met: (value, threshold) => value >= threshold },
+  marketCapBelow: { read: graduate => toNumber(graduate.marketCap), met: (value, threshold) => value <= threshold },
+  priceDropPercent: { read: (graduate, watch) => changeFromWatchPrice(watch, graduate), met: (change, percent) => change <= -percent },
+  priceRisePercent: { read: (graduate, watch) => changeFromWatchPrice(watch, graduate), met: (change, percent) => change >= percent },
+  volume1hAbove: { read: graduate => toNumber(graduate.volume1h), met: (value, threshold) => value >= threshold }
+};
+
+// Thrown for malformed watch payloads; the APIs map it to a 400
+class WatchlistValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchlistValidationError';
+  }
+}
+
+function usd(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+// "Market cap crosses above $500,000", "Price drops 30% from watch price", ...
+function describeAlert(alert) {
+  switch (alert.type) {
+    case 'marketCapAbove': return `Market cap crosses above ${usd(alert.value)}`;
+    case 'marketCapBelow': return `Market cap falls below ${usd(alert.value)}`;
+    case 'priceDropPercent': return `Price drops ${alert.value}% from watch price`;
+    case 'priceRisePercent': return `Price rises ${alert.value}% from watch price`;
+    case 'volume1hAbove': return `1h volume exceeds ${usd(alert.value)}`;
+    default: return alert.type;
+  }
+}
+
+// Alerts replace the existing list; one with the same type and value keeps its state
+function validateAlerts(alerts, existing = []) {
+  if (!Array.isArray(alerts)) {
+    throw new WatchlistValidationError('alerts must be an array');
+  }
+  if (alerts.length > MAX_ALERTS_PER_WATCH) {
+    throw new WatchlistValidationError(`At most ${MAX_ALERTS_PER_WATCH} alerts per token`);
+  }
+
+  return alerts.map((input, index) => {
+    if (!input || typeof input !== 'object' || !ALERT_TYPES[input.type]) {
+      throw new WatchlistValidationError(`alerts[${index}].type must be one of ${Object.keys(ALERT_TYPES).join(', ')}`);
+    }
+    if (typeof input.value !== 'number' || !Number.isFinite(input.value) || input.value <= 0) {
+      throw new WatchlistValidationError(`alerts[${index}].value must be a positive number`);
+    }
+    const previous = existing.find(alert => alert.type === input.type && alert.value === input.value);
+    return previous || {
+      id: globalThis.crypto.randomUUID(),
+      type: input.type,
+      value: input.value,
+      met: null,
+      triggeredAt: null
+    };
+  });
+}
+
+// Validate a create/update payload for a graduate and return the normalised watch. The watch price
+// is the graduate's price when it was starred (or at its first refresh with one), unless `watchPrice` is given.
+function buildWatch(input, graduate, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new WatchlistValidationError('Watch must be a JSON object');
+  }
+
+  let watchPrice = existing ? existing.watchPrice : graduatePrice(graduate);
+  if (input.watchPrice !== undefined) {
+    if (typeof input.watchPrice !== 'number' || !Number.isFinite(input.watchPrice) || input.watchPrice <= 0) {
+      throw new WatchlistValidationError('watchPrice must be a positive number');
+    }
+    watchPrice = input.watchPrice;
+  }
+
+  const note = input.note !== undefined ? input.note : (existing ? existing.note : null);
+  if (note !== null && typeof note !== 'string') {
+    throw new WatchlistValidationError('note must be a string');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    mint: graduate.mint,
+    symbol: graduate.symbol || null,
+    name: graduate.name || null,
+    note,
+    watchPrice,
+    watchMarketCap: existing ? existing.watchMarketCap : toNumber(graduate.marketCap),
+    alerts: input.alerts !== undefined ? validateAlerts(input.alerts, existing ? existing.alerts : []) : (existing ? existing.alerts : []),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Check a watch's alerts against freshly refreshed trading data. Updates each alert's state in
+// place; returns the alerts that fired ({ alert, value, description }) and whether anything changed.
+function evaluateWatch(watch, graduate, now = Date.now()) {
+  const triggered = [];
+  let changed = false;
+
+  if (!watch.watchPrice && graduatePrice(graduate)) {
+    watch.watchPrice = graduatePrice(graduate);
+    changed = true;
+  }
+
+  for (const alert of watch.alerts) {
+    const type = ALERT_TYPES[alert.type];
+    const value = type ? type.read(graduate, watch) : null;
+    if (value === null) continue;
+
+    const met = type.met(value, alert.value);
+    if (met && alert.met !== true) {
+      alert.triggeredAt = new Date(now).toISOString();
+      triggered.push({ alert, value, description: describeAlert(alert) });
+    }
+    if (met !== alert.met) {
+      alert.met = met;
+      changed = true;
+    }
+  }
+  return { triggered, changed };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  MAX_ALERTS_PER_WATCH,
+  WatchlistValidationError,
+  changeFromWatchPrice,
+  describeAlert,
+  buildWatch,
+  evaluateWatch
+};
@@ -0,0 +1,182 @@
+// Authentication for the inbound POST /webhook endpoint (server.js).
+//   - Helius authHeader: a shared token Helius echoes back in the Authorization header
+//   - HMAC signatures for other senders, using the same scheme as the outbound webhook
+//     notifier: X-Signature-256: sha256=<hmac of "<X-Signature-Timestamp>.<raw body>">
+//   - IP allow-listing (exact addresses or IPv4 CIDR ranges)
+// A request must come from an allowed IP (when a list is set) and carry at least one valid
+// credential (when a token or signing secret is set). Rejections are counted per reason.
+const crypto = require('crypto');
+
+const REJECTION_LOG_INTERVAL_MS = 10000;
+
+function webhookAuthConfigFromEnv(env) {
+  return {
+    authToken: env.WEBHOOK_AUTH_TOKEN || null,
+    signingSecret: env.WEBHOOK_SIGNING_SECRET || null,
+    signatureToleranceMs: parseInt(env.WEBHOOK_SIGNATURE_TOLERANCE_MS || '300000', 10),
+    allowedIps: (env.WEBHOOK_ALLOWED_IPS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    trustProxy: env.WEBHOOK_TRUST_PROXY === 'true'
+  };
+}
+
+// Compare secrets without leaking their length or contents through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+// "1.2.3.4", "10.0.0.0/8" or an exact IPv6 address
+function ipMatches(ip, entry) {
+  const [range, bits] = entry.split('/');
+  if (bits === undefined) return ip === normalizeIp(range);
+
+  const ipValue = ipv4ToNumber(ip);
+  const rangeValue = ipv4ToNumber(range);
+  const prefix = Number(bits);
+  if (ipValue === null || rangeValue === null || !(prefix >= 0 && prefix <= 32)) return false;
+
+  const size = Math.pow(2, 32 - prefix);
+  return Math.floor(ipValue / size) === Math.floor(rangeValue / size);
+}
+
+function isLoopback(ip) {
+  return ip === '127.0.0.1' || ip === '::1';
+}
+
+// The Cloudflare tunnel connects from localhost, so trust its CF-Connecting-IP there;
+// X-Forwarded-For is only trusted when WEBHOOK_TRUST_PROXY is set
+function clientIp(req, trustProxy) {
+  const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+  if (isLoopback(remote) && req.headers['cf-connecting-ip']) {
+    return normalizeIp(req.headers['cf-connecting-ip']);
+  }
+  if (trustProxy && req.headers['x-forwarded-for']) {
+    return normalizeIp(req.headers['x-forwarded-for'].split(',')[0].trim());
+  }
+  return remote;
+}
+
+function verifySignature(req, secret, toleranceMs) {
+  const header = req.headers['x-signature-256'];
+  const timestamp = req.headers['x-signature-timestamp'];
+  if (!header || !timestamp) return 'missing_signature';
+
+  if (!(Math.abs(Date.now() - Number(timestamp)) <= toleranceMs)) return 'stale_signature';
+
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return safeEqual(header.replace(/^sha256=/, ''), expected) ? null : 'invalid_signature';
+}
+
+function createWebhookAuth(config) {
+  // Token handed to Helius at webhook creation; generated by /api/scanner/start when not configured
+  let authToken = config.authToken;
+  let lastLoggedAt = 0;
+  let suppressedLogs = 0;
+
+  const metrics = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {},
+    lastRejection: null
+  };
+
+  function enabled() {
+    return !!(authToken || config.signingSecret || config.allowedIps.length > 0);
+  }
+
+  // Returns null when the request is authenticated, otherwise the rejection reason
+  function check(req) {
+    const ip = clientIp(req, config.trustProxy);
+    if (config.allowedIps.length > 0 && !config.allowedIps.some(entry => ipMatches(ip, entry))) {
+      return 'ip_not_allowed';
+    }
+    if (!authToken && !config.signingSecret) return null;
+
+    const authorization = req.headers.authorization;
+    if (authToken && authorization && safeEqual(authorization, authToken)) return null;
+
+    let reason = authorization ? 'invalid_auth_header' : 'missing_credentials';
+    if (config.signingSecret) {
+      const signatureError = verifySignature(req, config.signingSecret, config.signatureToleranceMs);
+      if (!signatureError) return null;
+      if (signatureError !== 'missing_signature' || !authToken) reason = signatureError;
+    }
+    return reason;
+  }
+
+  function recordRejection(req, reason) {
+    const ip = clientIp(req, config.trustProxy);
+    metrics.rejected++;
+    metrics.rejectedByReason[reason] = (metrics.rejectedByReason[reason] || 0) + 1;
+    metrics.lastRejection = { reason, ip, at: new Date().toISOString() };
+
+    // Throttle logging so a flood of forged requests can't drown the console
+    const now = Date.now();
+    if (now - lastLoggedAt >= REJECTION_LOG_INTERVAL_MS) {
+      const suppressed = suppressedLogs > 0 ? ` (${suppressedLogs} more rejected since last log)` : '';
+      console.log(`🚫 Rejected webhook from ${ip}: ${reason}${suppressed}`);
+      lastLoggedAt = now;
+      suppressedLogs = 0;
+    } else {
+      suppressedLogs++;
+    }
+  }
+
+  function middleware(req, res, next) {
+    const reason = check(req);
+    if (!reason) {
+      metrics.accepted++;
+      return next();
+    }
+
+    recordRejection(req, reason);
+    res.status(reason === 'ip_not_allowed' ? 403 : 401).json({
+      status: 'error',
+      error: 'Unauthorized webhook request',
+      details: reason
+    });
+  }
+
+  return {
+    middleware,
+    enabled,
+    getAuthToken: () => authToken,
+    ensureAuthToken() {
+      if (!authToken) authToken = crypto.randomBytes(24).toString('hex');
+      return authToken;
+    },
+    stats: () => ({
+      enabled: enabled(),
+      methods: {
+        authHeader: !!authToken,
+        signature: !!config.signingSecret,
+        ipAllowlist: config.allowedIps.length > 0
+      },
+      ...metrics
+    })
+  };
+}
+
+module.exports = {
+  webhookAuthConfigFromEnv,
+  createWebhookAuth,
+  ipMatches
+};
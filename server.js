@@ -1,156 +1,162 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const moment = require('moment-timezone');
 const path = require('path');
-const WebSocket = require('ws');
+const { PROGRAM_IDS, getProgramName, isMonitoredProgram } = require('./lib/programs');
+const { INSTRUCTION_KINDS, decodeInstruction, extractPoolAccounts, extractPoolParams, isValidAddress } = require('./lib/decoders');
+const { createStorage, createDedupeSet, parseQuery, QueryError } = require('./lib/storage');
+const { RuleValidationError, buildRule, evaluateRule, resolveAlertTargets } = require('./lib/alert-rules');
+const { CHANNELS, notifierConfigFromEnv, createNotifiers, notifyAll, buildGraduationMessage, buildNearGraduationMessage, buildWatchAlertMessage, buildTrackedWalletBuyMessage } = require('./lib/notifiers');
+const { createEmailNotifier } = require('./lib/notifiers/email');
+const { createHttpClient } = require('./lib/http-client');
+const { buildSeries, computeMetrics } = require('./lib/history');
+const { RpcIngestor } = require('./lib/ingestion/rpc-ingestor');
+const { normalizeWebhookPayload, flattenInstructions, createLookupTableLoader } = require('./lib/ingestion/normalize');
+const { webhookAuthConfigFromEnv, createWebhookAuth } = require('./lib/webhook-auth');
+const { ApiAuthError, apiAuthConfigFromEnv, apiAuthEnabled, extractApiKey, authorize } = require('./lib/api-auth');
+const { backfillConfigFromEnv, findMissedMigrations } = require('./lib/backfill');
+const { ResilientWebSocket } = require('./lib/resilient-websocket');
+const { bondingCurveConfigFromEnv, BondingCurveTracker } = require('./lib/bonding-curve');
+const { safetyConfigFromEnv, analyzedMint, analyzeTokenSafety } = require('./lib/token-safety');
+const { WatchlistValidationError, buildWatch, evaluateWatch } = require('./lib/watchlist');
+const { devWalletConfigFromEnv, createWallet, recordLaunch, recordGraduation, recordDevSell, devProfile, findCreator, watchedCreators } = require('./lib/dev-wallets');
+const { MAX_RECENT_BUYS, trackedWalletConfigFromEnv, TrackedWalletValidationError, buildTrackedWallet, correlateBuy } = require('./lib/tracked-wallets');
+const { telegramBotConfigFromEnv, createTelegramBot } = require('./lib/telegram-bot');
+
+// Shared client for every outbound HTTP call (timeouts, retries, per-host rate limits)
+const http = createHttpClient({
+  timeoutMs: parseInt(process.env.HTTP_TIMEOUT_MS || '10000', 10),
+  retries: parseInt(process.env.HTTP_RETRIES || '3', 10)
+});
+
+// Notification channels (Telegram, Discord, Slack, webhook, email) configured from env
+const notifiers = createNotifiers(notifierConfigFromEnv(process.env), { email: createEmailNotifier }, { fetch: http.fetch });
 
-// Telegram Bot configuration
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+// Authentication for POST /webhook (Helius authHeader, HMAC signatures, IP allow-list)
+const webhookAuth = createWebhookAuth(webhookAuthConfigFromEnv(process.env));
+
+// API keys for the management API: read-only and admin roles
+const apiAuth = apiAuthConfigFromEnv(process.env);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw webhook body for HMAC signature verification
+  verify: (req, res, buf) => {
+    if (req.path === '/webhook') req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
-// In-memory storage for pools (last 100)
-let detectedPools = [];
-const MAX_POOLS = 100;
+// Route guard: 'read' for data and status endpoints, 'admin' for anything that changes state
+function requireRole(role) {
+  return (req, res, next) => {
+    try {
+      authorize(apiAuth, role, extractApiKey(name => req.get(name), req.query, req.method));
+      next();
+    } catch (error) {
+      if (!(error instanceof ApiAuthError)) return next(error);
+      res.status(error.status).json({ status: 'error', error: error.message, details: error.details });
+    }
+  };
+}
+
+// Persistent storage for pools, graduates, enrichment snapshots and dedupe keys
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  filePath: process.env.STORAGE_PATH || undefined
+});
+
+// Retention policy applied hourly (0 disables a limit)
+const RETENTION_DAYS = parseFloat(process.env.RETENTION_DAYS || '30');
+const RETENTION_MAX_POOLS = parseInt(process.env.RETENTION_MAX_POOLS || '0', 10);
+const RETENTION_MAX_GRADUATES = parseInt(process.env.RETENTION_MAX_GRADUATES || '0', 10);
 
-// Deduplication set for transaction signatures
-const processedSignatures = new Set();
+// Most recent pools/graduates kept in memory for SSE snapshots; full history lives in storage
+const RECENT_CACHE_SIZE = 100;
+let detectedPools = storage.listPools({ limit: RECENT_CACHE_SIZE }).items;
+
+// Deduplication set for transaction signatures (persisted so restarts don't re-alert)
+const processedSignatures = createDedupeSet(storage, 'signatures');
 
 // SSE connections
 const sseClients = [];
 const moralisSSEClients = [];
+const preGraduationSSEClients = [];
+const trackedWalletSSEClients = [];
+
+// Function to check if instruction is a real pool initialization
+// Each monitored program has its own decoder matching instruction tags / Anchor discriminators;
+// `decoded` is decodeInstruction's result, shared with extractPoolData
+function isPoolInitInstruction(instruction, decoded) {
+  if (!decoded) {
+    console.log(`    ❔ Unrecognised instruction data for ${getProgramName(instruction.programId)}`);
+    return false;
+  }
 
-// Program IDs to monitor
-const PROGRAM_IDS = {
-  'Raydium AMM v4': '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
-  'Raydium CP-Swap': 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
-  'Raydium CLMM': 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
-  'Orca Whirlpools': 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
-  'Orca Token-Swap v2': '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP',
-  'Meteora DLMM': 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
-  'Pump.fun': '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
-  'PumpSwap AMM': 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
-};
-
-// Pool creation instruction patterns - expanded to catch more variants
-const POOL_INIT_PATTERNS = [
-  'initialize',
-  'initialize_pool',
-  'initializepool',
-  'create_pool',
-  'createpool',
-  'init_pool',
-  'initpool',
-  'init',
-  'setup',
-  'new_pool',
-  'newpool',
-  'deploy',
-  'launch',
-  // Raydium specific
-  'initializeamm',
-  'initialize_amm',
-  'initializeclmm',
-  'initialize_clmm',
-  'initializewhirlpool',
-  'initialize_whirlpool',
-  // Orca specific
-  'initializepool',
-  'initialize_pool_v2',
-  'initializepoolv2'
-];
-
-// Function to get program name by ID
-function getProgramName(programId) {
-  for (const [name, id] of Object.entries(PROGRAM_IDS)) {
-    if (id === programId) return name;
-  }
-  return 'Unknown';
+  console.log(`    🏷️  Decoded ${decoded.program} instruction: ${decoded.name} (${decoded.kind})`);
+  return decoded.kind === INSTRUCTION_KINDS.INITIALIZE_POOL;
 }
 
-// Function to check if instruction is pool initialization or liquidity event
-function isPoolInitInstruction(instruction) {
-  // For pump.fun specifically, we want to detect when tokens get their first liquidity
-  // This typically happens when pump.fun tokens are migrated to Raydium
-  
-  // Check if parsed data exists (unlikely with Enhanced webhooks)
-  if (instruction.parsed && instruction.parsed.type) {
-    const instructionType = instruction.parsed.type.toLowerCase();
-    return POOL_INIT_PATTERNS.some(pattern => 
-      instructionType.includes(pattern.toLowerCase())
-    );
-  }
-  
-  // For pump.fun and PumpSwap, any swap transaction indicates liquidity activity
-  // We'll capture all pump.fun/PumpSwap swaps to detect new token launches with liquidity
-  if (instruction.programId === '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P' || 
-      instruction.programId === 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA') {
-    console.log(`    🚀 Pump.fun/PumpSwap activity detected!`);
-    return true; // All pump.fun/PumpSwap transactions are of interest
-  }
-  
-  // For other programs, use the existing logic
-  if (instruction.data && instruction.accounts) {
-    const accountCount = instruction.accounts.length;
-    const hasEnoughAccounts = accountCount >= 8;
-    
-    const dataLength = instruction.data ? instruction.data.length : 0;
-    const hasComplexData = dataLength > 20;
-    
-    if (hasEnoughAccounts && hasComplexData) {
-      console.log(`    🎯 Potential pool operation: ${accountCount} accounts, ${dataLength} data length`);
-      return true;
+// Function to find the mint of a token account from the transaction's balance changes
+function resolveTokenAccountMint(tx, tokenAccount) {
+  if (!tokenAccount) return null;
+  for (const account of tx.accountData || []) {
+    for (const change of account.tokenBalanceChanges || []) {
+      if (change.tokenAccount === tokenAccount) return change.mint;
     }
   }
-  
-  return false;
+  return null;
 }
 
-// Function to extract pool data from instruction
-function extractPoolData(instruction, signature) {
+// Function to extract pool data from a decoded pool creation instruction
+function extractPoolData(instruction, decoded, tx) {
   const poolData = {
-    signature,
+    signature: tx.signature,
     programId: instruction.programId,
     program: getProgramName(instruction.programId),
+    instructionType: decoded?.name || null,
+    // Program that invoked the pool creation through CPI (null for top-level instructions)
+    invokedBy: instruction.parentProgramId || null,
     timestamp: moment().tz('Australia/Brisbane').format(),
     poolAddress: null,
     tokenMintA: null,
     tokenMintB: null,
+    lpMint: null,
+    tokenVaultA: null,
+    tokenVaultB: null,
+    creator: null,
+    ammConfig: null,
+    feeTier: null,
+    marketId: null,
+    feeBps: null,
+    tickSpacing: null,
+    binStep: null,
     tokenNameA: null,
     tokenNameB: null,
     tokenSymbolA: null,
     tokenSymbolB: null,
-    liquidity: null
+    liquidity: null,
+    liquidityUsd: null
   };
 
+  if (!decoded) return poolData;
+
   try {
-    // Extract pool address and token mints based on instruction data
-    if (instruction.parsed && instruction.parsed.info) {
-      const info = instruction.parsed.info;
-      
-      // Common fields across different programs
-      poolData.poolAddress = info.pool || info.poolState || info.whirlpool || info.ammId;
-      poolData.tokenMintA = info.tokenMintA || info.mintA || info.tokenA;
-      poolData.tokenMintB = info.tokenMintB || info.mintB || info.tokenB;
-    }
+    // Addresses come from the program's account layout for this instruction
+    Object.assign(poolData, extractPoolAccounts(instruction, decoded), extractPoolParams(decoded));
 
-    // Try to extract from accounts if not found in info
-    if (!poolData.tokenMintA || !poolData.tokenMintB) {
-      const accounts = instruction.accounts || [];
-      if (accounts.length >= 2) {
-        poolData.tokenMintA = poolData.tokenMintA || accounts[0];
-        poolData.tokenMintB = poolData.tokenMintB || accounts[1];
-      }
-    }
+    // Some programs (Token-Swap) only reference the vaults, so resolve their mints
+    poolData.tokenMintA = poolData.tokenMintA || resolveTokenAccountMint(tx, poolData.tokenVaultA);
+    poolData.tokenMintB = poolData.tokenMintB || resolveTokenAccountMint(tx, poolData.tokenVaultB);
+
+    // Fall back to the fee payer when the layout has no creator account
+    poolData.creator = poolData.creator || tx.feePayer || null;
   } catch (error) {
     console.log('Error extracting pool data:', error.message);
   }
@@ -162,16 +168,17 @@ function extractPoolData(instruction, signature) {
 async function fetchTokenMetadata(mintAddress) {
   try {
     // Try Helius metadata API first
-    const response = await axios.post(
+    // Read-only lookup, so safe to retry
+    const metadataList = await http.postJson(
       `https://api.helius.xyz/v0/token-metadata?api-key=${process.env.HELIUS_API_KEY}`,
       {
         mintAccounts: [mintAddress]
       },
-      { timeout: 3000 }
+      { timeoutMs: 3000, idempotent: true }
     );
     
-    if (response.data && response.data.length > 0) {
-      const metadata = response.data[0];
+    if (metadataList && metadataList.length > 0) {
+      const metadata = metadataList[0];
       return {
         name: metadata.onChainMetadata?.metadata?.data?.name || null,
         symbol: metadata.onChainMetadata?.metadata?.data?.symbol || null
@@ -210,20 +217,29 @@ async function fetchTokenData(poolData) {
       poolData.tokenSymbolB = metadataB.symbol;
     }
 
+    // On-chain safety checks for the pool's non-quote token
+    const safety = await checkTokenSafety(analyzedMint(poolData.tokenMintA, poolData.tokenMintB), {
+      pool: poolData.poolAddress || undefined,
+      lpMint: poolData.lpMint || undefined,
+      excludeAccounts: [poolData.tokenVaultA, poolData.tokenVaultB].filter(Boolean)
+    });
+    if (safety) poolData.safety = safety;
+
     // Also try to fetch liquidity from Dexscreener
-    const dexResponse = await axios.get(
-      `https://api.dexscreener.com/latest/dex/tokens/${poolData.tokenMintA}`,
-      { timeout: 3000 }
+    const dexResponse = await http.getJson(
+      `https://api.dexscreener.com/latest/dex/tokens/${encodeURIComponent(poolData.tokenMintA)}`,
+      { timeoutMs: 3000 }
     );
     
-    if (dexResponse.data && dexResponse.data.pairs && dexResponse.data.pairs.length > 0) {
-      const pair = dexResponse.data.pairs.find(p => 
+    if (dexResponse && dexResponse.pairs && dexResponse.pairs.length > 0) {
+      const pair = dexResponse.pairs.find(p => 
         p.baseToken.address === poolData.tokenMintA && 
         p.quoteToken.address === poolData.tokenMintB
-      ) || dexResponse.data.pairs[0];
+      ) || dexResponse.pairs[0];
       
       if (pair && pair.liquidity && pair.liquidity.usd) {
-        poolData.liquidity = `$${parseFloat(pair.liquidity.usd).toLocaleString()}`;
+        poolData.liquidityUsd = parseFloat(pair.liquidity.usd);
+        poolData.liquidity = `$${poolData.liquidityUsd.toLocaleString()}`;
       }
     }
   } catch (error) {
@@ -231,92 +247,168 @@ async function fetchTokenData(poolData) {
   }
 }
 
+// Solana JSON-RPC endpoint used to resolve address lookup tables for payloads without loadedAddresses
+const SOLANA_RPC_URL = process.env.RPC_HTTP_URL ||
+  (process.env.RPC_WS_URL ? process.env.RPC_WS_URL.replace(/^ws/, 'http') : null) ||
+  (process.env.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : null);
+
+const loadLookupTable = SOLANA_RPC_URL ? createLookupTableLoader(async address => {
+  const response = await http.postJson(
+    SOLANA_RPC_URL,
+    { jsonrpc: '2.0', id: 1, method: 'getAccountInfo', params: [address, { encoding: 'base64' }] },
+    { idempotent: true }
+  );
+  if (response.error) throw new Error(response.error.message);
+  const account = response.result && response.result.value;
+  return account ? Buffer.from(account.data[0], 'base64') : null;
+}) : null;
+
+// Function to build the `rpc(method, params)` caller the lib modules take, for one endpoint
+function createRpcCaller(url) {
+  return async (method, params) => {
+    const response = await http.postJson(
+      url,
+      { jsonrpc: '2.0', id: 1, method, params },
+      { idempotent: true }
+    );
+    if (response.error) throw new Error(`RPC ${method} error: ${response.error.message}`);
+    return response.result;
+  };
+}
+
+// Backfill of graduations missed while PumpPortal was disconnected (BACKFILL_RPC_URL or the endpoint above)
+const backfillConfig = backfillConfigFromEnv(process.env, SOLANA_RPC_URL);
+const backfillRpc = createRpcCaller(backfillConfig.rpcUrl);
+
+// On-chain safety checks for graduates and detected pools (SAFETY_RPC_URL or the endpoint above)
+const safetyConfig = safetyConfigFromEnv(process.env, SOLANA_RPC_URL);
+const safetyRpc = createRpcCaller(safetyConfig.rpcUrl);
+
+// Creator wallet profiling for graduates (DEV_RPC_URL or the endpoint above, for creators we never saw launch)
+const devConfig = devWalletConfigFromEnv(process.env, SOLANA_RPC_URL);
+const devRpc = createRpcCaller(devConfig.rpcUrl);
+
+// Function to run the safety checks for a mint; null when they're disabled or no RPC is configured
+async function checkTokenSafety(mint, options = {}) {
+  if (!mint || !safetyConfig.enabled || !safetyConfig.rpcUrl) return null;
+  try {
+    const safety = await analyzeTokenSafety(safetyRpc, mint, options, safetyConfig);
+    const flags = safety.flags.map(flag => flag.id).join(', ');
+    console.log(`🛡️ Safety check for ${mint}: risk ${safety.riskScore === null ? 'unknown' : safety.riskScore} (${safety.riskLevel})${flags ? ` - ${flags}` : ''}`);
+    return safety;
+  } catch (error) {
+    console.log(`❌ Safety check failed for ${mint}:`, error.message);
+    return null;
+  }
+}
+
 // Webhook endpoint
-app.post('/webhook', async (req, res) => {
+// Accepts Helius enhanced or raw webhooks, RPC getTransaction results and Yellowstone/Geyser updates
+app.post('/webhook', webhookAuth.middleware, async (req, res) => {
   // Respond quickly to Helius
   res.status(200).json({ status: 'received' });
 
   try {
-    const transactions = req.body;
-    if (!Array.isArray(transactions)) {
-      console.log('⚠️  Webhook received non-array data:', typeof req.body);
+    if (!req.body || typeof req.body !== 'object') {
+      console.log('⚠️  Webhook received unsupported data:', typeof req.body);
       return;
     }
 
+    const { transactions, skipped } = await normalizeWebhookPayload(req.body, { loadLookupTable });
+    if (skipped > 0) {
+      console.log(`⚠️  Webhook skipped ${skipped} payloads in an unrecognised format`);
+    }
+
     console.log(`📥 Webhook received ${transactions.length} transactions`);
+    processTransactions(transactions);
+  } catch (error) {
+    console.error('Webhook processing error:', error.message);
+  }
+});
 
-    for (const tx of transactions) {
-      if (!tx.signature || processedSignatures.has(tx.signature)) continue;
-      
-      processedSignatures.add(tx.signature);
-      
-      console.log(`🔍 Processing tx: ${tx.signature}`);
+// Function to run transactions (Helius enhanced shape) through pool detection
+// Shared by the Helius webhook and direct RPC ingestion
+function processTransactions(transactions) {
+  for (const tx of transactions) {
+    if (!tx.signature || processedSignatures.has(tx.signature)) continue;
+    
+    processedSignatures.add(tx.signature);
+    
+    console.log(`🔍 Processing tx: ${tx.signature}${tx.format && tx.format !== 'enhanced' ? ` (${tx.format})` : ''}`);
+    
+    // Check each instruction in the transaction, including inner (CPI) instructions,
+    // so pools created through migrations or aggregator-wrapped inits are caught
+    if (tx.instructions) {
+      const instructions = flattenInstructions(tx);
+      console.log(`  📋 Transaction has ${tx.instructions.length} instructions (${instructions.length} including inner)`);
       
-      // Check each instruction in the transaction
-      if (tx.instructions) {
-        console.log(`  📋 Transaction has ${tx.instructions.length} instructions`);
+      for (const instruction of instructions) {
+        const position = instruction.innerIndex === null
+          ? `#${instruction.outerIndex}`
+          : `#${instruction.outerIndex}.${instruction.innerIndex} (CPI from ${isMonitoredProgram(instruction.parentProgramId) ? getProgramName(instruction.parentProgramId) : instruction.parentProgramId})`;
+        console.log(`    🔧 Instruction ${position}: programId=${instruction.programId}`);
         
-        for (const instruction of tx.instructions) {
-          console.log(`    🔧 Instruction: programId=${instruction.programId}, parsed=${instruction.parsed ? 'yes' : 'no'}`);
-          
-          // Check if this is a monitored program
-          if (!Object.values(PROGRAM_IDS).includes(instruction.programId)) {
-            console.log(`    ⏭️  Skipping non-monitored program: ${instruction.programId}`);
-            continue;
-          }
-          
-          console.log(`    ✅ Found monitored program: ${getProgramName(instruction.programId)}`);
-          console.log(`    🎯 This is a transaction on our target program!`);
-          
-          // Log instruction details for debugging
-          if (instruction.parsed) {
-            console.log(`    📝 Parsed instruction type: ${instruction.parsed.type}`);
-            console.log(`    📋 Full parsed data:`, JSON.stringify(instruction.parsed, null, 2));
-          } else {
-            console.log(`    ❌ No parsed data available`);
-            console.log(`    🔍 Raw instruction:`, JSON.stringify(instruction, null, 2));
-          }
-          
-          // Check if this is a pool initialization instruction
-          if (!isPoolInitInstruction(instruction)) {
-            console.log(`    ⏭️  Not a pool init instruction (type: ${instruction.parsed?.type || 'unknown'})`);
-            // Continue processing other instructions instead of skipping
-            continue;
-          }
-          
-          console.log(`🟢 Pool creation detected: ${tx.signature} on ${getProgramName(instruction.programId)}`);
-          
-          // Extract pool data
-          const poolData = extractPoolData(instruction, tx.signature);
-          
-          // Add to our list
-          detectedPools.unshift(poolData);
-          if (detectedPools.length > MAX_POOLS) {
-            detectedPools = detectedPools.slice(0, MAX_POOLS);
-          }
-          
-          // Broadcast to SSE clients
-          broadcastToSSE(poolData);
-          
-          // Fetch token metadata and liquidity asynchronously (non-blocking)
-          fetchTokenData(poolData).then(() => {
-            // Broadcast updated data with token names
-            broadcastToSSE(poolData);
-          });
-          
-          break; // Only process first matching instruction per transaction
+        // Check if this is a monitored program
+        if (!isMonitoredProgram(instruction.programId)) {
+          console.log(`    ⏭️  Skipping non-monitored program: ${instruction.programId}`);
+          continue;
         }
-      } else {
-        console.log(`  ❌ No instructions in transaction ${tx.signature}`);
+        
+        console.log(`    ✅ Found monitored program: ${getProgramName(instruction.programId)}`);
+        
+        // Check if this is a pool initialization instruction
+        const decoded = decodeInstruction(instruction);
+        if (!isPoolInitInstruction(instruction, decoded)) {
+          // Continue processing other instructions instead of skipping
+          continue;
+        }
+        
+        console.log(`🟢 Pool creation detected: ${tx.signature} on ${getProgramName(instruction.programId)}`);
+        
+        // Extract pool data
+        const poolData = extractPoolData(instruction, decoded, tx);
+        console.log(`    📍 Pool ${poolData.poolAddress || 'unknown'}: ${poolData.tokenMintA || '?'} / ${poolData.tokenMintB || '?'}`);
+        
+        // Add to our list
+        detectedPools.unshift(poolData);
+        if (detectedPools.length > RECENT_CACHE_SIZE) {
+          detectedPools = detectedPools.slice(0, RECENT_CACHE_SIZE);
+        }
+        persistPool(poolData);
+        
+        // Broadcast to SSE clients
+        broadcastToSSE(poolData);
+        
+        // Fetch token metadata and liquidity asynchronously (non-blocking)
+        fetchTokenData(poolData).then(() => {
+          persistPool(poolData);
+          // Broadcast updated data with token names
+          broadcastToSSE(poolData);
+        });
+        
+        break; // Only process first matching instruction per transaction
       }
+    } else {
+      console.log(`  ❌ No instructions in transaction ${tx.signature}`);
     }
-  } catch (error) {
-    console.error('Webhook processing error:', error.message);
   }
-});
+}
+
+// Direct Solana RPC ingestion (INGESTION_MODE=rpc): no Helius key or tunnel needed
+const rpcIngestor = process.env.RPC_WS_URL ? new RpcIngestor({
+  wsUrl: process.env.RPC_WS_URL,
+  httpUrl: process.env.RPC_HTTP_URL || undefined,
+  // Pump.fun itself never creates pools (its "create" is a token launch), so skip its firehose
+  programIds: Object.values(PROGRAM_IDS).filter(programId => programId !== PROGRAM_IDS['Pump.fun']),
+  subscription: process.env.RPC_SUBSCRIPTION || 'logs',
+  commitment: process.env.RPC_COMMITMENT || 'confirmed',
+  logFilter: process.env.RPC_LOG_FILTER !== 'false',
+  http,
+  onTransaction: tx => processTransactions([tx])
+}) : null;
 
 // SSE endpoint
-app.get('/events', (req, res) => {
+app.get('/events', requireRole('read'), (req, res) => {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -349,13 +441,39 @@ function broadcastToSSE(data) {
   });
 }
 
-// API endpoint to get current pools
-app.get('/api/pools', (req, res) => {
-  res.json({
-    pools: detectedPools,
-    count: detectedPools.length,
-    processedSignatures: processedSignatures.size
-  });
+// Function to persist a detected pool
+function persistPool(poolData) {
+  try {
+    storage.savePool(poolData);
+  } catch (error) {
+    console.error(`❌ Failed to persist pool ${poolData.signature}:`, error.message);
+  }
+}
+
+// Function to respond with a 400 for malformed query parameters
+function handleQueryError(res, error) {
+  if (error instanceof QueryError) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  console.error('Query failed:', error.message);
+  res.status(500).json({ status: 'error', error: 'Query failed', details: error.message });
+}
+
+// API endpoint to query stored pools
+// ?limit&cursor&from&to&program&minLiquidity&search&sort=timestamp|liquidityUsd&order=asc|desc
+app.get('/api/pools', requireRole('read'), (req, res) => {
+  try {
+    const page = storage.queryPools(parseQuery('pools', req.query));
+    res.json({
+      pools: page.items,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      processedSignatures: processedSignatures.size
+    });
+  } catch (error) {
+    handleQueryError(res, error);
+  }
 });
 
 // Serve frontend
@@ -369,7 +487,7 @@ let tunnelProcess = null;
 let currentTunnelUrl = null;
 
 // Start scanner endpoint
-app.post('/api/scanner/start', async (req, res) => {
+app.post('/api/scanner/start', requireRole('admin'), async (req, res) => {
   try {
     if (webhookId) {
       return res.json({ status: 'already_running', webhookId });
@@ -416,25 +534,29 @@ app.post('/api/scanner/start', async (req, res) => {
 
     // Create webhook
     const webhookData = {
-      webhookType: 'enhanced',
-      transactionTypes: ['SWAP'],
+      webhookType: process.env.HELIUS_WEBHOOK_TYPE || 'enhanced', // 'raw' works too - payloads are normalised
+      // Pool creations are matched by our own decoders, so don't let Helius pre-filter by type
+      transactionTypes: ['ANY'],
       accountAddresses: [
         '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
         'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // Raydium CP-Swap
         'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CLMM
         'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc', // Orca Whirlpools
         '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP', // Orca Token-Swap v2
-        'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo'  // Meteora DLMM
+        'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', // Meteora DLMM
+        'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'  // PumpSwap AMM
       ],
-      webhookURL: `${tunnelUrl}/webhook`
+      webhookURL: `${tunnelUrl}/webhook`,
+      // Helius sends this back as the Authorization header, which webhookAuth verifies
+      authHeader: webhookAuth.ensureAuthToken()
     };
 
-    const response = await axios.post(
+    const webhook = await http.postJson(
       `https://api.helius.xyz/v0/webhooks?api-key=${process.env.HELIUS_API_KEY}`,
       webhookData
     );
 
-    webhookId = response.data.webhookID;
+    webhookId = webhook.webhookID;
     console.log(`🚀 Scanner started!`);
     console.log(`📡 Webhook ID: ${webhookId}`);
     console.log(`🌐 Tunnel URL: ${tunnelUrl}`);
@@ -463,15 +585,15 @@ app.post('/api/scanner/start', async (req, res) => {
 });
 
 // Stop scanner endpoint
-app.post('/api/scanner/stop', async (req, res) => {
+app.post('/api/scanner/stop', requireRole('admin'), async (req, res) => {
   try {
     let stoppedComponents = [];
 
     // Delete webhook if exists
     if (webhookId) {
       try {
-        await axios.delete(
-          `https://api.helius.xyz/v0/webhooks/${webhookId}?api-key=${process.env.HELIUS_API_KEY}`
+        await http.delete(
+          `https://api.helius.xyz/v0/webhooks/${encodeURIComponent(webhookId)}?api-key=${process.env.HELIUS_API_KEY}`
         );
         console.log(`🗑️ Webhook deleted: ${webhookId}`);
         stoppedComponents.push('webhook');
@@ -526,19 +648,22 @@ app.post('/api/scanner/stop', async (req, res) => {
 });
 
 // Get scanner status
-app.get('/api/scanner/status', (req, res) => {
+app.get('/api/scanner/status', requireRole('read'), (req, res) => {
   res.json({
     running: !!webhookId,
     webhookId,
     tunnelUrl: currentTunnelUrl,
-    poolCount: detectedPools.length
+    poolCount: storage.countPools(),
+    rpc: rpcIngestor ? rpcIngestor.status() : null,
+    webhookAuth: webhookAuth.stats()
   });
 });
 
 // Clear all data endpoint
-app.post('/api/data/clear', (req, res) => {
+app.post('/api/data/clear', requireRole('admin'), (req, res) => {
   try {
     detectedPools.length = 0;
+    storage.clearPools();
     processedSignatures.clear();
     
     // Broadcast clear message to all SSE clients
@@ -569,238 +694,373 @@ app.post('/api/data/clear', (req, res) => {
 });
 
 // PumpPortal WebSocket for pump.fun graduates
-const seenGraduations = new Set();
-const graduatedTokens = [];
-let pumpPortalWs = null;
-let pumpPortalLastConnectTime = null;
-let pumpPortalReconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
-let pumpPortalConnected = false;
-
-// Connect to PumpPortal WebSocket for real-time pump.fun token updates
-function connectToPumpPortal() {
-  if (pumpPortalWs && pumpPortalWs.readyState === WebSocket.OPEN) {
-    console.log('🔗 PumpPortal already connected');
-    return;
+const seenGraduations = createDedupeSet(storage, 'graduations');
+const graduatedTokens = storage.listGraduates({ limit: RECENT_CACHE_SIZE }).items;
+let pumpPortalDisconnectedAt = null; // Start of the current outage, backfilled on reconnect
+let lastBackfill = null;
+
+// Record a pump.fun graduation (a PumpPortal migrate event, or one rebuilt by the gap backfill),
+// broadcast it and enrich it from Dexscreener before alerting
+async function handleGraduation(message) {
+  console.log(`🎓 PUMP.FUN GRADUATION DETECTED: ${message.mint} (${message.symbol || message.name || 'unnamed'})`);
+  
+  const tokenAddress = message.mint;
+  if (!tokenAddress) return;
+  
+  // Check if we've already processed this token
+  const key = tokenAddress + (message.timestamp || '');
+  if (seenGraduations.has(key)) {
+    return; // Skip duplicates
   }
+  seenGraduations.add(key);
 
-  console.log('🔗 Connecting to PumpPortal WebSocket...');
-  pumpPortalLastConnectTime = new Date().toISOString();
+  // Get name and symbol immediately from Dexscreener
+  let tokenName = message.name || null;
+  let tokenSymbol = message.symbol || null;
+  
+  try {
+    const response = await http.getJson(`https://api.dexscreener.com/latest/dex/tokens/${encodeURIComponent(tokenAddress)}`, { timeoutMs: 5000 });
+    if (response && response.pairs && response.pairs.length > 0) {
+      const pair = response.pairs[0];
+      tokenName = tokenName || pair.baseToken?.name || null;
+      tokenSymbol = tokenSymbol || pair.baseToken?.symbol || null;
+      console.log(`📝 Got token metadata: ${tokenSymbol} (${tokenName})`);
+    }
+  } catch (error) {
+    console.log(`Failed to fetch initial token metadata for ${tokenAddress}:`, error.message);
+  }
 
-  pumpPortalWs = new WebSocket('wss://pumpportal.fun/api/data');
+  // Create graduate data from migration event
+  const graduateData = {
+    mint: tokenAddress,
+    name: tokenName,
+    symbol: tokenSymbol,
+    graduatedAt: message.timestamp || new Date().toISOString(),
+    liquidityUsd: message.liquidityUsd || null,
+    priceUsd: message.priceUsd || null,
+    timestamp: moment().tz('Australia/Brisbane').format(),
+    pumpfunUrl: `https://pump.fun/${tokenAddress}`,
+    dexscreenerUrl: null,
+    graduationPairAddress: message.pairAddress || null,
+    graduationDex: message.dex || 'raydium', // Default to raydium
+    volume24h: null,
+    volume1h: null,
+    txns24h: null,
+    txns1h: null,
+    priceChange24h: null,
+    priceChange1h: null,
+    marketCap: message.marketCap || null,
+    fdv: null,
+    priceUsdCurrent: message.priceUsd || null,
+    migrationEvent: message, // Raw PumpPortal event, shown in the dashboard detail panel
+    backfilled: message.backfilled === true // Recovered from chain history after a feed outage
+  };
 
-  pumpPortalWs.on('open', () => {
-    console.log('✅ PumpPortal WebSocket connected successfully');
-    pumpPortalConnected = true;
-    pumpPortalReconnectAttempts = 0;
+  // Add to our cache
+  graduatedTokens.unshift(graduateData);
+  
+  // Keep only the most recent graduates in memory
+  if (graduatedTokens.length > RECENT_CACHE_SIZE) {
+    graduatedTokens.splice(RECENT_CACHE_SIZE);
+  }
+  persistGraduate(graduateData);
 
-    // Subscribe to migration events (graduation from pump.fun to DEX)
-    const subscribeMessage = {
-      method: "subscribeMigration"
-    };
-    pumpPortalWs.send(JSON.stringify(subscribeMessage));
-    console.log('📡 Subscribed to pump.fun migration/graduation events');
-  });
+  // Broadcast immediately to frontend
+  broadcastToMoralisSSE(graduateData);
+  console.log(`🚀 Broadcasted graduated token: ${tokenSymbol || tokenName || tokenAddress}`);
 
-  pumpPortalWs.on('message', async (data) => {
+  // Fetch enhanced Dexscreener data first, then send notifications
+  setTimeout(async () => {
+    console.log(`⏰ Starting 3-second delayed enhancement for ${tokenAddress}`);
     try {
-      const message = JSON.parse(data.toString());
-      
-      // Debug: Log the full message structure
-      console.log('📋 PumpPortal message received:', JSON.stringify(message, null, 2));
-      
-      // Check if this is a pump.fun migration/graduation event
-      if (message.txType === 'migrate' && message.mint && message.pool === 'pump-amm') {
-        console.log(`🎓 PUMP.FUN GRADUATION DETECTED: ${message.mint} (${message.symbol || message.name || 'unnamed'})`);
-        
-        const tokenAddress = message.mint;
-        if (!tokenAddress) return;
+      console.log(`📡 Fetching enhanced Dexscreener data for ${tokenAddress}...`);
+      const dexData = await fetchDexscreenerData(tokenAddress);
+      console.log(`📊 Dexscreener returned:`, dexData ? 'Data found' : 'No data');
+      if (dexData) {
+        console.log(`💰 Price: ${dexData.priceUsdCurrent}, Market Cap: ${dexData.marketCap}`);
+        Object.assign(graduateData, {
+          dexscreenerUrl: dexData.dexscreenerUrl,
+          graduationPairAddress: dexData.graduationPairAddress || graduateData.graduationPairAddress,
+          graduationDex: dexData.graduationDex || graduateData.graduationDex,
+          volume24h: dexData.volume24h,
+          volume1h: dexData.volume1h,
+          txns24h: dexData.txns24h,
+          txns1h: dexData.txns1h,
+          priceChange24h: dexData.priceChange24h,
+          priceChange1h: dexData.priceChange1h,
+          marketCap: dexData.marketCap || graduateData.marketCap,
+          fdv: dexData.fdv,
+          liquidityUsd: dexData.liquidityUsd || graduateData.liquidityUsd,
+          priceUsdCurrent: dexData.priceUsdCurrent || graduateData.priceUsdCurrent
+        });
+        persistGraduate(graduateData, dexData);
         
-        // Check if we've already processed this token
-        const key = tokenAddress + (message.timestamp || '');
-        if (seenGraduations.has(key)) {
-          return; // Skip duplicates
-        }
-        seenGraduations.add(key);
-
-        // Get name and symbol immediately from Dexscreener
-        let tokenName = message.name || null;
-        let tokenSymbol = message.symbol || null;
+        // Re-broadcast with enriched data
+        broadcastToMoralisSSE(graduateData);
+        console.log(`📊 Enhanced data loaded for ${graduateData.symbol || tokenAddress}`);
         
-        try {
-          const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, { timeout: 5000 });
-          if (response.data && response.data.pairs && response.data.pairs.length > 0) {
-            const pair = response.data.pairs[0];
-            tokenName = tokenName || pair.baseToken?.name || null;
-            tokenSymbol = tokenSymbol || pair.baseToken?.symbol || null;
-            console.log(`📝 Got token metadata: ${tokenSymbol} (${tokenName})`);
-          }
-        } catch (error) {
-          console.log(`Failed to fetch initial token metadata for ${tokenAddress}:`, error.message);
+        // CONFIRM we have price and market cap before sending notification
+        if (graduateData.priceUsdCurrent && graduateData.marketCap) {
+          console.log(`✅ CONFIRMED - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
+          notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
+        } else {
+          console.log(`⚠️  Missing price/market cap data - Price: ${graduateData.priceUsdCurrent}, MC: ${graduateData.marketCap}`);
+          console.log(`🔄 Will retry fetching data in 10 seconds...`);
+          
+          // Retry once more after 10 seconds
+          setTimeout(async () => {
+            try {
+              const retryDexData = await fetchDexscreenerData(graduateData.mint);
+              if (retryDexData && retryDexData.priceUsdCurrent) {
+                Object.assign(graduateData, retryDexData);
+                persistGraduate(graduateData, retryDexData);
+                console.log(`✅ RETRY SUCCESS - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
+                notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
+                broadcastToMoralisSSE(graduateData);
+              } else {
+                console.log(`❌ Retry failed - sending notification with basic data`);
+                notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
+              }
+            } catch (error) {
+              console.log(`❌ Retry error:`, error.message);
+              notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
+            }
+          }, 10000);
         }
-
-        // Create graduate data from migration event
-        const graduateData = {
-          mint: tokenAddress,
-          name: tokenName,
-          symbol: tokenSymbol,
-          graduatedAt: message.timestamp || new Date().toISOString(),
-          liquidityUsd: message.liquidityUsd || message.initialBuy || null,
-          priceUsd: message.priceUsd || null,
-          timestamp: moment().tz('Australia/Brisbane').format(),
-          pumpfunUrl: `https://pump.fun/${tokenAddress}`,
-          dexscreenerUrl: null,
-          graduationPairAddress: message.pairAddress || null,
-          graduationDex: message.dex || 'raydium', // Default to raydium
-          volume24h: null,
-          volume1h: null,
-          txns24h: null,
-          txns1h: null,
-          priceChange24h: null,
-          priceChange1h: null,
-          marketCap: message.marketCap || null,
-          fdv: null,
-          priceUsdCurrent: message.priceUsd || null
-        };
-
-        // Add to our cache
-        graduatedTokens.unshift(graduateData);
+      } else {
+        // If no Dexscreener data at all, try multiple retries before giving up
+        console.log(`⚠️  No Dexscreener data found - will retry multiple times`);
+        let retryCount = 0;
+        const maxRetries = 3;
         
-        // Keep only last 100 graduates
-        if (graduatedTokens.length > 100) {
-          graduatedTokens.splice(100);
-        }
-
-        // Broadcast immediately to frontend
-        broadcastToMoralisSSE(graduateData);
-        console.log(`🚀 Broadcasted graduated token: ${tokenSymbol || tokenName || tokenAddress}`);
-
-        // Fetch enhanced Dexscreener data first, then send Telegram notification
-        setTimeout(async () => {
-          console.log(`⏰ Starting 3-second delayed enhancement for ${tokenAddress}`);
+        const retryFetch = async () => {
+          retryCount++;
+          console.log(`🔄 Retry ${retryCount}/${maxRetries} for ${graduateData.mint}...`);
+          
           try {
-            console.log(`📡 Fetching enhanced Dexscreener data for ${tokenAddress}...`);
-            const dexData = await fetchDexscreenerData(tokenAddress);
-            console.log(`📊 Dexscreener returned:`, dexData ? 'Data found' : 'No data');
-            if (dexData) {
-              console.log(`💰 Price: ${dexData.priceUsdCurrent}, Market Cap: ${dexData.marketCap}`);
-              Object.assign(graduateData, {
-                dexscreenerUrl: dexData.dexscreenerUrl,
-                graduationPairAddress: dexData.graduationPairAddress || graduateData.graduationPairAddress,
-                graduationDex: dexData.graduationDex || graduateData.graduationDex,
-                volume24h: dexData.volume24h,
-                volume1h: dexData.volume1h,
-                txns24h: dexData.txns24h,
-                txns1h: dexData.txns1h,
-                priceChange24h: dexData.priceChange24h,
-                priceChange1h: dexData.priceChange1h,
-                marketCap: dexData.marketCap || graduateData.marketCap,
-                fdv: dexData.fdv,
-                priceUsdCurrent: dexData.priceUsdCurrent || graduateData.priceUsdCurrent
-              });
-              
-              // Re-broadcast with enriched data
+            const retryDexData = await fetchDexscreenerData(graduateData.mint);
+            if (retryDexData && retryDexData.priceUsdCurrent) {
+              Object.assign(graduateData, retryDexData);
+              persistGraduate(graduateData, retryDexData);
+              console.log(`✅ RETRY ${retryCount} SUCCESS - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
+              notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
               broadcastToMoralisSSE(graduateData);
-              console.log(`📊 Enhanced data loaded for ${graduateData.symbol || tokenAddress}`);
-              
-              // CONFIRM we have price and market cap before sending notification
-              if (graduateData.priceUsdCurrent && graduateData.marketCap) {
-                console.log(`✅ CONFIRMED - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
-                sendTelegramNotification(graduateData);
-              } else {
-                console.log(`⚠️  Missing price/market cap data - Price: ${graduateData.priceUsdCurrent}, MC: ${graduateData.marketCap}`);
-                console.log(`🔄 Will retry fetching data in 10 seconds...`);
-                
-                // Retry once more after 10 seconds
-                setTimeout(async () => {
-                  try {
-                    const retryDexData = await fetchDexscreenerData(graduateData.mint);
-                    if (retryDexData && retryDexData.priceUsdCurrent) {
-                      Object.assign(graduateData, retryDexData);
-                      console.log(`✅ RETRY SUCCESS - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
-                      sendTelegramNotification(graduateData);
-                      broadcastToMoralisSSE(graduateData);
-                    } else {
-                      console.log(`❌ Retry failed - sending notification with basic data`);
-                      sendTelegramNotification(graduateData);
-                    }
-                  } catch (error) {
-                    console.log(`❌ Retry error:`, error.message);
-                    sendTelegramNotification(graduateData);
-                  }
-                }, 10000);
-              }
-            } else {
-              // If no Dexscreener data at all, try multiple retries before giving up
-              console.log(`⚠️  No Dexscreener data found - will retry multiple times`);
-              let retryCount = 0;
-              const maxRetries = 3;
-              
-              const retryFetch = async () => {
-                retryCount++;
-                console.log(`🔄 Retry ${retryCount}/${maxRetries} for ${graduateData.mint}...`);
-                
-                try {
-                  const retryDexData = await fetchDexscreenerData(graduateData.mint);
-                  if (retryDexData && retryDexData.priceUsdCurrent) {
-                    Object.assign(graduateData, retryDexData);
-                    console.log(`✅ RETRY ${retryCount} SUCCESS - Price: $${graduateData.priceUsdCurrent}, Market Cap: $${graduateData.marketCap}`);
-                    sendTelegramNotification(graduateData);
-                    broadcastToMoralisSSE(graduateData);
-                    return;
-                  }
-                } catch (error) {
-                  console.log(`❌ Retry ${retryCount} error:`, error.message);
-                }
-                
-                if (retryCount < maxRetries) {
-                  // Retry again in 15 seconds
-                  setTimeout(retryFetch, 15000);
-                } else {
-                  console.log(`❌ All ${maxRetries} retries failed - sending basic notification`);
-                  sendTelegramNotification(graduateData);
-                }
-              };
-              
-              // Start first retry in 10 seconds
-              setTimeout(retryFetch, 10000);
+              return;
             }
           } catch (error) {
-            console.log(`Failed to fetch enhanced data for ${tokenAddress}:`, error.message);
-            // Send notification anyway with basic data
-            sendTelegramNotification(graduateData);
+            console.log(`❌ Retry ${retryCount} error:`, error.message);
+          }
+          
+          if (retryCount < maxRetries) {
+            // Retry again in 15 seconds
+            setTimeout(retryFetch, 15000);
+          } else {
+            console.log(`❌ All ${maxRetries} retries failed - sending basic notification`);
+            notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
           }
-        }, 8000); // 8 second delay to allow Dexscreener to index the graduated pair
-      } else if (message.txType === 'migrate') {
-        console.log(`⏭️  Skipping non-pump.fun migration: ${message.mint} (pool: ${message.pool})`);
+        };
+        
+        // Start first retry in 10 seconds
+        setTimeout(retryFetch, 10000);
       }
     } catch (error) {
-      console.error('Error processing PumpPortal message:', error.message);
+      console.log(`Failed to fetch enhanced data for ${tokenAddress}:`, error.message);
+      // Send notification anyway with basic data
+      notifyGraduate(graduateData).catch(error => console.error('❌ Graduation alert failed:', error.message));
     }
-  });
+  }, 8000); // 8 second delay to allow Dexscreener to index the graduated pair
+}
 
-  pumpPortalWs.on('error', (error) => {
-    console.error('❌ PumpPortal WebSocket error:', error.message);
-    pumpPortalConnected = false;
-  });
+// Rebuild the migrations between outageStart and reconnectedAt from chain history and insert
+// the ones we don't have yet. They're flagged as backfilled, so no alerts go out for them.
+async function backfillGap(outageStart, reconnectedAt) {
+  if (!backfillConfig.rpcUrl) {
+    console.log('⚠️ No RPC endpoint for backfill (set BACKFILL_RPC_URL, RPC_HTTP_URL or HELIUS_API_KEY) - graduations during the outage are lost');
+    return;
+  }
 
-  pumpPortalWs.on('close', (code, reason) => {
-    console.log(`🔌 PumpPortal WebSocket closed: ${code} ${reason}`);
-    pumpPortalConnected = false;
+  const startedAt = new Date().toISOString();
+  console.log(`🕳️ Backfilling graduations missed between ${new Date(outageStart).toISOString()} and ${new Date(reconnectedAt).toISOString()}...`);
+  try {
+    const result = await findMissedMigrations(backfillRpc, {
+      address: backfillConfig.address,
+      from: outageStart - backfillConfig.marginMs,
+      to: reconnectedAt,
+      maxTransactions: backfillConfig.maxTransactions,
+      maxWindowMs: backfillConfig.maxWindowMs
+    });
+
+    let inserted = 0;
+    for (const migration of result.migrations) {
+      if (storage.getGraduate(migration.mint) || graduatedTokens.some(token => token.mint === migration.mint)) continue;
+      await handleGraduation(migration);
+      inserted++;
+    }
+
+    lastBackfill = { startedAt, from: result.from, to: result.to, scanned: result.scanned, failed: result.failed, found: result.migrations.length, inserted, truncated: result.truncated };
+    console.log(`🕳️ Backfill done: ${result.migrations.length} migrations in ${result.scanned} transactions, ${inserted} new${result.truncated ? ' (window truncated)' : ''}`);
+  } catch (error) {
+    lastBackfill = { startedAt, error: error.message };
+    console.error('❌ Graduation backfill failed:', error.message);
+  }
+}
+
+// Pre-graduation pipeline: bonding-curve progress of new pump.fun tokens, from their create and trade events
+const bondingCurveConfig = bondingCurveConfigFromEnv(process.env);
+const bondingCurves = new BondingCurveTracker(bondingCurveConfig);
+
+// Creators of recent graduates, whose trades are followed to catch sells after graduation
+const watchedDevs = new Set(devConfig.enabled ? watchedCreators(graduatedTokens, devConfig.watchMs) : []);
+
+// Tracked wallets, whose buys of fresh graduates / pools are reported; TRACKED_WALLETS are added on startup
+const trackedWalletConfig = trackedWalletConfigFromEnv(process.env);
+for (const address of trackedWalletConfig.wallets) {
+  if (!isValidAddress(address)) {
+    console.warn(`⚠️ Ignoring invalid TRACKED_WALLETS entry: ${address}`);
+  } else if (!storage.getTrackedWallet(address)) {
+    storage.saveTrackedWallet(buildTrackedWallet({}, address));
+  }
+}
+const trackedWallets = new Map(storage.listTrackedWallets().map(wallet => [wallet.address, wallet]));
+let recentTrackedBuys = []; // newest first, at most MAX_RECENT_BUYS
+
+// Account-trade keys: watched devs and tracked wallets
+function accountTradeKeys() {
+  return [...new Set([...watchedDevs, ...trackedWallets.keys()])];
+}
+
+// PumpPortal WebSocket for real-time pump.fun token updates. Reconnects forever with backoff,
+// drops half-open sockets via heartbeats and backs off harder while the circuit is open.
+const pumpPortal = new ResilientWebSocket({
+  name: 'PumpPortal',
+  url: 'wss://pumpportal.fun/api/data',
+  // Subscribe to migration events (graduation from pump.fun to DEX), plus new tokens (for the
+  // pre-graduation pipeline and the dev wallet index), the trades of every tracked token and
+  // those of the creators of recent graduates and tracked wallets; replayed on every reconnect
+  subscriptions: () => [
+    { method: 'subscribeMigration' },
+    ...(bondingCurveConfig.enabled || devConfig.enabled ? [{ method: 'subscribeNewToken' }] : []),
+    ...(bondingCurves.tokens.size > 0 ? [{ method: 'subscribeTokenTrade', keys: bondingCurves.mints() }] : []),
+    ...(accountTradeKeys().length > 0 ? [{ method: 'subscribeAccountTrade', keys: accountTradeKeys() }] : [])
+  ]
+});
+
+pumpPortal.on('open', () => {
+  console.log('✅ PumpPortal WebSocket connected successfully');
+  console.log(`📡 Subscribed to pump.fun migration/graduation events${bondingCurveConfig.enabled || devConfig.enabled ? ` and new tokens (${bondingCurves.tokens.size} tracked curves, ${watchedDevs.size} watched devs)` : ''}${trackedWallets.size > 0 ? `, ${trackedWallets.size} tracked wallets` : ''}`);
+
+  // Recover the graduations PumpPortal sent while we were away
+  if (pumpPortalDisconnectedAt) {
+    const outageStart = pumpPortalDisconnectedAt;
+    pumpPortalDisconnectedAt = null;
+    backfillGap(outageStart, Date.now());
+  }
+});
+
+pumpPortal.on('message', async (data) => {
+  try {
+    const message = JSON.parse(data.toString());
     
-    // Attempt to reconnect with exponential backoff
-    if (pumpPortalReconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-      pumpPortalReconnectAttempts++;
-      const delay = Math.pow(2, pumpPortalReconnectAttempts) * 1000; // 2s, 4s, 8s, 16s, 32s
-      console.log(`🔄 Attempting to reconnect to PumpPortal in ${delay/1000}s (attempt ${pumpPortalReconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
-      
-      setTimeout(() => {
-        connectToPumpPortal();
-      }, delay);
-    } else {
-      console.error('❌ Max reconnection attempts reached. Please restart the server.');
+    // Create / buy / sell events feed the dev wallet index, tracked wallet buys and the bonding-curve tracker (too many to log)
+    if (message.txType === 'create' || message.txType === 'buy' || message.txType === 'sell') {
+      handleDevEvent(message);
+      if (message.txType === 'buy' && trackedWallets.has(message.traderPublicKey)) handleTrackedWalletBuy(message);
+      if (bondingCurveConfig.enabled) bondingCurves.handleMessage(message);
+      return;
     }
-  });
+
+    // Debug: Log the full message structure
+    console.log('📋 PumpPortal message received:', JSON.stringify(message, null, 2));
+    
+    // Check if this is a pump.fun migration/graduation event
+    if (message.txType === 'migrate' && message.mint && message.pool === 'pump-amm') {
+      bondingCurves.handleMigration(message.mint);
+      await handleGraduation(message);
+    } else if (message.txType === 'migrate') {
+      console.log(`⏭️  Skipping non-pump.fun migration: ${message.mint} (pool: ${message.pool})`);
+    }
+  } catch (error) {
+    console.error('Error processing PumpPortal message:', error.message);
+  }
+});
+
+pumpPortal.on('error', (error) => {
+  console.error('❌ PumpPortal WebSocket error:', error.message);
+});
+
+pumpPortal.on('close', ({ code, reason }) => {
+  console.log(`🔌 PumpPortal WebSocket closed: ${code} ${reason}`);
+  if (!pumpPortalDisconnectedAt) pumpPortalDisconnectedAt = Date.now();
+});
+
+// Trade subscriptions follow the tracked tokens (resent in full on reconnect)
+bondingCurves.on('subscribe', keys => pumpPortal.send({ method: 'subscribeTokenTrade', keys }));
+bondingCurves.on('unsubscribe', keys => pumpPortal.send({ method: 'unsubscribeTokenTrade', keys }));
+
+bondingCurves.on('near', token => {
+  console.log(`🔥 ${token.symbol || token.mint} is ${token.progressPercent}% through its bonding curve (${token.solInCurve} SOL)`);
+  broadcastToPreGraduationSSE('near', token);
+});
+bondingCurves.on('progress', token => {
+  if (token.near) broadcastToPreGraduationSSE('progress', token);
+});
+bondingCurves.on('leave', (token, reason) => {
+  broadcastToPreGraduationSSE('leave', { mint: token.mint, reason, token });
+});
+bondingCurves.on('alert', (token, percent) => {
+  if (notifiers.length === 0) return;
+  console.log(`📤 Sending near-graduation alert for ${token.symbol || token.mint} (${percent}%)`);
+  notifyAll(notifiers, buildNearGraduationMessage(token, percent));
+});
+
+// Drop curves that stopped trading, every minute
+setInterval(() => {
+  const removed = bondingCurves.prune();
+  if (removed > 0) console.log(`🧹 Stopped tracking ${removed} idle bonding curves (${bondingCurves.tokens.size} left)`);
+}, 60 * 1000);
+
+// Stop following creators once their graduates leave the watch window, every minute
+setInterval(() => {
+  const watching = new Set(watchedCreators(graduatedTokens, devConfig.watchMs));
+  const expired = [...watchedDevs].filter(address => !watching.has(address));
+  if (expired.length === 0) return;
+  expired.forEach(address => watchedDevs.delete(address));
+  // Tracked wallets stay subscribed
+  const unsubscribe = expired.filter(address => !trackedWallets.has(address));
+  if (unsubscribe.length > 0) pumpPortal.send({ method: 'unsubscribeAccountTrade', keys: unsubscribe });
+  console.log(`🧹 Stopped watching ${expired.length} devs (${watchedDevs.size} left)`);
+}, 60 * 1000);
+
+// Function to index new tokens by creator, and record sells by the creators of recent graduates
+function handleDevEvent(message) {
+  if (!devConfig.enabled || !message.mint || !message.traderPublicKey) return;
+  try {
+    if (message.txType === 'create') {
+      const wallet = storage.getWallet(message.traderPublicKey) || createWallet(message.traderPublicKey);
+      storage.saveWallet(recordLaunch(wallet, message));
+    } else if (message.txType === 'sell' && watchedDevs.has(message.traderPublicKey)) {
+      recordGraduateDevSell(message);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to index ${message.txType} for ${message.mint}:`, error.message);
+  }
+}
+
+// Function to mark a graduate whose creator sold after graduation, and refresh its dev profile
+function recordGraduateDevSell(message) {
+  const graduate = graduatedTokens.find(token => token.mint === message.mint);
+  if (!graduate || !graduate.dev || graduate.dev.address !== message.traderPublicKey) return;
+
+  const wallet = storage.getWallet(message.traderPublicKey);
+  if (!wallet || !recordDevSell(wallet, message.mint, message)) return;
+  storage.saveWallet(wallet);
+
+  if (!graduate.dev.soldThis) {
+    console.log(`💸 Dev ${wallet.address} sold ${graduate.symbol || graduate.mint} after graduation (${message.solAmount} SOL)`);
+  }
+  graduate.dev = { ...devProfile(wallet, graduate.mint, mint => storage.getGraduate(mint)), source: graduate.dev.source };
+  persistGraduate(graduate);
+  broadcastToMoralisSSE(graduate);
 }
 
 
@@ -809,24 +1069,11 @@ async function fetchDexscreenerData(tokenAddress) {
   try {
     console.log(`🌐 Making request to Dexscreener for ${tokenAddress}`);
     
-    // Use curl since axios has network connectivity issues
-    const { exec } = require('child_process');
-    const curlCommand = `curl -s "https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}"`;
-    
-    const result = await new Promise((resolve, reject) => {
-      exec(curlCommand, (error, stdout, stderr) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({ stdout, stderr });
-        }
-      });
-    });
-    
-    const response = { data: JSON.parse(result.stdout) };
+    // Concurrent lookups for the same mint share one request
+    const data = await http.getJson(`https://api.dexscreener.com/latest/dex/tokens/${encodeURIComponent(tokenAddress)}`);
 
-    if (response.data && response.data.pairs && response.data.pairs.length > 0) {
-      const pairs = response.data.pairs;
+    if (data && data.pairs && data.pairs.length > 0) {
+      const pairs = data.pairs;
       console.log(`🔍 Found ${pairs.length} pairs for ${tokenAddress}`);
       
       // Log all pairs to see what we're working with
@@ -882,9 +1129,26 @@ async function fetchDexscreenerData(tokenAddress) {
   return null;
 }
 
+// Function to persist a graduate, recording an enrichment snapshot when Dexscreener data was applied
+function persistGraduate(graduateData, dexData = null) {
+  try {
+    storage.saveGraduate(graduateData);
+    if (dexData) {
+      storage.saveSnapshot(graduateData.mint, dexData);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to persist graduate ${graduateData.mint}:`, error.message);
+  }
+}
+
 // Function to broadcast to Moralis SSE clients
 function broadcastToMoralisSSE(data) {
-  const message = `data: ${JSON.stringify({ type: 'newGraduate', data })}\n\n`;
+  broadcastMoralisEvent('newGraduate', data);
+}
+
+// Function to broadcast any event type (e.g. watchAlert) to Moralis SSE clients
+function broadcastMoralisEvent(type, data) {
+  const message = `data: ${JSON.stringify({ type, data })}\n\n`;
   moralisSSEClients.forEach(client => {
     try {
       client.res.write(message);
@@ -894,87 +1158,138 @@ function broadcastToMoralisSSE(data) {
   });
 }
 
-// Function to send Telegram notification
-async function sendTelegramNotification(graduateData) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    console.log('📱 Telegram not configured - skipping notification');
-    return;
+// Function to broadcast bonding-curve events to pre-graduation SSE clients
+function broadcastToPreGraduationSSE(type, data) {
+  const message = `data: ${JSON.stringify({ type, data })}\n\n`;
+  preGraduationSSEClients.forEach(client => {
+    try {
+      client.res.write(message);
+    } catch (error) {
+      console.log('Pre-graduation SSE client disconnected');
+    }
+  });
+}
+
+// Function to broadcast tracked wallet buys to tracked-wallet SSE clients
+function broadcastToTrackedWalletSSE(type, data) {
+  const message = `data: ${JSON.stringify({ type, data })}\n\n`;
+  trackedWalletSSEClients.forEach(client => {
+    try {
+      client.res.write(message);
+    } catch (error) {
+      console.log('Tracked wallet SSE client disconnected');
+    }
+  });
+}
+
+// Function to report a tracked wallet's buy of a token that graduated / had its pool detected within the window
+function handleTrackedWalletBuy(message) {
+  if (message.signature && recentTrackedBuys.some(event => event.signature === message.signature)) return;
+
+  const graduate = graduatedTokens.find(token => token.mint === message.mint);
+  const pool = graduate ? null : detectedPools.find(p => p.tokenMintA === message.mint || p.tokenMintB === message.mint);
+  const event = correlateBuy(message, trackedWallets.get(message.traderPublicKey), { graduate, pool }, trackedWalletConfig.windowMinutes);
+  if (!event) return;
+
+  recentTrackedBuys = [event, ...recentTrackedBuys].slice(0, MAX_RECENT_BUYS);
+  console.log(`👀 Tracked wallet ${event.label || event.wallet} bought ${event.solAmount} SOL of ${event.symbol || event.mint}, ${event.minutesAfter} min after ${event.source === 'graduate' ? 'graduation' : 'pool creation'}`);
+  broadcastToTrackedWalletSSE('buy', event);
+
+  if (notifiers.length > 0) notifyAll(notifiers, buildTrackedWalletBuyMessage(event));
+}
+
+const graduateSafetyChecks = new Map(); // mint -> in-flight safety check
+
+// Function to attach safety checks to a graduate once its pool is known (no-op when already checked)
+function checkGraduateSafety(graduateData) {
+  if (graduateData.safety) return Promise.resolve();
+  if (!graduateSafetyChecks.has(graduateData.mint)) {
+    const check = checkTokenSafety(graduateData.mint, { pool: graduateData.graduationPairAddress || undefined })
+      .then(safety => {
+        graduateSafetyChecks.delete(graduateData.mint);
+        if (!safety) return;
+        graduateData.safety = safety;
+        persistGraduate(graduateData);
+        broadcastToMoralisSSE(graduateData);
+      });
+    graduateSafetyChecks.set(graduateData.mint, check);
   }
+  return graduateSafetyChecks.get(graduateData.mint);
+}
 
-  try {
-    console.log('🔍 Building Telegram message for:', graduateData.mint);
-    const symbol = graduateData.symbol || 'Unknown';
-    const name = graduateData.name || 'Unknown Token';
-    const mint = graduateData.mint;
-    const dex = graduateData.graduationDex || 'pump-amm';
-    const price = graduateData.priceUsdCurrent ? `$${parseFloat(graduateData.priceUsdCurrent).toFixed(6)}` : 'Unknown';
-    const marketCap = graduateData.marketCap ? `$${parseInt(graduateData.marketCap).toLocaleString()}` : 'Unknown';
-    
-    const message = `🎓 *PUMP.FUN GRADUATION ALERT*
+const graduateDevProfiles = new Map(); // mint -> in-flight dev profiling
 
-🪙 *Token:* ${symbol} (${name})
-💰 *Price:* ${price}
-📊 *Market Cap:* ${marketCap}
-🏦 *DEX:* ${dex}
-⏰ *Time:* ${moment().tz('Australia/Brisbane').format('DD/MM/YY HH:mm')}
+// Function to find a graduate's creator wallet: from our own create events, otherwise from the chain
+async function findGraduateCreator(graduateData) {
+  const indexed = storage.getWalletByMint(graduateData.mint);
+  if (indexed) return { wallet: indexed, source: 'feed' };
+  if (!devConfig.rpcUrl) return null;
 
-🔗 *Links:*
-• [Pump.fun](https://pump.fun/${mint})
-${graduateData.dexscreenerUrl ? `• [Dexscreener](${graduateData.dexscreenerUrl})` : ''}
+  const creator = await findCreator(devRpc, {
+    mint: graduateData.mint,
+    pool: graduateData.graduationPairAddress || null,
+    maxSignaturePages: devConfig.maxSignaturePages
+  });
+  if (!creator) return null;
+  return { wallet: storage.getWallet(creator.address) || createWallet(creator.address), source: creator.source };
+}
 
-\`${mint}\``;
+// Function to attach the creator's reputation to a graduate (no-op when already profiled) and
+// follow the creator's trades through the watch window
+function profileGraduateDev(graduateData) {
+  if (graduateData.dev || !devConfig.enabled) return Promise.resolve();
+  if (!graduateDevProfiles.has(graduateData.mint)) {
+    const profile = findGraduateCreator(graduateData)
+      .then(creator => {
+        if (!creator) {
+          console.log(`👤 Creator of ${graduateData.symbol || graduateData.mint} not found`);
+          return;
+        }
+        const { wallet, source } = creator;
+        storage.saveWallet(recordGraduation(wallet, graduateData));
+        graduateData.dev = { ...devProfile(wallet, graduateData.mint, mint => storage.getGraduate(mint)), source };
+        console.log(`👤 Dev of ${graduateData.symbol || graduateData.mint}: ${wallet.address} (${graduateData.dev.reputation}) - ${graduateData.dev.summary}`);
+        persistGraduate(graduateData);
+        broadcastToMoralisSSE(graduateData);
 
-    const telegramUrl = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    
-    console.log('📤 Sending to Telegram via curl');
-    console.log('📤 Message content:', message);
-    
-    // Use curl since axios has connectivity issues
-    const { exec } = require('child_process');
-    
-    // Properly escape the JSON payload to avoid shell injection
-    const payload = JSON.stringify({
-      chat_id: TELEGRAM_CHAT_ID, 
-      text: message, 
-      parse_mode: 'Markdown', 
-      disable_web_page_preview: false
-    });
-    
-    // Escape single quotes and other special characters for shell
-    const escapedPayload = payload.replace(/'/g, "'\"'\"'");
-    const curlCommand = `curl -X POST "${telegramUrl}" -H "Content-Type: application/json" -d '${escapedPayload}'`;
-    
-    const result = await new Promise((resolve, reject) => {
-      exec(curlCommand, (error, stdout, stderr) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({ stdout, stderr });
+        if (!watchedDevs.has(wallet.address) && watchedCreators([graduateData], devConfig.watchMs).length > 0) {
+          watchedDevs.add(wallet.address);
+          if (!trackedWallets.has(wallet.address)) pumpPortal.send({ method: 'subscribeAccountTrade', keys: [wallet.address] });
         }
-      });
-    });
-    
-    const response = JSON.parse(result.stdout);
-    if (response.ok) {
-      console.log('✅ Telegram notification sent via curl');
-    } else {
-      throw new Error(`Telegram API error: ${result.stdout}`);
-    }
-    
-    console.log(`📱 Telegram notification sent for ${symbol}`);
-  } catch (error) {
-    console.error('❌ Failed to send Telegram notification:', error);
-    console.error('❌ Error message:', error.message);
-    console.error('❌ Error stack:', error.stack);
-    if (error.response) {
-      console.error('📋 Response data:', error.response.data);
-      console.error('📋 Response status:', error.response.status);
-    }
+      })
+      .catch(error => {
+        console.log(`❌ Dev profiling failed for ${graduateData.mint}:`, error.message);
+      })
+      .finally(() => graduateDevProfiles.delete(graduateData.mint));
+    graduateDevProfiles.set(graduateData.mint, profile);
+  }
+  return graduateDevProfiles.get(graduateData.mint);
+}
+
+// Function to alert every channel (and every rule chat) whose alert rules match the enriched graduate.
+// Waits for the safety checks and dev profile first, so rules and messages can use them.
+async function notifyGraduate(graduateData) {
+  await Promise.all([checkGraduateSafety(graduateData), profileGraduateDev(graduateData)]);
+  if (graduateData.backfilled) {
+    console.log(`🔕 ${graduateData.symbol || graduateData.mint} was backfilled after an outage - skipping notification`);
+    return;
+  }
+  const targets = resolveAlertTargets(storage.listAlertRules(), graduateData);
+  if (targets.length === 0) {
+    console.log(`🔕 No alert rules matched ${graduateData.symbol || graduateData.mint} - skipping notification`);
+    return;
+  }
+  if (notifiers.length === 0) {
+    console.log('📱 No notification channels configured - skipping notification');
+    return;
   }
+
+  console.log(`📤 Sending graduation alert for ${graduateData.symbol || graduateData.mint} to ${notifiers.map(notifier => notifier.channel).join(', ')}`);
+  notifyAll(notifiers, buildGraduationMessage(graduateData), targets);
 }
 
 // Moralis SSE endpoint
-app.get('/moralis/events', (req, res) => {
+app.get('/moralis/events', requireRole('read'), (req, res) => {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -995,14 +1310,171 @@ app.get('/moralis/events', (req, res) => {
   });
 });
 
+// Pre-graduation SSE endpoint: the near-graduation list, then near / progress / leave events
+app.get('/pregraduation/events', requireRole('read'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+
+  const clientId = Date.now();
+  preGraduationSSEClients.push({ id: clientId, res });
+
+  // Send initial data
+  res.write(`data: ${JSON.stringify({ type: 'nearGraduation', data: bondingCurves.nearGraduation() })}\n\n`);
+
+  req.on('close', () => {
+    const index = preGraduationSSEClients.findIndex(client => client.id === clientId);
+    if (index !== -1) preGraduationSSEClients.splice(index, 1);
+  });
+});
+
+// Tracked wallet SSE endpoint: the recent tracked buys, then a buy event for each new one
+app.get('/tracked-wallets/events', requireRole('read'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+
+  const clientId = Date.now();
+  trackedWalletSSEClients.push({ id: clientId, res });
+
+  // Send initial data
+  res.write(`data: ${JSON.stringify({ type: 'buys', data: recentTrackedBuys })}\n\n`);
+
+  req.on('close', () => {
+    const index = trackedWalletSSEClients.findIndex(client => client.id === clientId);
+    if (index !== -1) trackedWalletSSEClients.splice(index, 1);
+  });
+});
+
+// Function to parse ?minProgress (0-100) and ?limit for the pre-graduation endpoints
+function parsePreGraduationQuery(query, defaultMinProgress) {
+  const minProgress = query.minProgress === undefined || query.minProgress === '' ? defaultMinProgress : Number(query.minProgress);
+  if (!Number.isFinite(minProgress) || minProgress < 0 || minProgress > 100) {
+    throw new QueryError('minProgress must be a number between 0 and 100');
+  }
+  const limit = query.limit === undefined || query.limit === '' ? 100 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryError('limit must be a positive integer');
+  }
+  return { minProgress, limit: Math.min(limit, 1000) };
+}
+
+// API endpoint for the tracked bonding curves, most progressed first: ?minProgress&limit
+app.get('/api/pregraduation', requireRole('read'), (req, res) => {
+  try {
+    const tokens = bondingCurves.list(parsePreGraduationQuery(req.query, 0));
+    res.json({ tokens, count: tokens.length, tracking: bondingCurves.status() });
+  } catch (error) {
+    handleQueryError(res, error);
+  }
+});
+
+// API endpoint for tokens past PREGRAD_NEAR_PERCENT (or ?minProgress)
+app.get('/api/pregraduation/near', requireRole('read'), (req, res) => {
+  try {
+    const tokens = bondingCurves.list(parsePreGraduationQuery(req.query, bondingCurves.nearPercent));
+    res.json({ tokens, count: tokens.length, nearPercent: bondingCurves.nearPercent });
+  } catch (error) {
+    handleQueryError(res, error);
+  }
+});
+
+// API endpoint to run the safety checks for any mint: ?pool= adds the LP check and excludes its vaults from holders.
+// Admin only: every call spends several RPC requests on the safety RPC, for any mint the caller picks
+app.get('/api/tokens/:mint/safety', requireRole('admin'), async (req, res) => {
+  const { mint } = req.params;
+  const pool = req.query.pool || undefined;
+  if (!isValidAddress(mint) || (pool && !isValidAddress(pool))) {
+    return res.status(400).json({ status: 'error', error: 'Invalid mint or pool address' });
+  }
+  if (!safetyConfig.enabled || !safetyConfig.rpcUrl) {
+    return res.status(503).json({ status: 'error', error: 'Safety checks are disabled', details: 'Set SAFETY_RPC_URL, RPC_HTTP_URL or HELIUS_API_KEY' });
+  }
+
+  const safety = await checkTokenSafety(mint, { pool });
+  if (!safety) {
+    return res.status(502).json({ status: 'error', error: 'Safety check failed' });
+  }
+  res.json({ safety });
+});
+
+// API endpoint to look up a creator wallet: its indexed launches and reputation across all of them
+app.get('/api/wallets/:address', requireRole('read'), (req, res) => {
+  const { address } = req.params;
+  if (!isValidAddress(address)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid wallet address' });
+  }
+
+  const wallet = storage.getWallet(address);
+  if (!wallet) {
+    return res.status(404).json({ status: 'error', error: 'Wallet not found', details: 'Only creators seen on the PumpPortal feed or found for a graduate are indexed' });
+  }
+  res.json({ wallet, profile: devProfile(wallet, null, mint => storage.getGraduate(mint)) });
+});
+
+// API endpoint to query stored graduates
+// ?limit&cursor&from&to&dex&minMarketCap&minLiquidity&minVolume&minVolume1h&search
+// &sort=graduatedAt|marketCap|liquidityUsd|volume24h|volume1h|priceChange1h|priceChange24h&order=asc|desc
+app.get('/api/graduates', requireRole('read'), (req, res) => {
+  try {
+    const page = storage.queryGraduates(parseQuery('graduates', req.query));
+    res.json({
+      graduates: page.items,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    handleQueryError(res, error);
+  }
+});
+
+// Price / market cap history for one graduate, with peak, drawdown and post-graduation returns
+app.get('/api/graduates/:mint/history', requireRole('read'), (req, res) => {
+  try {
+    const graduate = storage.getGraduate(req.params.mint);
+    if (!graduate) {
+      return res.status(404).json({ status: 'error', error: 'Graduate not found' });
+    }
+
+    const series = buildSeries(storage.listSnapshots(graduate.mint));
+    res.json({
+      mint: graduate.mint,
+      symbol: graduate.symbol,
+      graduatedAt: graduate.graduatedAt,
+      migrationEvent: graduate.migrationEvent || null,
+      metrics: computeMetrics(graduate, series),
+      points: series.map(point => ({ ...point, time: new Date(point.time).toISOString() }))
+    });
+  } catch (error) {
+    console.error('History query failed:', error.message);
+    res.status(500).json({ status: 'error', error: 'History query failed', details: error.message });
+  }
+});
+
 // Add missing graduate endpoint (for debugging)
-app.post('/api/add-graduate/:tokenAddress', async (req, res) => {
+app.post('/api/add-graduate/:tokenAddress', requireRole('admin'), async (req, res) => {
   try {
     const tokenAddress = req.params.tokenAddress;
+    if (!isValidAddress(tokenAddress)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid token address',
+        details: 'tokenAddress must be a base58 Solana address'
+      });
+    }
     console.log(`🔍 Manually adding missing graduate: ${tokenAddress}`);
     
     // Check if already exists
-    const existing = graduatedTokens.find(g => g.mint === tokenAddress);
+    const existing = graduatedTokens.find(g => g.mint === tokenAddress) || storage.getGraduate(tokenAddress);
     if (existing) {
       return res.json({ status: 'already_exists', token: tokenAddress });
     }
@@ -1033,9 +1505,10 @@ app.post('/api/add-graduate/:tokenAddress', async (req, res) => {
     
     // Add to cache
     graduatedTokens.unshift(graduateData);
-    if (graduatedTokens.length > 100) {
-      graduatedTokens.splice(100);
+    if (graduatedTokens.length > RECENT_CACHE_SIZE) {
+      graduatedTokens.splice(RECENT_CACHE_SIZE);
     }
+    persistGraduate(graduateData);
     
     // Broadcast to SSE clients
     broadcastToMoralisSSE(graduateData);
@@ -1055,8 +1528,10 @@ app.post('/api/add-graduate/:tokenAddress', async (req, res) => {
           priceChange1h: dexData.priceChange1h,
           marketCap: dexData.marketCap,
           fdv: dexData.fdv,
+          liquidityUsd: dexData.liquidityUsd,
           priceUsdCurrent: dexData.priceUsdCurrent
         });
+        persistGraduate(graduateData, dexData);
         broadcastToMoralisSSE(graduateData);
       }
     });
@@ -1070,7 +1545,7 @@ app.post('/api/add-graduate/:tokenAddress', async (req, res) => {
 });
 
 // Refresh trading data endpoint (free Dexscreener API only)
-app.post('/api/refresh-trading-data', async (req, res) => {
+app.post('/api/refresh-trading-data', requireRole('admin'), async (req, res) => {
   try {
     console.log('🔄 Manual trading data refresh requested');
     res.json({ 
@@ -1095,7 +1570,9 @@ app.post('/api/refresh-trading-data', async (req, res) => {
             graduateData.priceChange1h = dexData.priceChange1h;
             graduateData.marketCap = dexData.marketCap;
             graduateData.fdv = dexData.fdv;
+            graduateData.liquidityUsd = dexData.liquidityUsd || graduateData.liquidityUsd;
             graduateData.priceUsdCurrent = dexData.priceUsdCurrent;
+            persistGraduate(graduateData, dexData);
             
             // Re-broadcast updated data
             broadcastToMoralisSSE(graduateData);
@@ -1117,23 +1594,43 @@ app.post('/api/refresh-trading-data', async (req, res) => {
 });
 
 // PumpPortal health endpoint
-app.get('/moralis/health', (req, res) => {
+app.get('/moralis/health', requireRole('read'), (req, res) => {
   res.json({
     ok: true,
-    connected: pumpPortalConnected,
-    lastConnectTime: pumpPortalLastConnectTime,
-    reconnectAttempts: pumpPortalReconnectAttempts,
-    itemsCached: graduatedTokens.length
+    connected: pumpPortal.isOpen(),
+    lastConnectTime: pumpPortal.stats.connectedAt,
+    reconnectAttempts: pumpPortal.reconnectAttempts,
+    connection: pumpPortal.status(),
+    itemsCached: graduatedTokens.length,
+    itemsStored: storage.countGraduates(),
+    disconnectedSince: pumpPortalDisconnectedAt ? new Date(pumpPortalDisconnectedAt).toISOString() : null,
+    lastBackfill,
+    preGraduation: bondingCurves.status(),
+    devWallets: { enabled: devConfig.enabled, watching: watchedDevs.size },
+    trackedWallets: { tracked: trackedWallets.size, recentBuys: recentTrackedBuys.length },
+    telegramBot: telegramBot ? { mode: telegramBotConfig.mode, mutedUntil: telegramMutedUntil ? new Date(telegramMutedUntil).toISOString() : null } : null,
+    http: http.stats()
   });
 });
 
-// Test Telegram notification endpoint
-app.post('/api/test-telegram', async (req, res) => {
+// Test notification endpoint - sends a sample graduation alert to every configured channel,
+// or only to ?channel= / { "channel": ... } when given
+async function handleTestChannel(req, res, channel) {
   try {
-    if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-      return res.status(400).json({ 
-        status: 'error', 
-        message: 'Telegram not configured. Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID in .env file.' 
+    if (channel && !CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Unknown channel',
+        details: `channel must be one of: ${CHANNELS.join(', ')}`
+      });
+    }
+
+    const targetNotifiers = channel ? notifiers.filter(notifier => notifier.channel === channel) : notifiers;
+    if (targetNotifiers.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        error: channel ? `${channel} is not configured` : 'No notification channels configured',
+        details: 'Configure channels in .env (see .env.example)'
       });
     }
 
@@ -1161,40 +1658,345 @@ app.post('/api/test-telegram', async (req, res) => {
       priceUsdCurrent: 0.000123
     };
 
-    // Send test notification
-    await sendTelegramNotification(testGraduateData);
-    
-    res.json({ 
-      status: 'success', 
-      message: 'Test notification sent to Telegram!',
-      chatId: TELEGRAM_CHAT_ID
+    const results = await notifyAll(targetNotifiers, buildGraduationMessage(testGraduateData));
+    const failed = results.filter(result => !result.success);
+
+    res.status(failed.length === results.length ? 502 : 200).json({
+      status: failed.length === 0 ? 'success' : failed.length === results.length ? 'error' : 'partial',
+      message: `Test notification sent to ${results.length - failed.length}/${results.length} channel(s)`,
+      results
     });
   } catch (error) {
     console.error('Failed to send test notification:', error.message);
-    res.status(500).json({ 
-      status: 'error', 
-      message: 'Failed to send test notification: ' + error.message 
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to send test notification',
+      details: error.message
     });
   }
+}
+
+app.post('/api/test-channel', requireRole('admin'), (req, res) => {
+  handleTestChannel(req, res, req.query.channel || (req.body && req.body.channel) || null);
+});
+
+// Kept for older dashboards - same as /api/test-channel?channel=telegram
+app.post('/api/test-telegram', requireRole('admin'), (req, res) => {
+  handleTestChannel(req, res, 'telegram');
+});
+
+// Alert rules CRUD - rules decide which graduates trigger alerts and to which Telegram chat
+app.get('/api/alert-rules', requireRole('read'), (req, res) => {
+  res.json({ rules: storage.listAlertRules() });
+});
+
+app.get('/api/alert-rules/:id', requireRole('read'), (req, res) => {
+  const rule = storage.getAlertRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ status: 'error', error: 'Rule not found' });
+  }
+  res.json({ rule });
+});
+
+app.post('/api/alert-rules', requireRole('admin'), (req, res) => {
+  try {
+    const rule = buildRule(req.body);
+    storage.saveAlertRule(rule);
+    console.log(`🎯 Alert rule created: ${rule.name}`);
+    res.status(201).json({ rule });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+app.put('/api/alert-rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    const existing = storage.getAlertRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ status: 'error', error: 'Rule not found' });
+    }
+    const rule = buildRule(req.body, existing);
+    storage.saveAlertRule(rule);
+    console.log(`🎯 Alert rule updated: ${rule.name}`);
+    res.json({ rule });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+app.delete('/api/alert-rules/:id', requireRole('admin'), (req, res) => {
+  if (!storage.deleteAlertRule(req.params.id)) {
+    return res.status(404).json({ status: 'error', error: 'Rule not found' });
+  }
+  console.log(`🗑️ Alert rule deleted: ${req.params.id}`);
+  res.json({ status: 'deleted', id: req.params.id });
+});
+
+// Dry-run a rule against a stored graduate to see which conditions fail
+app.get('/api/alert-rules/:id/evaluate/:mint', requireRole('read'), (req, res) => {
+  const rule = storage.getAlertRule(req.params.id);
+  const graduate = graduatedTokens.find(g => g.mint === req.params.mint) || storage.getGraduate(req.params.mint);
+  if (!rule || !graduate) {
+    return res.status(404).json({ status: 'error', error: !rule ? 'Rule not found' : 'Graduate not found' });
+  }
+  res.json({ rule: rule.id, mint: graduate.mint, ...evaluateRule(rule, graduate) });
+});
+
+// Watchlist - starred graduates with their own price / market cap / volume alerts (lib/watchlist.js)
+app.get('/api/watchlist', requireRole('read'), (req, res) => {
+  res.json({ watches: storage.listWatches() });
+});
+
+app.get('/api/watchlist/:mint', requireRole('read'), (req, res) => {
+  const watch = storage.getWatch(req.params.mint);
+  if (!watch) {
+    return res.status(404).json({ status: 'error', error: 'Token is not on the watchlist' });
+  }
+  res.json({ watch });
+});
+
+// Star a graduate, or replace its alerts / note: { alerts: [{ type, value }], note, watchPrice }
+app.put('/api/watchlist/:mint', requireRole('admin'), (req, res) => {
+  const graduate = graduatedTokens.find(g => g.mint === req.params.mint) || storage.getGraduate(req.params.mint);
+  if (!graduate) {
+    return res.status(404).json({ status: 'error', error: 'Graduate not found' });
+  }
+  try {
+    const existing = storage.getWatch(graduate.mint);
+    const watch = buildWatch(req.body || {}, graduate, existing);
+    storage.saveWatch(watch);
+    console.log(`⭐ ${existing ? 'Updated' : 'Watching'} ${watch.symbol || watch.mint} (${watch.alerts.length} alerts)`);
+    res.status(existing ? 200 : 201).json({ watch });
+  } catch (error) {
+    if (error instanceof WatchlistValidationError) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    console.error('Watchlist update failed:', error.message);
+    res.status(500).json({ status: 'error', error: 'Watchlist update failed', details: error.message });
+  }
+});
+
+app.delete('/api/watchlist/:mint', requireRole('admin'), (req, res) => {
+  if (!storage.deleteWatch(req.params.mint)) {
+    return res.status(404).json({ status: 'error', error: 'Token is not on the watchlist' });
+  }
+  console.log(`🗑️ Stopped watching ${req.params.mint}`);
+  res.json({ status: 'deleted', mint: req.params.mint });
+});
+
+// Tracked wallets - wallets whose buys of fresh graduates / pools are reported (lib/tracked-wallets.js)
+app.get('/api/tracked-wallets', requireRole('read'), (req, res) => {
+  res.json({ wallets: [...trackedWallets.values()], windowMinutes: trackedWalletConfig.windowMinutes });
 });
 
-// Function to automatically refresh trading data for recent graduates
+// Recent tracked buys, newest first (?wallet= for one wallet, ?limit= up to MAX_RECENT_BUYS)
+app.get('/api/tracked-wallets/buys', requireRole('read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_RECENT_BUYS);
+  const buys = recentTrackedBuys.filter(event => !req.query.wallet || event.wallet === req.query.wallet);
+  res.json({ buys: buys.slice(0, limit), count: Math.min(buys.length, limit) });
+});
+
+// Track a wallet, or update its label / window: { label, windowMinutes }
+app.put('/api/tracked-wallets/:address', requireRole('admin'), (req, res) => {
+  const { address } = req.params;
+  if (!isValidAddress(address)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid wallet address' });
+  }
+  try {
+    const existing = trackedWallets.get(address) || null;
+    const wallet = buildTrackedWallet(req.body || {}, address, existing);
+    storage.saveTrackedWallet(wallet);
+    trackedWallets.set(address, wallet);
+    if (!existing && !watchedDevs.has(address)) pumpPortal.send({ method: 'subscribeAccountTrade', keys: [address] });
+    console.log(`👀 ${existing ? 'Updated' : 'Tracking'} wallet ${wallet.label || address}`);
+    res.status(existing ? 200 : 201).json({ wallet });
+  } catch (error) {
+    if (error instanceof TrackedWalletValidationError) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    console.error('Tracked wallet update failed:', error.message);
+    res.status(500).json({ status: 'error', error: 'Tracked wallet update failed', details: error.message });
+  }
+});
+
+app.delete('/api/tracked-wallets/:address', requireRole('admin'), (req, res) => {
+  const { address } = req.params;
+  if (!storage.deleteTrackedWallet(address)) {
+    return res.status(404).json({ status: 'error', error: 'Wallet is not tracked' });
+  }
+  trackedWallets.delete(address);
+  if (!watchedDevs.has(address)) pumpPortal.send({ method: 'unsubscribeAccountTrade', keys: [address] });
+  console.log(`🗑️ Stopped tracking wallet ${address}`);
+  res.json({ status: 'deleted', address });
+});
+
+// Function to check a refreshed graduate's watchlist alerts, pushing the ones that fired to SSE and every channel
+function checkWatch(graduate) {
+  const watch = storage.getWatch(graduate.mint);
+  if (!watch) return;
+
+  const { triggered, changed } = evaluateWatch(watch, graduate);
+  if (changed) storage.saveWatch(watch);
+  if (triggered.length === 0) return;
+
+  console.log(`⭐ Watchlist alert for ${graduate.symbol || graduate.mint}: ${triggered.map(entry => entry.description).join(', ')}`);
+  broadcastMoralisEvent('watchAlert', { watch, graduate, alerts: triggered });
+  if (notifiers.length > 0) {
+    notifyAll(notifiers, buildWatchAlertMessage(watch, graduate, triggered));
+  }
+}
+
+// Function to respond with a 400 for invalid rule payloads
+function handleRuleError(res, error) {
+  if (error instanceof RuleValidationError) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  console.error('Alert rule update failed:', error.message);
+  res.status(500).json({ status: 'error', error: 'Alert rule update failed', details: error.message });
+}
+
+// Telegram bot commands (lib/telegram-bot.js), answered over getUpdates long polling or POST /telegram/webhook
+const telegramBotConfig = telegramBotConfigFromEnv(process.env);
+const telegramNotifier = notifiers.find(notifier => notifier.channel === 'telegram') || null;
+// The bot's /mute survives restarts, like the worker's Durable Object storage
+let telegramMutedUntil = storage.getSetting('telegram:mutedUntil');
+if (telegramNotifier) telegramNotifier.mutedUntil = telegramMutedUntil;
+const brisbaneTime = time => moment(time).tz('Australia/Brisbane').format('DD/MM/YY HH:mm');
+
+const telegramBot = telegramBotConfig.enabled ? createTelegramBot(telegramBotConfig, {
+  fetch: http.fetch,
+  handlers: {
+    status: () => {
+      const rules = storage.listAlertRules();
+      return [
+        { emoji: '🔌', label: 'PumpPortal', value: pumpPortal.isOpen() ? `connected since ${brisbaneTime(pumpPortal.stats.connectedAt)}` : `${pumpPortal.state} (${pumpPortal.reconnectAttempts} reconnect attempts)` },
+        { emoji: '🎓', label: 'Graduates', value: `${storage.countGraduates()} stored${graduatedTokens[0] ? `, last ${graduatedTokens[0].symbol || graduatedTokens[0].mint} at ${brisbaneTime(graduatedTokens[0].graduatedAt)}` : ''}` },
+        { emoji: '🏊', label: 'Pools', value: `${storage.countPools()} stored` },
+        { emoji: '🔥', label: 'Pre-graduation', value: `${bondingCurves.tokens.size} tracked, ${bondingCurves.nearGraduation().length} near graduation` },
+        { emoji: '⭐', label: 'Watchlist', value: `${storage.listWatches().length} tokens` },
+        { emoji: '🎯', label: 'Alert rules', value: `${rules.filter(rule => rule.enabled).length} of ${rules.length} enabled` },
+        { emoji: '👀', label: 'Tracked wallets', value: `${trackedWallets.size} (${recentTrackedBuys.length} recent buys)` }
+      ];
+    },
+    recentGraduates: limit => graduatedTokens.slice(0, limit),
+    findGraduate: mint => graduatedTokens.find(g => g.mint === mint) || storage.getGraduate(mint),
+    fetchPairs: async mint => {
+      const response = await http.getJson(`https://api.dexscreener.com/latest/dex/tokens/${encodeURIComponent(mint)}`, { timeoutMs: 5000 });
+      return (response && response.pairs) || [];
+    },
+    alertRules: () => storage.listAlertRules(),
+    isWatched: mint => Boolean(storage.getWatch(mint)),
+    watch: graduate => {
+      const existing = storage.getWatch(graduate.mint);
+      if (existing) return { watch: existing, created: false };
+      const watch = buildWatch({}, graduate);
+      storage.saveWatch(watch);
+      console.log(`⭐ Watching ${watch.symbol || watch.mint} (from Telegram)`);
+      return { watch, created: true };
+    },
+    getMutedUntil: () => telegramMutedUntil,
+    setMutedUntil: mutedUntil => {
+      telegramMutedUntil = mutedUntil;
+      if (telegramNotifier) telegramNotifier.mutedUntil = mutedUntil;
+      storage.saveSetting('telegram:mutedUntil', mutedUntil);
+      console.log(mutedUntil ? `🔇 Telegram alerts muted until ${new Date(mutedUntil).toISOString()}` : '🔔 Telegram alerts unmuted');
+    }
+  }
+}) : null;
+
+// Function to long-poll getUpdates forever, backing off for 5s after a failed poll
+async function pollTelegramUpdates() {
+  let offset;
+  for (;;) {
+    try {
+      const updates = await telegramBot.getUpdates(offset);
+      for (const update of updates) {
+        offset = update.update_id + 1;
+        await telegramBot.handleUpdate(update).catch(error => console.error('❌ Telegram update failed:', error.message));
+      }
+    } catch (error) {
+      // The webhook may belong to the worker sharing this token, so it is never deleted from here
+      const hint = /webhook/i.test(error.message) ? ' - a webhook is registered for this bot; delete it or use TELEGRAM_BOT_MODE=webhook' : '';
+      console.error(`❌ Telegram getUpdates failed: ${error.message}${hint}`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+// Function to start the Telegram bot in the configured mode
+async function startTelegramBot() {
+  if (!telegramBot) return;
+  if (telegramBotConfig.authorizedChatIds.length === 0) {
+    console.log('⚠️ Telegram bot commands need TELEGRAM_AUTHORIZED_CHAT_IDS or TELEGRAM_CHAT_ID - every chat will be ignored');
+  }
+  if (telegramBotConfig.mode === 'polling') {
+    console.log('🤖 Telegram bot commands: polling getUpdates');
+    pollTelegramUpdates();
+    return;
+  }
+
+  if (!telegramBotConfig.webhookSecret) {
+    console.error('❌ Telegram webhook mode needs TELEGRAM_WEBHOOK_SECRET - POST /telegram/webhook rejects every update');
+    return;
+  }
+  if (!telegramBotConfig.webhookUrl) {
+    console.log('🤖 Telegram bot commands: webhook mode, register POST /telegram/webhook with setWebhook (or set TELEGRAM_WEBHOOK_URL)');
+    return;
+  }
+  try {
+    await telegramBot.setWebhook(telegramBotConfig.webhookUrl, telegramBotConfig.webhookSecret);
+    console.log(`🤖 Telegram bot commands: webhook registered at ${telegramBotConfig.webhookUrl}`);
+  } catch (error) {
+    console.error('❌ Telegram setWebhook failed:', error.message);
+  }
+}
+
+// Telegram webhook (webhook mode). Authenticated by TELEGRAM_WEBHOOK_SECRET rather than API keys,
+// so it is rejected while no secret is set; always answers 200 so Telegram doesn't redeliver an update whose command failed.
+app.post('/telegram/webhook', async (req, res) => {
+  if (!telegramBot || telegramBotConfig.mode !== 'webhook') {
+    return res.status(404).json({ status: 'error', error: 'Telegram webhook mode is not enabled' });
+  }
+  if (!telegramBotConfig.webhookSecret || req.get('X-Telegram-Bot-Api-Secret-Token') !== telegramBotConfig.webhookSecret) {
+    return res.status(401).json({ status: 'error', error: 'Invalid Telegram webhook secret' });
+  }
+  try {
+    await telegramBot.handleUpdate(req.body || {});
+  } catch (error) {
+    console.error('❌ Telegram update failed:', error.message);
+  }
+  res.json({ ok: true });
+});
+
+const AUTO_REFRESH_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Function to automatically refresh trading data for recent and watched graduates,
+// checking the watchlist alerts of each refreshed one
 async function autoRefreshTradingData() {
-  if (graduatedTokens.length === 0) {
+  const watches = storage.listWatches();
+  if (graduatedTokens.length === 0 && watches.length === 0) {
     console.log('🔄 Auto-refresh: No graduates to refresh');
     return;
   }
 
   console.log(`🔄 Auto-refreshing trading data for ${graduatedTokens.length} graduates...`);
   
-  // Refresh data for graduates from the last 24 hours
-  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  // Refresh data for graduates from the last 24 hours, plus one refresh interval so the
+  // history always has a snapshot past the +24h return horizon
+  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000 - AUTO_REFRESH_INTERVAL_MS);
   const recentGraduates = graduatedTokens.filter(graduate => {
     const graduateTime = new Date(graduate.graduatedAt || graduate.timestamp);
     return graduateTime >= oneDayAgo;
   });
 
-  console.log(`🎯 Found ${recentGraduates.length} recent graduates to refresh`);
+  // Watched graduates are refreshed whatever their age
+  for (const watch of watches) {
+    if (recentGraduates.some(graduate => graduate.mint === watch.mint)) continue;
+    const graduate = graduatedTokens.find(g => g.mint === watch.mint) || storage.getGraduate(watch.mint);
+    if (graduate) recentGraduates.push(graduate);
+  }
+
+  console.log(`🎯 Found ${recentGraduates.length} recent or watched graduates to refresh`);
 
   for (const graduate of recentGraduates) {
     try {
@@ -1209,11 +2011,14 @@ async function autoRefreshTradingData() {
           priceChange1h: dexData.priceChange1h,
           marketCap: dexData.marketCap || graduate.marketCap,
           fdv: dexData.fdv,
+          liquidityUsd: dexData.liquidityUsd || graduate.liquidityUsd,
           priceUsdCurrent: dexData.priceUsdCurrent || graduate.priceUsdCurrent
         });
+        persistGraduate(graduate, dexData);
         
         // Broadcast updated data to frontend
         broadcastToMoralisSSE(graduate);
+        checkWatch(graduate);
       }
       
       // Small delay between requests to avoid rate limiting
@@ -1227,7 +2032,25 @@ async function autoRefreshTradingData() {
 }
 
 // Start automatic refresh every 10 minutes
-setInterval(autoRefreshTradingData, 10 * 60 * 1000); // 10 minutes
+setInterval(autoRefreshTradingData, AUTO_REFRESH_INTERVAL_MS);
+
+// Function to prune stored history according to the retention policy
+function applyRetentionPolicy() {
+  try {
+    const removed = storage.applyRetention({
+      maxAgeMs: RETENTION_DAYS > 0 ? RETENTION_DAYS * 24 * 60 * 60 * 1000 : 0,
+      maxPools: RETENTION_MAX_POOLS,
+      maxGraduates: RETENTION_MAX_GRADUATES
+    });
+    console.log(`🧹 Retention applied - removed ${removed.pools} pools, ${removed.graduates} graduates, ${removed.snapshots} snapshots, ${removed.dedupeKeys} dedupe keys, ${removed.wallets} wallets`);
+  } catch (error) {
+    console.error('❌ Retention policy failed:', error.message);
+  }
+}
+
+// Apply retention on boot and then hourly
+applyRetentionPolicy();
+setInterval(applyRetentionPolicy, 60 * 60 * 1000);
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -1235,11 +2058,30 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Solana Pool Tracker running on http://localhost:${actualPort}`);
   console.log(`📊 Monitoring ${Object.keys(PROGRAM_IDS).length} program IDs for pool creation`);
   console.log(`🕐 Timestamps in Australia/Brisbane timezone`);
+  console.log(`💾 Loaded ${detectedPools.length} pools and ${graduatedTokens.length} graduates from storage`);
+  console.log(`📱 Notification channels: ${notifiers.length > 0 ? notifiers.map(notifier => notifier.channel).join(', ') : 'none'}`);
   console.log(`🔄 Auto-refresh enabled: Trading data updates every 10 minutes`);
+  if (!apiAuthEnabled(apiAuth)) {
+    console.log('⚠️ Management API is open - set ADMIN_API_KEYS (and READ_API_KEYS) to require API keys');
+  }
+  if (!webhookAuth.enabled()) {
+    console.log('⚠️ /webhook accepts unauthenticated requests until the scanner starts - set WEBHOOK_AUTH_TOKEN, WEBHOOK_SIGNING_SECRET or WEBHOOK_ALLOWED_IPS');
+  }
+  
+  // Start direct RPC pool detection when configured
+  if (process.env.INGESTION_MODE === 'rpc') {
+    if (rpcIngestor) {
+      rpcIngestor.start();
+    } else {
+      console.error('❌ INGESTION_MODE=rpc requires RPC_WS_URL');
+    }
+  }
   
   // Start PumpPortal WebSocket connection
   console.log(`🎓 Starting PumpPortal pump.fun graduate tracking (FREE)`);
-  connectToPumpPortal();
+  pumpPortal.start();
+
+  startTelegramBot();
   
   // Run initial auto-refresh after 30 seconds
   setTimeout(() => {
@@ -1250,10 +2092,12 @@ const server = app.listen(PORT, () => {
 
 // Cleanup on exit
 process.on('SIGINT', () => {
-  if (pumpPortalWs && pumpPortalWs.readyState === WebSocket.OPEN) {
+  if (pumpPortal.isOpen()) {
     console.log('🔌 Closing PumpPortal WebSocket...');
-    pumpPortalWs.close();
   }
+  pumpPortal.stop();
+  if (rpcIngestor) rpcIngestor.stop();
+  storage.close();
   process.exit();
 });
 
@@ -1,11 +1,15 @@
 // Cloudflare Worker for Solana Pool Tracker with Durable Objects
 import { PumpPortalTracker } from './pumpportal-do.js';
+import { CHANNELS, notifierConfigFromEnv, createNotifiers, notifyAll, buildTestMessage } from '../lib/notifiers/index.js';
+import { ApiAuthError, apiAuthConfigFromEnv, extractApiKey, authorize } from '../lib/api-auth.js';
+import { telegramBotConfigFromEnv, createTelegramBot } from '../lib/telegram-bot.js';
 
 // CORS headers for all responses
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': '*',
+  // The "*" wildcard doesn't cover Authorization, so API keys need it listed explicitly
+  'Access-Control-Allow-Headers': '*, Authorization',
   'Access-Control-Expose-Headers': '*',
   'Cross-Origin-Resource-Policy': 'cross-origin',
   'Cross-Origin-Embedder-Policy': 'unsafe-none',
@@ -13,6 +17,17 @@ const corsHeaders = {
 
 export { PumpPortalTracker };
 
+// Role each route needs (see lib/api-auth.js). Connect and heartbeat only nudge the
+// PumpPortal connection, so the public dashboard can keep calling them with read access.
+function requiredRole(request, url) {
+  if (url.pathname === '/api/test-channel' || url.pathname === '/api/test-telegram') return 'admin';
+  if (url.pathname === '/pumpportal/update-graduates' || url.pathname === '/pumpportal/audit') return 'admin';
+  if (url.pathname.startsWith('/api/alert-rules') && request.method !== 'GET') return 'admin';
+  if (url.pathname.startsWith('/api/watchlist') && request.method !== 'GET') return 'admin';
+  if (url.pathname === '/api/telegram/webhook') return 'admin';
+  return 'read';
+}
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -22,13 +37,46 @@ export default {
       return new Response(null, { headers: corsHeaders });
     }
 
+    // Telegram bot updates authenticate with TELEGRAM_WEBHOOK_SECRET instead of an API key
+    if (url.pathname === '/telegram/webhook' && request.method === 'POST') {
+      if (!env.TELEGRAM_WEBHOOK_SECRET || request.headers.get('X-Telegram-Bot-Api-Secret-Token') !== env.TELEGRAM_WEBHOOK_SECRET) {
+        return new Response(JSON.stringify({ status: 'error', error: 'Invalid Telegram webhook secret' }), {
+          status: 401,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      const durableObject = env.PUMPPORTAL_TRACKER.get(env.PUMPPORTAL_TRACKER.idFromName('singleton'));
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, '/telegram'), request));
+    }
+
+    // API key check (ADMIN_API_KEYS / READ_API_KEYS secrets); open when none are set
+    try {
+      const apiKey = extractApiKey(name => request.headers.get(name), Object.fromEntries(url.searchParams), request.method);
+      authorize(apiAuthConfigFromEnv(env), requiredRole(request, url), apiKey);
+    } catch (error) {
+      if (!(error instanceof ApiAuthError)) throw error;
+      return new Response(JSON.stringify({ status: 'error', error: error.message, details: error.details }), {
+        status: error.status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
     // Get Durable Object instance
     const durableObjectId = env.PUMPPORTAL_TRACKER.idFromName('singleton');
     const durableObject = env.PUMPPORTAL_TRACKER.get(durableObjectId);
 
     // Route handling
+    if (url.pathname === '/api/test-channel') {
+      return handleTestChannel(env, url.searchParams.get('channel'));
+    }
+
+    if (url.pathname === '/api/telegram/webhook' && request.method === 'POST') {
+      return handleTelegramWebhookSetup(env, url);
+    }
+
+    // Kept for older dashboards - same as /api/test-channel?channel=telegram
     if (url.pathname === '/api/test-telegram') {
-      return handleTestTelegram(request, env);
+      return handleTestChannel(env, 'telegram');
     }
     
     if (url.pathname === '/pumpportal/events') {
@@ -48,6 +96,29 @@ export default {
       return durableObject.fetch(new Request(request.url.replace(url.pathname, '/update-graduates'), request));
     }
     
+    if (url.pathname === '/pumpportal/audit') {
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, '/audit'), request));
+    }
+    
+    if (url.pathname === '/api/alert-rules' || url.pathname.startsWith('/api/alert-rules/')) {
+      const rulePath = url.pathname.replace('/api/alert-rules', '/alert-rules');
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, rulePath), request));
+    }
+    
+    if (url.pathname === '/api/watchlist' || url.pathname.startsWith('/api/watchlist/')) {
+      const watchPath = url.pathname.replace('/api/watchlist', '/watchlist');
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, watchPath), request));
+    }
+    
+    const historyMatch = url.pathname.match(/^\/api\/graduates\/([^/]+)\/history$/);
+    if (historyMatch) {
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, `/history/${historyMatch[1]}`), request));
+    }
+    
+    if (url.pathname.startsWith('/pumpportal/wallets/')) {
+      return durableObject.fetch(new Request(request.url.replace(url.pathname, url.pathname.slice('/pumpportal'.length)), request));
+    }
+    
     if (url.pathname === '/pumpportal/heartbeat') {
       return durableObject.fetch(new Request(request.url.replace(url.pathname, '/heartbeat'), request));
     }
@@ -89,24 +160,58 @@ export default {
   }
 };
 
-// Test Telegram notification
-async function handleTestTelegram(request, env) {
-  const testMessage = `>� *TEST NOTIFICATION*
+// Test notification - every configured channel, or only ?channel= when given
+async function handleTestChannel(env, channel) {
+  const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+
+  if (channel && !CHANNELS.includes(channel)) {
+    return jsonResponse({ success: false, message: `Unknown channel: ${channel}` }, 400);
+  }
 
-� Solana Pool Tracker is working!
-=P Time: ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Brisbane' })}
-< Source: Cloudflare Worker
+  const notifiers = createNotifiers(notifierConfigFromEnv(env))
+    .filter(notifier => !channel || notifier.channel === channel);
+  if (notifiers.length === 0) {
+    return jsonResponse({
+      success: false,
+      message: channel ? `${channel} is not configured` : 'No notification channels configured'
+    }, 400);
+  }
 
-This is a test message to verify your Telegram bot setup.`;
+  const results = await notifyAll(notifiers, buildTestMessage('Cloudflare Worker'));
+  const sent = results.filter(result => result.success).length;
 
-  const success = await sendTelegramMessage(testMessage, env);
-  
-  return new Response(JSON.stringify({ 
-    success,
-    message: success ? 'Test notification sent!' : 'Failed to send notification'
-  }), {
+  return jsonResponse({
+    success: sent > 0,
+    message: sent > 0 ? `Test notification sent to ${sent}/${results.length} channel(s)!` : 'Failed to send notification',
+    results
+  });
+}
+
+// Register this worker's /telegram/webhook with Telegram, so the bot's commands reach the Durable Object
+async function handleTelegramWebhookSetup(env, url) {
+  const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
     headers: { ...corsHeaders, 'Content-Type': 'application/json' }
   });
+
+  const config = telegramBotConfigFromEnv(env);
+  if (!config.enabled || config.mode !== 'webhook') {
+    return jsonResponse({ success: false, message: 'Set TELEGRAM_BOT_TOKEN and TELEGRAM_BOT_MODE=webhook to enable bot commands' }, 400);
+  }
+  if (!config.webhookSecret) {
+    return jsonResponse({ success: false, message: 'Set the TELEGRAM_WEBHOOK_SECRET secret first' }, 400);
+  }
+
+  const webhookUrl = `${url.origin}/telegram/webhook`;
+  try {
+    await createTelegramBot(config, { fetch: (...args) => fetch(...args), handlers: {} }).setWebhook(webhookUrl, config.webhookSecret);
+    return jsonResponse({ success: true, message: `Telegram webhook registered at ${webhookUrl}` });
+  } catch (error) {
+    return jsonResponse({ success: false, message: error.message }, 502);
+  }
 }
 
 // Server-Sent Events for real-time updates
@@ -139,32 +244,6 @@ async function handleHealth(request, env) {
   });
 }
 
-// Send Telegram notification
-async function sendTelegramMessage(message, env) {
-  if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) {
-    console.log('Telegram credentials not configured');
-    return false;
-  }
-
-  try {
-    const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: env.TELEGRAM_CHAT_ID,
-        text: message,
-        parse_mode: 'Markdown'
-      })
-    });
-
-    const result = await response.json();
-    return result.ok;
-  } catch (error) {
-    console.error('Telegram error:', error);
-    return false;
-  }
-}
-
 // WebSocket connection to PumpPortal (simplified for now)
 async function connectToPumpPortal(env) {
   // Note: WebSocket connections in Workers need special handling
@@ -1,3 +1,53 @@
+import { RuleValidationError, buildRule, resolveAlertTargets } from '../lib/alert-rules.js';
+import { notifierConfigFromEnv, createNotifiers, notifyAll, buildGraduationMessage, buildWatchAlertMessage } from '../lib/notifiers/index.js';
+import { buildSeries, computeMetrics } from '../lib/history.js';
+import { TRADING_FIELDS, GraduateUpdateError, parseGraduateUpdates, planGraduateUpdates, diffChanges, graduateVersion } from '../lib/graduate-updates.js';
+import { DEXSCREENER_BATCH_SIZE, dueGraduates, earliestRefreshAt, pairsByMint, tradingDataFromPair } from '../lib/graduate-refresh.js';
+import { reconnectDelayMs, appendInterval, summarizeConnection } from '../lib/connection-health.js';
+import { backfillConfigFromEnv, findMissedMigrations } from '../lib/backfill.js';
+import { WatchlistValidationError, buildWatch, evaluateWatch } from '../lib/watchlist.js';
+import { devWalletConfigFromEnv, createWallet, recordLaunch, recordGraduation, recordDevSell, devProfile, findCreator, watchedCreators, isStaleWallet } from '../lib/dev-wallets.js';
+import { telegramBotConfigFromEnv, createTelegramBot } from '../lib/telegram-bot.js';
+
+// Price history kept per graduate (oldest snapshots dropped first)
+const MAX_SNAPSHOTS_PER_MINT = 500;
+
+// Most recent graduate update audit entries kept in storage
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Scheduled trading data refreshes (see lib/graduate-refresh.js): graduates refreshed per
+// alarm, and the minimum gap between alarms so a Dexscreener outage isn't retried in a tight loop
+const MAX_REFRESHES_PER_ALARM = 3 * DEXSCREENER_BATCH_SIZE;
+const MIN_ALARM_DELAY_MS = 30000;
+
+// While connected the alarm checks the socket every minute; one that hasn't delivered a
+// message (keepalive replies included) for 5 minutes is treated as dead and replaced
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+const STALE_CONNECTION_MS = 5 * 60 * 1000;
+
+// Gap backfill runs kept for /pumpportal/health
+const MAX_BACKFILL_RUNS = 20;
+
+// Creator wallets (`wallet:<address>`, plus a `creator:<mint>` key per launch) that never graduated a
+// token are forgotten after 30 days without activity; each alarm checks the next page of them
+const DEV_WALLET_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const WALLET_PRUNE_PAGE_SIZE = 200;
+
+// JSON-RPC caller for the lib modules (`rpc(method, params)`, see lib/backfill.js)
+function createRpcCaller(url) {
+  return async (method, params) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    if (!response.ok) throw new Error(`RPC ${method} returned ${response.status}`);
+    const body = await response.json();
+    if (body.error) throw new Error(`RPC ${method} error: ${body.error.message}`);
+    return body.result;
+  };
+}
+
 // Durable Object for maintaining PumpPortal WebSocket connection
 export class PumpPortalTracker {
   constructor(state, env) {
@@ -6,8 +56,25 @@ export class PumpPortalTracker {
     this.websocket = null;
     this.connected = false;
     this.graduatedTokens = [];
+    this.alertRules = [];
+    this.watchlist = [];
+    this.notifiers = createNotifiers(notifierConfigFromEnv(env));
+    this.devConfig = devWalletConfigFromEnv(env, this.defaultRpcUrl());
+    this.watchedDevs = new Set(); // Creators of recent graduates, followed for sells after graduation
+    this.telegramMutedUntil = null; // Set by the bot's /mute command
+    const telegramBotConfig = telegramBotConfigFromEnv(env);
+    // The Durable Object only answers webhook updates; TELEGRAM_BOT_MODE=webhook opts in
+    this.telegramBot = telegramBotConfig.enabled && telegramBotConfig.mode === 'webhook'
+      ? createTelegramBot(telegramBotConfig, { fetch: (...args) => fetch(...args), handlers: this.telegramHandlers() })
+      : null;
     this.sseClients = new Set(); // Track connected SSE clients
     this.initialized = false;
+
+    // Connection health: open since / last message (epoch ms), and the pending reconnect
+    this.connectedSince = null;
+    this.lastMessageAt = null;
+    this.reconnectAttempts = 0;
+    this.reconnectAt = null;
   }
 
   async ensureInitialized() {
@@ -16,21 +83,34 @@ export class PumpPortalTracker {
     // Load persisted graduates from storage
     const stored = await this.state.storage.get('graduatedTokens');
     this.graduatedTokens = stored || [];
+    this.alertRules = (await this.state.storage.get('alertRules')) || [];
+    this.watchlist = (await this.state.storage.get('watchlist')) || [];
+    this.applyTelegramMute((await this.state.storage.get('telegram:mutedUntil')) || null);
+    if (this.devConfig.enabled) {
+      this.watchedDevs = new Set(watchedCreators(this.graduatedTokens, this.devConfig.watchMs));
+    }
     
     console.log(`📚 Loaded ${this.graduatedTokens.length} stored graduates from persistent storage`);
     this.initialized = true;
+
+    // A connection that was open when the object was evicted ends at its last health check
+    const open = await this.state.storage.get('connection:open');
+    if (open) {
+      await this.recordConnectionInterval({ up: open.up, down: open.lastCheckedAt, reason: 'evicted' });
+    }
     
     // Auto-reconnect if not connected (handles Durable Object restarts)
     if (!this.connected && !this.websocket) {
       console.log('🔄 Auto-reconnecting WebSocket on Durable Object initialization...');
       try {
-        await this.connectToPumpPortal();
-        this.connected = true;
-        console.log('✅ Auto-reconnection successful');
+        await this.attemptReconnect();
       } catch (error) {
         console.error('❌ Auto-reconnection failed:', error.message);
       }
     }
+
+    // Make sure recent graduates keep getting refreshed (and the connection watched) after a restart
+    await this.scheduleAlarm();
   }
 
   async fetch(request) {
@@ -46,9 +126,13 @@ export class PumpPortalTracker {
     }
     
     if (url.pathname === '/status') {
+      const nextAlarm = await this.state.storage.getAlarm();
       return new Response(JSON.stringify({
         connected: this.connected,
-        graduates: this.graduatedTokens.length
+        graduates: this.graduatedTokens.length,
+        nextAlarmAt: nextAlarm ? new Date(nextAlarm).toISOString() : null,
+        connection: await this.connectionHealth(),
+        backfill: ((await this.state.storage.get('backfill:runs')) || []).slice(-1)[0] || null
       }), {
         headers: { 
           'Content-Type': 'application/json',
@@ -63,58 +147,557 @@ export class PumpPortalTracker {
       return this.handleUpdateGraduates(request);
     }
     
+    if (url.pathname === '/audit') {
+      return this.handleAudit(url);
+    }
+    
     if (url.pathname === '/heartbeat') {
       return this.handleHeartbeat();
     }
     
+    if (url.pathname === '/alert-rules' || url.pathname.startsWith('/alert-rules/')) {
+      return this.handleAlertRules(request, url.pathname.slice('/alert-rules/'.length) || null);
+    }
+    
+    if (url.pathname === '/watchlist' || url.pathname.startsWith('/watchlist/')) {
+      return this.handleWatchlist(request, decodeURIComponent(url.pathname.slice('/watchlist/'.length)) || null);
+    }
+    
+    if (url.pathname.startsWith('/history/')) {
+      return this.handleHistory(decodeURIComponent(url.pathname.slice('/history/'.length)));
+    }
+    
+    if (url.pathname.startsWith('/wallets/')) {
+      return this.handleWallet(decodeURIComponent(url.pathname.slice('/wallets/'.length)));
+    }
+    
+    if (url.pathname === '/telegram' && request.method === 'POST') {
+      return this.handleTelegramUpdate(request);
+    }
+    
     return new Response('PumpPortal Durable Object', { status: 404 });
   }
 
+  // Validated per-mint patch of trading fields (see lib/graduate-updates.js); the whole
+  // batch is rejected on schema errors (400), unknown mints (404) or stale versions (409)
   async handleUpdateGraduates(request) {
     try {
-      const updatedGraduates = await request.json();
-      
-      if (!Array.isArray(updatedGraduates)) {
-        return new Response('Invalid data format', { status: 400 });
+      const plan = planGraduateUpdates(parseGraduateUpdates(await request.json()), this.graduatedTokens);
+      const at = new Date().toISOString();
+      const source = request.headers.get('CF-Connecting-IP') || null;
+      const auditEntries = [];
+      const versions = {};
+
+      for (const { graduate, changes } of plan) {
+        const diff = diffChanges(graduate, changes);
+        if (Object.keys(diff).length > 0) {
+          Object.assign(graduate, changes);
+          graduate.version = graduateVersion(graduate) + 1;
+          graduate.updatedAt = at;
+          auditEntries.push({ at, mint: graduate.mint, version: graduate.version, source, changes: diff });
+
+          // Record the refreshed trading data in the token's history
+          if (TRADING_FIELDS.some(field => field in diff)) {
+            await this.recordSnapshot(graduate);
+          }
+        }
+        versions[graduate.mint] = graduateVersion(graduate);
       }
-      
-      // Update the stored graduates data
-      this.graduatedTokens = updatedGraduates;
-      
-      // Persist to storage
-      await this.state.storage.put('graduatedTokens', this.graduatedTokens);
-      console.log(`💾 Updated and saved ${this.graduatedTokens.length} graduates to persistent storage`);
-      
-      return new Response(JSON.stringify({
+
+      if (auditEntries.length > 0) {
+        await this.state.storage.put('graduatedTokens', this.graduatedTokens);
+        const audit = (await this.state.storage.get('audit:graduates')) || [];
+        await this.state.storage.put('audit:graduates', [...audit, ...auditEntries].slice(-MAX_AUDIT_ENTRIES));
+      }
+      console.log(`💾 Updated ${auditEntries.length} of ${plan.length} graduates (${plan.length - auditEntries.length} unchanged)`);
+
+      return this.jsonResponse({
         success: true,
-        count: this.graduatedTokens.length,
-        message: 'Graduates data updated successfully'
-      }), {
-        headers: { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': '*'
-        }
+        updated: auditEntries.length,
+        unchanged: plan.length - auditEntries.length,
+        versions
       });
-      
     } catch (error) {
+      if (error instanceof GraduateUpdateError || error instanceof SyntaxError) {
+        return this.jsonResponse({ success: false, error: error.message, details: error.details || null }, error.status || 400);
+      }
       console.error('Error updating graduates data:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: error.message
-      }), {
-        status: 500,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': '*'
+      return this.jsonResponse({ success: false, error: error.message }, 500);
+    }
+  }
+
+  // Graduate update audit log, newest first (?mint= to filter, ?limit= up to 1000)
+  async handleAudit(url) {
+    const mint = url.searchParams.get('mint');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '100', 10) || 100, MAX_AUDIT_ENTRIES);
+    const audit = (await this.state.storage.get('audit:graduates')) || [];
+    const entries = audit.filter(entry => !mint || entry.mint === mint).reverse().slice(0, limit);
+    return this.jsonResponse({ entries, count: entries.length });
+  }
+
+  // Durable Object alarm: check the feed connection (reconnecting when due), refresh the
+  // graduates that are due, then schedule the next run
+  async alarm() {
+    await this.ensureInitialized();
+    try {
+      await this.checkConnection();
+    } catch (error) {
+      console.error('❌ Connection check failed:', error);
+    }
+    try {
+      await this.refreshDueGraduates();
+    } catch (error) {
+      console.error('❌ Scheduled trading data refresh failed:', error);
+    }
+    try {
+      await this.maintainDevWallets();
+    } catch (error) {
+      console.error('❌ Dev wallet maintenance failed:', error);
+    }
+    await this.scheduleAlarm();
+  }
+
+  // One alarm serves every job: point it at the earliest of the next graduate refresh, the
+  // pending reconnect and (while connected) the next health check. Never moves a pending alarm later.
+  async scheduleAlarm() {
+    const now = Date.now();
+    const times = [];
+
+    const refreshAt = earliestRefreshAt(this.graduatedTokens, now, this.watchedMints());
+    if (refreshAt !== null) times.push(Math.max(refreshAt, now + MIN_ALARM_DELAY_MS));
+    if (this.reconnectAt !== null) times.push(this.reconnectAt);
+    if (this.websocket) times.push(now + HEALTH_CHECK_INTERVAL_MS);
+    if (times.length === 0) return;
+
+    const at = Math.min(...times);
+    const current = await this.state.storage.getAlarm();
+    // An alarm time in the past is the one currently running
+    if (current === null || current <= now || current > at) {
+      await this.state.storage.setAlarm(at);
+    }
+  }
+
+  // Replace a socket that went quiet, and reconnect once the backoff delay has passed
+  async checkConnection() {
+    const now = Date.now();
+
+    if (this.websocket && this.connectedSince && now - this.lastMessageAt > STALE_CONNECTION_MS) {
+      console.log(`🧟 No PumpPortal messages for ${Math.round((now - this.lastMessageAt) / 1000)}s - dropping stale connection`);
+      const webSocket = this.websocket;
+      await this.handleDisconnect(webSocket, 'stale');
+      try {
+        webSocket.close();
+      } catch (error) {
+        // Already closed
+      }
+    }
+
+    if (!this.websocket) {
+      if (this.reconnectAt === null) this.scheduleReconnect();
+      if (this.reconnectAt <= now) {
+        try {
+          await this.attemptReconnect();
+        } catch (error) {
+          console.error(`❌ Reconnection attempt ${this.reconnectAttempts} failed:`, error.message);
         }
-      });
+      }
+    }
+
+    if (this.connectedSince) {
+      await this.state.storage.put('connection:open', { up: this.connectedSince, lastCheckedAt: now });
+    }
+  }
+
+  // Next reconnect after a jittered, capped exponential delay (kept if one is already pending)
+  scheduleReconnect() {
+    if (this.reconnectAt !== null) return;
+    const delay = reconnectDelayMs(this.reconnectAttempts);
+    this.reconnectAt = Date.now() + delay;
+    console.log(`🔄 PumpPortal reconnect scheduled in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts + 1})`);
+  }
+
+  // Connect now; on failure the next attempt is scheduled with a longer backoff and the error rethrown
+  async attemptReconnect() {
+    this.reconnectAt = null;
+    this.reconnectAttempts++;
+
+    // Drop a socket that never finished connecting, so it can't report a disconnect later
+    if (this.websocket && !this.connectedSince) {
+      const pending = this.websocket;
+      this.websocket = null;
+      try {
+        pending.close();
+      } catch (error) {
+        // Never opened
+      }
+    }
+
+    try {
+      await this.connectToPumpPortal();
+      this.connected = true;
+      console.log('✅ PumpPortal reconnection successful');
+    } catch (error) {
+      if (this.websocket) {
+        const webSocket = this.websocket;
+        this.websocket = null;
+        try {
+          webSocket.close();
+        } catch (closeError) {
+          // Never opened
+        }
+      }
+      this.connected = false;
+      this.scheduleReconnect();
+      throw error;
     }
   }
 
+  // Socket closed, errored or went stale: end its up interval and schedule a reconnect
+  async handleDisconnect(webSocket, reason) {
+    if (this.websocket !== webSocket) return; // Already handled, or a socket that was replaced
+    this.websocket = null;
+    this.connected = false;
+
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+
+    if (this.connectedSince) {
+      await this.recordConnectionInterval({ up: this.connectedSince, down: Date.now(), reason });
+      this.connectedSince = null;
+    }
+    this.scheduleReconnect();
+    await this.scheduleAlarm();
+  }
+
+  async recordConnectionInterval(interval) {
+    const intervals = (await this.state.storage.get('connection:intervals')) || [];
+    await this.state.storage.put('connection:intervals', appendInterval(intervals, interval));
+    await this.state.storage.delete('connection:open');
+  }
+
+  // Uptime and disconnection gaps over the last 24h, for /pumpportal/health
+  async connectionHealth() {
+    const intervals = (await this.state.storage.get('connection:intervals')) || [];
+    return {
+      connectedSince: this.connectedSince ? new Date(this.connectedSince).toISOString() : null,
+      lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.reconnectAt ? new Date(this.reconnectAt).toISOString() : null,
+      ...summarizeConnection(intervals, { connectedSince: this.connectedSince })
+    };
+  }
+
+  // Re-fetch Dexscreener data for due graduates in batches; changed graduates get a new
+  // version and snapshot, and are pushed to SSE clients as an `update` event
+  async refreshDueGraduates() {
+    const due = dueGraduates(this.graduatedTokens, Date.now(), MAX_REFRESHES_PER_ALARM, this.watchedMints());
+    if (due.length === 0) return;
+
+    const refreshedAt = new Date().toISOString();
+    const updated = [];
+    const watchAlerts = [];
+    let watchlistChanged = false;
+    let refreshed = 0;
+
+    for (let i = 0; i < due.length; i += DEXSCREENER_BATCH_SIZE) {
+      const batch = due.slice(i, i + DEXSCREENER_BATCH_SIZE);
+      let pairs;
+      try {
+        const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${batch.map(graduate => graduate.mint).join(',')}`);
+        if (!response.ok) throw new Error(`Dexscreener returned ${response.status}`);
+        pairs = pairsByMint((await response.json()).pairs);
+      } catch (error) {
+        // Left due, so the batch is retried on the next alarm
+        console.error(`❌ Dexscreener refresh failed for ${batch.length} graduates:`, error.message);
+        continue;
+      }
+
+      for (const graduate of batch) {
+        graduate.refreshedAt = refreshedAt;
+        refreshed++;
+        const pair = pairs.get(graduate.mint);
+        if (!pair) continue;
+
+        const changes = tradingDataFromPair(pair, graduate);
+        const diff = diffChanges(graduate, changes);
+        if (Object.keys(diff).length === 0) continue;
+
+        Object.assign(graduate, changes);
+        graduate.version = graduateVersion(graduate) + 1;
+        graduate.updatedAt = refreshedAt;
+        if (TRADING_FIELDS.some(field => field in diff)) {
+          await this.recordSnapshot(graduate);
+        }
+        updated.push(graduate);
+
+        const watch = this.watchlist.find(entry => entry.mint === graduate.mint);
+        if (watch) {
+          const { triggered, changed } = evaluateWatch(watch, graduate);
+          watchlistChanged = watchlistChanged || changed;
+          if (triggered.length > 0) watchAlerts.push({ watch, graduate, alerts: triggered });
+        }
+      }
+    }
+
+    if (refreshed === 0) return;
+    await this.state.storage.put('graduatedTokens', this.graduatedTokens);
+    if (watchlistChanged) await this.state.storage.put('watchlist', this.watchlist);
+    console.log(`⏰ Scheduled refresh: ${refreshed} of ${due.length} due graduates refreshed, ${updated.length} changed`);
+
+    if (updated.length > 0) {
+      this.broadcastEvent('update', updated);
+    }
+
+    // Watchlist alerts that fired go to SSE clients and every channel
+    for (const { watch, graduate, alerts } of watchAlerts) {
+      console.log(`⭐ Watchlist alert for ${graduate.symbol || graduate.mint}: ${alerts.map(entry => entry.description).join(', ')}`);
+      this.broadcastEvent('watchAlert', { watch, graduate, alerts });
+      await notifyAll(this.notifiers, buildWatchAlertMessage(watch, graduate, alerts));
+    }
+  }
+
+  watchedMints() {
+    return new Set(this.watchlist.map(watch => watch.mint));
+  }
+
+  // Watchlist: GET /watchlist, GET/PUT/DELETE /watchlist/:mint (PUT stars the graduate or replaces its alerts)
+  async handleWatchlist(request, mint) {
+    try {
+      if (!mint) {
+        if (request.method === 'GET') {
+          return this.jsonResponse({ watches: this.watchlist });
+        }
+        return this.jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+      }
+
+      const index = this.watchlist.findIndex(watch => watch.mint === mint);
+      if (request.method === 'PUT') {
+        const graduate = this.findGraduate(mint);
+        if (!graduate) {
+          return this.jsonResponse({ success: false, error: 'Graduate not found' }, 404);
+        }
+        const existing = index === -1 ? null : this.watchlist[index];
+        const watch = buildWatch(await request.json(), graduate, existing);
+        if (existing) {
+          this.watchlist[index] = watch;
+        } else {
+          this.watchlist.unshift(watch);
+        }
+        await this.state.storage.put('watchlist', this.watchlist);
+        // Watched graduates past the refresh schedule start refreshing again
+        await this.scheduleAlarm();
+        console.log(`⭐ ${existing ? 'Updated' : 'Watching'} ${watch.symbol || watch.mint} (${watch.alerts.length} alerts)`);
+        return this.jsonResponse({ watch }, existing ? 200 : 201);
+      }
+
+      if (index === -1) {
+        return this.jsonResponse({ success: false, error: 'Token is not on the watchlist' }, 404);
+      }
+      if (request.method === 'GET') {
+        return this.jsonResponse({ watch: this.watchlist[index] });
+      }
+      if (request.method === 'DELETE') {
+        this.watchlist.splice(index, 1);
+        await this.state.storage.put('watchlist', this.watchlist);
+        console.log(`🗑️ Stopped watching ${mint}`);
+        return this.jsonResponse({ success: true, mint });
+      }
+      return this.jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    } catch (error) {
+      const status = error instanceof WatchlistValidationError || error instanceof SyntaxError ? 400 : 500;
+      return this.jsonResponse({ success: false, error: error.message }, status);
+    }
+  }
+
+  // Stop following creators whose graduates left the watch window, and forget the next page of stale wallets
+  async maintainDevWallets() {
+    if (!this.devConfig.enabled) return;
+
+    const watching = new Set(watchedCreators(this.graduatedTokens, this.devConfig.watchMs));
+    const expired = [...this.watchedDevs].filter(address => !watching.has(address));
+    if (expired.length > 0) {
+      expired.forEach(address => this.watchedDevs.delete(address));
+      this.sendToPumpPortal({ method: 'unsubscribeAccountTrade', keys: expired });
+      console.log(`🧹 Stopped watching ${expired.length} devs (${this.watchedDevs.size} left)`);
+    }
+
+    const cursor = await this.state.storage.get('wallets:pruneCursor');
+    const page = await this.state.storage.list({ prefix: 'wallet:', startAfter: cursor || undefined, limit: WALLET_PRUNE_PAGE_SIZE });
+    const stale = [...page.values()].filter(wallet => isStaleWallet(wallet, DEV_WALLET_RETENTION_MS));
+    const keys = stale.flatMap(wallet => [`wallet:${wallet.address}`, ...wallet.launches.map(launch => `creator:${launch.mint}`)]);
+    // delete() takes at most 128 keys per call
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.state.storage.delete(keys.slice(i, i + 128));
+    }
+    await this.state.storage.put('wallets:pruneCursor', page.size < WALLET_PRUNE_PAGE_SIZE ? null : [...page.keys()].pop());
+    if (stale.length > 0) console.log(`🧹 Forgot ${stale.length} stale dev wallets`);
+  }
+
+  async recordSnapshot(graduate) {
+    const key = `snapshots:${graduate.mint}`;
+    const snapshots = (await this.state.storage.get(key)) || [];
+    snapshots.push({
+      recordedAt: Date.now(),
+      priceUsdCurrent: graduate.priceUsdCurrent || graduate.priceUsd || null,
+      marketCap: graduate.marketCap || null,
+      liquidityUsd: graduate.liquidityUsd || null,
+      volume1h: graduate.volume1h || null,
+      volume24h: graduate.volume24h || null,
+      txns1h: graduate.txns1h || null,
+      txns24h: graduate.txns24h || null
+    });
+    await this.state.storage.put(key, snapshots.slice(-MAX_SNAPSHOTS_PER_MINT));
+  }
+
+  // Same response shape as server.js GET /api/graduates/:mint/history
+  async handleHistory(mint) {
+    const graduate = this.graduatedTokens.find(token => token.mint === mint);
+    if (!graduate) {
+      return this.jsonResponse({ status: 'error', error: 'Graduate not found' }, 404);
+    }
+
+    const series = buildSeries((await this.state.storage.get(`snapshots:${mint}`)) || []);
+    return this.jsonResponse({
+      mint,
+      symbol: graduate.symbol,
+      graduatedAt: graduate.graduatedAt,
+      migrationEvent: graduate.migrationEvent || null,
+      metrics: computeMetrics(graduate, series),
+      points: series.map(point => ({ ...point, time: new Date(point.time).toISOString() }))
+    });
+  }
+
+  // Same response shape as server.js GET /api/wallets/:address
+  async handleWallet(address) {
+    const wallet = await this.state.storage.get(`wallet:${address}`);
+    if (!wallet) {
+      return this.jsonResponse({ status: 'error', error: 'Wallet not found', details: 'Only creators seen on the PumpPortal feed or found for a graduate are indexed' }, 404);
+    }
+    return this.jsonResponse({ wallet, profile: devProfile(wallet, null, mint => this.findGraduate(mint)) });
+  }
+
+  // Telegram bot: POST /telegram, forwarded by the worker's /telegram/webhook (secret already checked there).
+  // Always 200 so Telegram doesn't redeliver an update whose command failed.
+  async handleTelegramUpdate(request) {
+    if (!this.telegramBot) {
+      return this.jsonResponse({ success: false, error: 'Telegram bot is not configured' }, 404);
+    }
+    try {
+      await this.telegramBot.handleUpdate(await request.json());
+    } catch (error) {
+      console.error('❌ Telegram update failed:', error.message);
+    }
+    return this.jsonResponse({ ok: true });
+  }
+
+  applyTelegramMute(mutedUntil) {
+    this.telegramMutedUntil = mutedUntil;
+    for (const notifier of this.notifiers) {
+      if (notifier.channel === 'telegram') notifier.mutedUntil = mutedUntil;
+    }
+  }
+
+  // Data behind the bot's commands (see lib/telegram-bot.js)
+  telegramHandlers() {
+    return {
+      status: async () => {
+        const health = await this.connectionHealth();
+        const latest = this.graduatedTokens[0];
+        return [
+          { emoji: '🔌', label: 'PumpPortal', value: this.connected ? `connected since ${health.connectedSince}` : `disconnected (${this.reconnectAttempts} reconnect attempts)` },
+          { emoji: '🎓', label: 'Graduates', value: `${this.graduatedTokens.length} stored${latest ? `, last ${latest.symbol || latest.mint} at ${latest.graduatedAt}` : ''}` },
+          { emoji: '⭐', label: 'Watchlist', value: `${this.watchlist.length} tokens` },
+          { emoji: '🎯', label: 'Alert rules', value: `${this.alertRules.filter(rule => rule.enabled).length} of ${this.alertRules.length} enabled` },
+          { emoji: '👤', label: 'Watched devs', value: String(this.watchedDevs.size) }
+        ];
+      },
+      recentGraduates: limit => this.graduatedTokens.slice(0, limit),
+      findGraduate: mint => this.findGraduate(mint),
+      fetchPairs: async mint => {
+        const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+        if (!response.ok) throw new Error(`Dexscreener returned ${response.status}`);
+        return (await response.json()).pairs || [];
+      },
+      alertRules: () => this.alertRules,
+      isWatched: mint => this.watchedMints().has(mint),
+      watch: async graduate => {
+        const existing = this.watchlist.find(watch => watch.mint === graduate.mint);
+        if (existing) return { watch: existing, created: false };
+        const watch = buildWatch({}, graduate);
+        this.watchlist.unshift(watch);
+        await this.state.storage.put('watchlist', this.watchlist);
+        await this.scheduleAlarm();
+        console.log(`⭐ Watching ${watch.symbol || watch.mint} (from Telegram)`);
+        return { watch, created: true };
+      },
+      getMutedUntil: () => this.telegramMutedUntil,
+      setMutedUntil: async mutedUntil => {
+        this.applyTelegramMute(mutedUntil);
+        await this.state.storage.put('telegram:mutedUntil', mutedUntil);
+        console.log(mutedUntil ? `🔇 Telegram alerts muted until ${new Date(mutedUntil).toISOString()}` : '🔔 Telegram alerts unmuted');
+      }
+    };
+  }
+
+  // Alert rules CRUD: GET/POST /alert-rules, GET/PUT/DELETE /alert-rules/:id
+  async handleAlertRules(request, ruleId) {
+    try {
+      if (!ruleId) {
+        if (request.method === 'GET') {
+          return this.jsonResponse({ rules: this.alertRules });
+        }
+        if (request.method === 'POST') {
+          const rule = buildRule(await request.json());
+          this.alertRules.push(rule);
+          await this.state.storage.put('alertRules', this.alertRules);
+          console.log(`🎯 Alert rule created: ${rule.name}`);
+          return this.jsonResponse({ rule }, 201);
+        }
+        return this.jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+      }
+
+      const index = this.alertRules.findIndex(rule => rule.id === ruleId);
+      if (index === -1) {
+        return this.jsonResponse({ success: false, error: 'Rule not found' }, 404);
+      }
+
+      if (request.method === 'GET') {
+        return this.jsonResponse({ rule: this.alertRules[index] });
+      }
+      if (request.method === 'PUT') {
+        const rule = buildRule(await request.json(), this.alertRules[index]);
+        this.alertRules[index] = rule;
+        await this.state.storage.put('alertRules', this.alertRules);
+        console.log(`🎯 Alert rule updated: ${rule.name}`);
+        return this.jsonResponse({ rule });
+      }
+      if (request.method === 'DELETE') {
+        this.alertRules.splice(index, 1);
+        await this.state.storage.put('alertRules', this.alertRules);
+        console.log(`🗑️ Alert rule deleted: ${ruleId}`);
+        return this.jsonResponse({ success: true, id: ruleId });
+      }
+      return this.jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    } catch (error) {
+      const status = error instanceof RuleValidationError || error instanceof SyntaxError ? 400 : 500;
+      return this.jsonResponse({ success: false, error: error.message }, status);
+    }
+  }
+
+  jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': '*'
+      }
+    });
+  }
+
   async handleHeartbeat() {
     // Heartbeat endpoint to keep Durable Object active and check/restore connection
     const status = {
@@ -129,8 +712,7 @@ export class PumpPortalTracker {
     if (!this.connected) {
       console.log('💓 Heartbeat detected disconnection, attempting auto-reconnect...');
       try {
-        await this.connectToPumpPortal();
-        this.connected = true;
+        await this.attemptReconnect();
         status.connected = true;
         status.reconnected = true;
         console.log('✅ Heartbeat auto-reconnection successful');
@@ -157,8 +739,7 @@ export class PumpPortalTracker {
 
     try {
       // Connect to PumpPortal WebSocket for real-time data
-      await this.connectToPumpPortal();
-      this.connected = true;
+      await this.attemptReconnect();
       
       return new Response('Connected to PumpPortal WebSocket');
     } catch (error) {
@@ -175,6 +756,15 @@ export class PumpPortalTracker {
       
       webSocket.addEventListener('open', () => {
         console.log('🚀 Connected to PumpPortal WebSocket');
+        this.connectedSince = Date.now();
+        this.lastMessageAt = this.connectedSince;
+        this.reconnectAttempts = 0;
+        this.reconnectAt = null;
+
+        // Recover the graduations sent while we were disconnected
+        this.backfillLastGap().catch(error => {
+          console.error('❌ Graduation backfill failed:', error);
+        });
         
         // Subscribe to migration/graduation events from pump.fun to DEX
         const subscribeMessage = {
@@ -182,6 +772,14 @@ export class PumpPortalTracker {
         };
         
         webSocket.send(JSON.stringify(subscribeMessage));
+
+        // New tokens feed the dev wallet index; recent graduates' creators are followed for sells
+        if (this.devConfig.enabled) {
+          webSocket.send(JSON.stringify({ method: 'subscribeNewToken' }));
+          if (this.watchedDevs.size > 0) {
+            webSocket.send(JSON.stringify({ method: 'subscribeAccountTrade', keys: [...this.watchedDevs] }));
+          }
+        }
         
         // Set up keepalive ping every 30 seconds to prevent idle disconnection
         this.keepAliveInterval = setInterval(() => {
@@ -201,6 +799,7 @@ export class PumpPortalTracker {
       });
 
       webSocket.addEventListener('message', async (event) => {
+        this.lastMessageAt = Date.now();
         try {
           await this.handlePumpPortalMessage(event.data);
         } catch (error) {
@@ -208,32 +807,20 @@ export class PumpPortalTracker {
         }
       });
 
-      webSocket.addEventListener('close', () => {
-        console.log('❌ PumpPortal WebSocket disconnected');
-        this.connected = false;
-        this.websocket = null;
-        
-        // Clear keepalive interval
-        if (this.keepAliveInterval) {
-          clearInterval(this.keepAliveInterval);
-          this.keepAliveInterval = null;
-        }
-        
-        // Note: Can't use setTimeout in Cloudflare Workers Durable Objects reliably
-        // Reconnection will be handled by frontend health checks and manual reconnection
-        console.log('🔄 WebSocket disconnected - reconnection available via /connect endpoint');
+      // Can't use setTimeout in Cloudflare Workers Durable Objects reliably, so the
+      // reconnect is scheduled on the alarm (see scheduleReconnect)
+      webSocket.addEventListener('close', (event) => {
+        console.log(`❌ PumpPortal WebSocket disconnected (code ${event.code})`);
+        this.handleDisconnect(webSocket, `closed (${event.code})`).catch(error => {
+          console.error('Error handling PumpPortal disconnect:', error);
+        });
       });
 
       webSocket.addEventListener('error', (error) => {
         console.error('PumpPortal WebSocket error:', error);
-        this.connected = false;
-        this.websocket = null;
-        
-        // Clear keepalive interval
-        if (this.keepAliveInterval) {
-          clearInterval(this.keepAliveInterval);
-          this.keepAliveInterval = null;
-        }
+        this.handleDisconnect(webSocket, 'error').catch(handleError => {
+          console.error('Error handling PumpPortal disconnect:', handleError);
+        });
       });
 
       this.websocket = webSocket;
@@ -264,6 +851,12 @@ export class PumpPortalTracker {
   async handlePumpPortalMessage(data) {
     try {
       const message = JSON.parse(data);
+
+      // Create / buy / sell events feed the dev wallet index (too many to log)
+      if (message.txType === 'create' || message.txType === 'buy' || message.txType === 'sell') {
+        await this.handleDevEvent(message);
+        return;
+      }
       
       // Debug: Log the full message structure for ALL messages
       console.log('📋 PumpPortal message received:', JSON.stringify(message, null, 2));
@@ -272,23 +865,17 @@ export class PumpPortalTracker {
       if (message.txType === 'migrate' && message.mint && message.pool === 'pump-amm') {
         console.log(`🎓 PUMP.FUN GRADUATION DETECTED: ${message.mint} (${message.symbol || message.name || 'unnamed'})`);
         
-        const graduationTime = message.timestamp || new Date().toISOString();
-        
-        const graduateData = {
-          mint: message.mint,
-          name: message.name || null,
-          symbol: message.symbol || null,
-          graduatedAt: graduationTime,
-          timestamp: graduationTime, // Frontend expects this field for Time column
-          liquidityUsd: message.liquidityUsd || message.initialBuy || null,
-          priceUsd: message.priceUsd || null,
-          graduationPairAddress: message.pairAddress || null,
-          graduationDex: message.dex || 'raydium',
-          signature: message.signature || 'unknown'
-        };
+        const graduateData = this.buildGraduateData(message);
 
-        // Fetch additional token metadata and price data
+        // Fetch additional token metadata and price data, and who launched it
         await this.enrichTokenData(graduateData);
+        await this.profileGraduateDev(graduateData);
+
+        // The gap backfill may have recorded it while we were enriching
+        if (this.graduatedTokens.some(token => token.mint === graduateData.mint)) {
+          console.log(`⏭️  ${graduateData.mint} is already stored - skipping duplicate`);
+          return;
+        }
         
         // Add to persistent storage (no limit)
         this.graduatedTokens.unshift(graduateData);
@@ -297,8 +884,11 @@ export class PumpPortalTracker {
         await this.state.storage.put('graduatedTokens', this.graduatedTokens);
         console.log(`💾 Saved ${this.graduatedTokens.length} graduates to persistent storage`);
 
-        // Send Telegram notification
-        await this.sendTelegramNotification(graduateData);
+        // Start its scheduled trading data refreshes
+        await this.scheduleAlarm();
+
+        // Notify every channel (and rule chat) whose alert rules match
+        await this.notifyGraduate(graduateData);
         
         // Broadcast to all connected SSE clients
         this.broadcastToSSEClients(graduateData);
@@ -316,6 +906,170 @@ export class PumpPortalTracker {
     }
   }
 
+  // Graduate record for a PumpPortal migrate event, or one rebuilt by the gap backfill
+  buildGraduateData(message) {
+    const graduationTime = message.timestamp || new Date().toISOString();
+
+    return {
+      mint: message.mint,
+      name: message.name || null,
+      symbol: message.symbol || null,
+      graduatedAt: graduationTime,
+      timestamp: graduationTime, // Frontend expects this field for Time column
+      liquidityUsd: message.liquidityUsd || null,
+      priceUsd: message.priceUsd || null,
+      graduationPairAddress: message.pairAddress || null,
+      graduationDex: message.dex || 'raydium',
+      signature: message.signature || 'unknown',
+      migrationEvent: message, // Raw PumpPortal event, shown in the dashboard detail panel
+      backfilled: message.backfilled === true, // Recovered from chain history after a feed outage
+      version: 1 // Bumped on every update, for optimistic concurrency in /update-graduates
+    };
+  }
+
+  // Backfill the outage that ended with this connection: from the last recorded disconnect
+  // (or eviction) to now, unless an earlier run already covered it
+  async backfillLastGap() {
+    const intervals = (await this.state.storage.get('connection:intervals')) || [];
+    const lastInterval = intervals[intervals.length - 1];
+    if (!lastInterval) return; // First connection - nothing was missed
+
+    const runs = (await this.state.storage.get('backfill:runs')) || [];
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.outageStart >= lastInterval.down) return;
+
+    const config = backfillConfigFromEnv(this.env, this.defaultRpcUrl());
+    if (!config.rpcUrl) {
+      console.log('⚠️ No RPC endpoint for backfill (set BACKFILL_RPC_URL, SOLANA_RPC_URL or HELIUS_API_KEY) - graduations during the outage are lost');
+      return;
+    }
+
+    const run = { outageStart: lastInterval.down, startedAt: new Date().toISOString() };
+    console.log(`🕳️ Backfilling graduations missed since ${new Date(lastInterval.down).toISOString()}...`);
+    try {
+      const result = await findMissedMigrations(createRpcCaller(config.rpcUrl), {
+        address: config.address,
+        from: lastInterval.down - config.marginMs,
+        to: Date.now(),
+        maxTransactions: config.maxTransactions,
+        maxWindowMs: config.maxWindowMs
+      });
+
+      const inserted = [];
+      for (const migration of result.migrations) {
+        if (this.graduatedTokens.some(token => token.mint === migration.mint)) continue;
+        const graduateData = this.buildGraduateData(migration);
+        this.insertGraduate(graduateData);
+        inserted.push(graduateData);
+      }
+
+      if (inserted.length > 0) {
+        await this.state.storage.put('graduatedTokens', this.graduatedTokens);
+        // No alerts for backfilled graduates; the scheduled refresh picks up their trading data
+        inserted.forEach(graduateData => this.broadcastToSSEClients(graduateData));
+        await this.scheduleAlarm();
+      }
+
+      Object.assign(run, { from: result.from, to: result.to, scanned: result.scanned, failed: result.failed, found: result.migrations.length, inserted: inserted.length, truncated: result.truncated });
+      console.log(`🕳️ Backfill done: ${result.migrations.length} migrations in ${result.scanned} transactions, ${inserted.length} new${result.truncated ? ' (window truncated)' : ''}`);
+    } catch (error) {
+      run.error = error.message;
+      console.error('❌ Graduation backfill failed:', error.message);
+    }
+
+    await this.state.storage.put('backfill:runs', [...runs, run].slice(-MAX_BACKFILL_RUNS));
+  }
+
+  // SOLANA_RPC_URL, else Helius when HELIUS_API_KEY is set; the fallback for BACKFILL_RPC_URL and DEV_RPC_URL
+  defaultRpcUrl() {
+    if (this.env.SOLANA_RPC_URL) return this.env.SOLANA_RPC_URL;
+    return this.env.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${this.env.HELIUS_API_KEY}` : null;
+  }
+
+  findGraduate(mint) {
+    return this.graduatedTokens.find(token => token.mint === mint) || null;
+  }
+
+  sendToPumpPortal(message) {
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      this.websocket.send(JSON.stringify(message));
+    }
+  }
+
+  // Index new tokens by creator, and record sells by the creators of recent graduates
+  async handleDevEvent(message) {
+    if (!this.devConfig.enabled || !message.mint || !message.traderPublicKey) return;
+    const address = message.traderPublicKey;
+
+    if (message.txType === 'create') {
+      const wallet = (await this.state.storage.get(`wallet:${address}`)) || createWallet(address);
+      recordLaunch(wallet, message);
+      await this.state.storage.put({ [`wallet:${address}`]: wallet, [`creator:${message.mint}`]: address });
+      return;
+    }
+
+    if (message.txType !== 'sell' || !this.watchedDevs.has(address)) return;
+    const graduate = this.findGraduate(message.mint);
+    if (!graduate || !graduate.dev || graduate.dev.address !== address) return;
+
+    const wallet = await this.state.storage.get(`wallet:${address}`);
+    if (!wallet || !recordDevSell(wallet, message.mint, message)) return;
+    await this.state.storage.put(`wallet:${address}`, wallet);
+
+    if (!graduate.dev.soldThis) {
+      console.log(`💸 Dev ${address} sold ${graduate.symbol || graduate.mint} after graduation (${message.solAmount} SOL)`);
+    }
+    graduate.dev = { ...devProfile(wallet, graduate.mint, mint => this.findGraduate(mint)), source: graduate.dev.source };
+    await this.state.storage.put('graduatedTokens', this.graduatedTokens);
+    this.broadcastEvent('update', [graduate]);
+  }
+
+  // Attach the creator's reputation to a new graduate: the creator comes from our own create events,
+  // otherwise from the chain. Backfilled graduates aren't profiled (they don't alert either).
+  async profileGraduateDev(graduateData) {
+    if (!this.devConfig.enabled) return;
+    try {
+      let source = 'feed';
+      let address = await this.state.storage.get(`creator:${graduateData.mint}`);
+      if (!address && this.devConfig.rpcUrl) {
+        const creator = await findCreator(createRpcCaller(this.devConfig.rpcUrl), {
+          mint: graduateData.mint,
+          pool: graduateData.graduationPairAddress || null,
+          maxSignaturePages: this.devConfig.maxSignaturePages
+        });
+        if (creator) ({ address, source } = creator);
+      }
+      if (!address) {
+        console.log(`👤 Creator of ${graduateData.symbol || graduateData.mint} not found`);
+        return;
+      }
+
+      const wallet = (await this.state.storage.get(`wallet:${address}`)) || createWallet(address);
+      recordGraduation(wallet, graduateData);
+      await this.state.storage.put({ [`wallet:${address}`]: wallet, [`creator:${graduateData.mint}`]: address });
+      graduateData.dev = { ...devProfile(wallet, graduateData.mint, mint => this.findGraduate(mint)), source };
+      console.log(`👤 Dev of ${graduateData.symbol || graduateData.mint}: ${address} (${graduateData.dev.reputation}) - ${graduateData.dev.summary}`);
+
+      if (!this.watchedDevs.has(address)) {
+        this.watchedDevs.add(address);
+        this.sendToPumpPortal({ method: 'subscribeAccountTrade', keys: [address] });
+      }
+    } catch (error) {
+      console.error(`❌ Dev profiling failed for ${graduateData.mint}:`, error.message);
+    }
+  }
+
+  // Keep graduates newest first when inserting one from the past
+  insertGraduate(graduateData) {
+    const time = new Date(graduateData.graduatedAt).getTime();
+    const index = this.graduatedTokens.findIndex(token => new Date(token.graduatedAt).getTime() < time);
+    if (index === -1) {
+      this.graduatedTokens.push(graduateData);
+    } else {
+      this.graduatedTokens.splice(index, 0, graduateData);
+    }
+  }
+
   async enrichTokenData(graduateData) {
     try {
       // Wait 8 seconds for Dexscreener to index
@@ -328,32 +1082,17 @@ export class PumpPortalTracker {
         // Find graduated pair or use first available
         const graduatedPair = data.pairs.find(pair => pair.dexId !== 'pumpfun') || data.pairs[0];
         
-        graduateData.name = graduatedPair.baseToken.name;
-        graduateData.symbol = graduatedPair.baseToken.symbol;
-        
-        // Try multiple image sources
-        graduateData.tokenImage = graduatedPair.baseToken.image || 
-                                 graduatedPair.info?.imageUrl || 
-                                 graduatedPair.info?.image ||
-                                 graduatedPair.baseToken?.logoURI ||
-                                 null;
+        // Same fields the scheduled refreshes keep up to date
+        Object.assign(graduateData, tradingDataFromPair(graduatedPair, graduateData));
+        graduateData.refreshedAt = new Date().toISOString();
         
         if (graduateData.tokenImage) {
           console.log(`🖼️ Found image for ${graduateData.symbol}: ${graduateData.tokenImage}`);
         } else {
           console.log(`📷 No image found for ${graduateData.symbol}`);
         }
-        graduateData.priceUsd = parseFloat(graduatedPair.priceUsd) || 0;
-        graduateData.marketCap = graduatedPair.marketCap || 0;
-        graduateData.dexscreenerUrl = graduatedPair.url;
         
-        // Add trading data that frontend expects
-        graduateData.volume24h = graduatedPair.volume?.h24 || null;
-        graduateData.volume1h = graduatedPair.volume?.h1 || null;
-        graduateData.txns24h = graduatedPair.txns?.h24 || null;
-        graduateData.txns1h = graduatedPair.txns?.h1 || null;
-        graduateData.priceChange24h = graduatedPair.priceChange?.h24 || null;
-        graduateData.priceChange1h = graduatedPair.priceChange?.h1 || null;
+        await this.recordSnapshot(graduateData);
         
         console.log(`📊 Enriched ${graduateData.symbol} with trading data: Vol24h=$${graduateData.volume24h || 'N/A'}, Change24h=${graduateData.priceChange24h || 'N/A'}%`);
       }
@@ -362,44 +1101,22 @@ export class PumpPortalTracker {
     }
   }
 
-  async sendTelegramNotification(graduateData) {
-    if (!this.env.TELEGRAM_BOT_TOKEN || !this.env.TELEGRAM_CHAT_ID) {
+  async notifyGraduate(graduateData) {
+    const targets = resolveAlertTargets(this.alertRules, graduateData);
+    if (targets.length === 0) {
+      console.log(`🔕 No alert rules matched ${graduateData.symbol || graduateData.mint} - skipping notification`);
       return;
     }
 
-    const message = `🎓 *PUMP.FUN GRADUATION ALERT*
-
-🪙 *Token:* ${graduateData.symbol || 'Unknown'} (${graduateData.name || 'Unknown'})
-💰 *Price:* $${graduateData.priceUsd ? graduateData.priceUsd.toFixed(6) : 'Unknown'}
-📊 *Market Cap:* $${graduateData.marketCap ? graduateData.marketCap.toLocaleString() : 'Unknown'}
-⏰ *Time:* ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Brisbane' })}
-
-🔗 *Links:*
-• [Pump.fun](https://pump.fun/${graduateData.mint})
-${graduateData.dexscreenerUrl ? `• [Dexscreener](${graduateData.dexscreenerUrl})` : ''}
-
-\`${graduateData.mint}\``;
-
-    try {
-      await fetch(`https://api.telegram.org/bot${this.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: this.env.TELEGRAM_CHAT_ID,
-          text: message,
-          parse_mode: 'Markdown'
-        })
-      });
-    } catch (error) {
-      console.error('Telegram notification failed:', error);
-    }
+    await notifyAll(this.notifiers, buildGraduationMessage(graduateData), targets);
   }
 
   broadcastToSSEClients(graduateData) {
-    const eventData = `data: ${JSON.stringify({
-      type: 'newGraduate',
-      data: graduateData
-    })}\n\n`;
+    this.broadcastEvent('newGraduate', graduateData);
+  }
+
+  broadcastEvent(type, data) {
+    const eventData = `data: ${JSON.stringify({ type, data })}\n\n`;
 
     // Send to all connected SSE clients
     for (const client of this.sseClients) {
@@ -0,0 +1,61 @@
+// Per-program decoders against fixtures/instructions: one instruction per instruction tag /
+// Anchor discriminator, built with the program's own SDK instruction builder or encoded from its
+// published IDL (each case names its `source`), with the label, args and (for pool creation)
+// pool fields it must decode to
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PROGRAM_IDS } = require('../lib/programs');
+const { INSTRUCTION_KINDS, decodeInstruction, extractPoolAccounts, extractPoolParams } = require('../lib/decoders');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'instructions');
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json'))) {
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+  test(`${file}: covers pool creation and, for AMMs, add / remove liquidity and swaps`, () => {
+    const kinds = new Set(cases.filter(c => c.expected).map(c => c.expected.kind));
+    if (file === 'pumpfun.json') {
+      assert.ok(!kinds.has(INSTRUCTION_KINDS.INITIALIZE_POOL), 'the bonding curve never creates a pool');
+      return;
+    }
+    for (const kind of [INSTRUCTION_KINDS.INITIALIZE_POOL, INSTRUCTION_KINDS.ADD_LIQUIDITY, INSTRUCTION_KINDS.REMOVE_LIQUIDITY, INSTRUCTION_KINDS.SWAP]) {
+      assert.ok(kinds.has(kind), `no ${kind} fixture`);
+    }
+  });
+
+  for (const { description, instruction, expected } of cases) {
+    test(`${file}: ${description}`, () => {
+      const decoded = decodeInstruction(instruction);
+      if (expected === null) {
+        assert.equal(decoded, null);
+        return;
+      }
+
+      assert.equal(decoded.programId, instruction.programId);
+      assert.equal(decoded.name, expected.name);
+      assert.equal(decoded.kind, expected.kind);
+      assert.deepEqual(decoded.args, expected.args);
+      if (expected.pool) {
+        assert.deepEqual(extractPoolAccounts(instruction, decoded), expected.pool);
+        assert.deepEqual(extractPoolParams(decoded), expected.params);
+      }
+    });
+  }
+}
+
+test('every monitored program has an instruction fixture file', () => {
+  const programIds = new Set(fs.readdirSync(FIXTURES_DIR)
+    .flatMap(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')))
+    .map(c => c.instruction.programId));
+  for (const [name, programId] of Object.entries(PROGRAM_IDS)) {
+    assert.ok(programIds.has(programId), `no fixtures for ${name}`);
+  }
+});
+
+test('unmonitored programs, empty data and invalid base58 decode to null', () => {
+  assert.equal(decodeInstruction({ programId: '11111111111111111111111111111111', accounts: [], data: '3Bxs4h24hBtQy9rw' }), null);
+  assert.equal(decodeInstruction({ programId: PROGRAM_IDS['Raydium AMM v4'], accounts: [], data: '' }), null);
+  assert.equal(decodeInstruction({ programId: PROGRAM_IDS['Raydium AMM v4'], accounts: [], data: '0OIl' }), null);
+});
@@ -0,0 +1,55 @@
+// parseQuery against the shapes Express gives req.query: single strings, arrays for repeated
+// parameters and objects for bracketed ones
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, parseQuery } = require('../lib/storage');
+
+test('parses single-valued parameters', () => {
+  const query = parseQuery('graduates', {
+    sort: 'marketCap',
+    order: 'ASC',
+    limit: '20',
+    search: '  Pepe ',
+    minMarketCap: '50000',
+    dex: 'raydium, pumpswap',
+    from: '2024-01-01T00:00:00Z'
+  });
+
+  assert.equal(query.sort, 'marketCap');
+  assert.equal(query.order, 'asc');
+  assert.equal(query.limit, 20);
+  assert.equal(query.search, 'pepe');
+  assert.deepEqual(query.minimums, { marketCap: 50000 });
+  assert.deepEqual(query.programs, ['raydium', 'pumpswap']);
+  assert.equal(query.from, Date.parse('2024-01-01T00:00:00Z'));
+});
+
+test('accepts the numeric limit internal callers pass', () => {
+  assert.equal(parseQuery('graduates', { limit: 500, order: 'asc' }).limit, 500);
+});
+
+test('accepts repeated program parameters', () => {
+  assert.deepEqual(parseQuery('pools', { program: ['Orca-Whirlpools', 'meteora-dlmm'] }).programs, ['orca-whirlpools', 'meteora-dlmm']);
+});
+
+for (const [collection, param] of [
+  ['graduates', 'order'],
+  ['graduates', 'search'],
+  ['pools', 'q'],
+  ['graduates', 'sort'],
+  ['graduates', 'cursor'],
+  ['graduates', 'limit'],
+  ['graduates', 'from'],
+  ['graduates', 'minMarketCap'],
+  ['pools', 'minLiquidity']
+]) {
+  test(`rejects a repeated ${collection} ${param} parameter with a QueryError`, () => {
+    assert.throws(() => parseQuery(collection, { [param]: ['a', 'b'] }), QueryError);
+  });
+}
+
+test('rejects bracketed object parameters with a QueryError', () => {
+  assert.throws(() => parseQuery('graduates', { order: { a: 'asc' } }), QueryError);
+  assert.throws(() => parseQuery('pools', { program: { a: 'raydium' } }), QueryError);
+  assert.throws(() => parseQuery('pools', { dex: [['raydium']] }), QueryError);
+});
@@ -0,0 +1,101 @@
+// RPC ingestion end to end against fixtures/mock-rpc-server.js: RpcIngestor subscribes over
+// WebSocket, fetches the fixture transactions with getTransaction, and the pool creations in
+// them decode the way server.js's processTransactions reads them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockRpcServer } = require('../fixtures/mock-rpc-server');
+const { RpcIngestor } = require('../lib/ingestion/rpc-ingestor');
+const { flattenInstructions } = require('../lib/ingestion/normalize');
+const { createHttpClient } = require('../lib/http-client');
+const { PROGRAM_IDS, isMonitoredProgram } = require('../lib/programs');
+const { INSTRUCTION_KINDS, decodeInstruction, extractPoolAccounts } = require('../lib/decoders');
+
+const EXPECTED_POOLS = {
+  '31qdXrXhbyXcv65yCDFfjAGYbdGhKEt3fs4ZEcWBCHxC6mviuPXQVac1djbbyrwpakQb5E9M9WSFDQzBHq95mh8x': {
+    program: 'PumpSwap AMM',
+    name: 'create_pool',
+    invokedBy: PROGRAM_IDS['Pump.fun'],
+    poolAddress: 'nLmuzUniRVqTECxSdQj2WpbFsfpcitcokSirnkGxVS9',
+    tokenMintA: '9uExZzR5rvtKaRnwVkVq9mcDhzQQzxEnv2RgzAvPmddt',
+    tokenMintB: 'So11111111111111111111111111111111111111112',
+    lpMint: 'D1hKiFVf6JepT6U69RdwZzYdb8ZUFSQi4cdZbaMPpLWu'
+  },
+  '39peWeswgZ99Br9TdyiTLTMdSQbNeim7d5Hp31LeJ5P1b9cq26qS33WoE6WWA8c2kKqX5MbhvNqvpoB5UcJkeuNd': {
+    program: 'Raydium CP-Swap',
+    name: 'initialize',
+    invokedBy: null,
+    poolAddress: 'E3pBXM7o1ybZRZR2Rv5ZB4bptrAMjrpGb3RpTrACy9hk',
+    tokenMintA: 'So11111111111111111111111111111111111111112',
+    tokenMintB: 'FnBH4kpizHtaZMUPJSdv4zuzwGVToyg7xkwgJB7fdZf9',
+    lpMint: 'HApbMe93yKq3jsJijdxG2364bXbYrR96d6cJH4RJY7wQ'
+  }
+};
+
+// First pool creation in the transaction, as processTransactions picks it
+function detectPool(tx) {
+  for (const instruction of flattenInstructions(tx)) {
+    if (!isMonitoredProgram(instruction.programId)) continue;
+    const decoded = decodeInstruction(instruction);
+    if (!decoded || decoded.kind !== INSTRUCTION_KINDS.INITIALIZE_POOL) continue;
+    const { poolAddress, tokenMintA, tokenMintB, lpMint } = extractPoolAccounts(instruction, decoded);
+    return { program: decoded.program, name: decoded.name, invokedBy: instruction.parentProgramId || null, poolAddress, tokenMintA, tokenMintB, lpMint };
+  }
+  return null;
+}
+
+// Resolves once the ingestor has handed over `count` transactions (or rejects after timeoutMs)
+function collectTransactions(ingestor, count, timeoutMs = 5000) {
+  const transactions = [];
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Received ${transactions.length} of ${count} transactions`)), timeoutMs);
+    ingestor.onTransaction = tx => {
+      transactions.push(tx);
+      if (transactions.length === count) {
+        clearTimeout(timer);
+        resolve(transactions);
+      }
+    };
+  });
+}
+
+function waitForSubscriptions(ingestor, count, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (ingestor.subscriptions.size === count) return resolve();
+      if (Date.now() > deadline) return reject(new Error(`${ingestor.subscriptions.size} of ${count} subscriptions confirmed`));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+for (const subscription of ['logs', 'program']) {
+  test(`${subscription}Subscribe: fixture pool creations are fetched and decoded`, async t => {
+    // The ingestor's connection logs would interleave with the test runner's output
+    t.mock.method(console, 'log', () => {});
+    const mock = await startMockRpcServer({ port: 0 });
+    const programIds = Object.values(PROGRAM_IDS);
+    const ingestor = new RpcIngestor({
+      wsUrl: `ws://127.0.0.1:${mock.port}`,
+      programIds,
+      subscription,
+      http: createHttpClient({ retries: 0 }),
+      onTransaction: () => {}
+    });
+    t.after(async () => {
+      ingestor.stop();
+      await mock.close();
+    });
+
+    ingestor.start();
+    await waitForSubscriptions(ingestor, programIds.length);
+    const received = collectTransactions(ingestor, Object.keys(EXPECTED_POOLS).length);
+    assert.ok(mock.emit() > 0, 'the fixtures notify at least one subscription');
+    const transactions = await received;
+
+    const pools = Object.fromEntries(transactions.map(tx => [tx.signature, detectPool(tx)]));
+    assert.deepEqual(pools, EXPECTED_POOLS);
+    assert.equal(ingestor.stats.lastError, null);
+  });
+}
@@ -0,0 +1,59 @@
+// applyRetention against both storage drivers: watched graduates (and their snapshots) survive
+// the age and count limits that remove every other old graduate
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function seed(storage) {
+  const now = Date.now();
+  // mint-0 is the newest, mint-4 the oldest
+  for (let index = 0; index < 5; index++) {
+    const graduatedAt = new Date(now - (index + 1) * HOUR_MS).toISOString();
+    storage.saveGraduate({ mint: `mint-${index}`, symbol: `T${index}`, graduatedAt });
+    storage.saveSnapshot(`mint-${index}`, { marketCap: 1000 * index }, now - index * 1000);
+  }
+  storage.saveWatch({ mint: 'mint-4', symbol: 'T4', alerts: [], createdAt: new Date(now).toISOString() });
+}
+
+function withStorage(driver, run) {
+  return () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    const storage = createStorage({ driver, filePath: path.join(directory, 'tracker.db') });
+    try {
+      seed(storage);
+      run(storage);
+    } finally {
+      storage.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+for (const driver of ['memory', 'sqlite']) {
+  test(`${driver}: maxGraduates keeps the newest graduates plus watched ones`, withStorage(driver, storage => {
+    const removed = storage.applyRetention({ maxGraduates: 2 });
+
+    assert.equal(removed.graduates, 2);
+    assert.equal(storage.countGraduates(), 3);
+    assert.ok(storage.getGraduate('mint-0'));
+    assert.ok(storage.getGraduate('mint-1'));
+    assert.equal(storage.getGraduate('mint-2'), null);
+    assert.equal(storage.getGraduate('mint-3'), null);
+    assert.ok(storage.getGraduate('mint-4'), 'the watched graduate survives');
+    assert.equal(storage.listSnapshots('mint-4').length, 1, 'and so do its snapshots');
+    assert.equal(storage.listSnapshots('mint-3').length, 0);
+  }));
+
+  test(`${driver}: maxAgeMs keeps watched graduates`, withStorage(driver, storage => {
+    storage.applyRetention({ maxAgeMs: 2.5 * HOUR_MS });
+
+    assert.ok(storage.getGraduate('mint-1'));
+    assert.equal(storage.getGraduate('mint-2'), null);
+    assert.ok(storage.getGraduate('mint-4'));
+  }));
+}
@@ -0,0 +1,100 @@
+// POST /webhook end to end: server.js runs as a child process (memory storage, no .env) and the
+// fixtures/webhook payloads go through webhook authentication, normalisation and signature dedupe
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const AUTH_TOKEN = 'test-webhook-token';
+const SIGNATURE = '31qdXrXhbyXcv65yCDFfjAGYbdGhKEt3fs4ZEcWBCHxC6mviuPXQVac1djbbyrwpakQb5E9M9WSFDQzBHq95mh8x';
+
+const fixture = name => fs.readFileSync(path.join(ROOT, 'fixtures', 'webhook', name), 'utf8');
+
+let server;
+let baseUrl;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for server.js');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+const postWebhook = (body, headers = {}) => fetch(`${baseUrl}/webhook`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+});
+
+const getJson = async pathname => (await fetch(`${baseUrl}${pathname}`)).json();
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  // Run outside the repo so dotenv finds no .env; only what the test sets reaches the server
+  server = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: os.tmpdir(),
+    env: { PATH: process.env.PATH, PORT: String(port), STORAGE_DRIVER: 'memory', WEBHOOK_AUTH_TOKEN: AUTH_TOKEN },
+    stdio: 'ignore'
+  });
+  await waitFor(async () => (await fetch(`${baseUrl}/api/scanner/status`)).ok);
+});
+
+after(() => {
+  if (server) server.kill();
+});
+
+test('rejects payloads without the auth header', async () => {
+  const missing = await postWebhook(fixture('pumpswap-migration.enhanced.json'));
+  assert.equal(missing.status, 401);
+  const wrong = await postWebhook(fixture('pumpswap-migration.enhanced.json'), { Authorization: 'not-the-token' });
+  assert.equal(wrong.status, 401);
+
+  const { webhookAuth } = await getJson('/api/scanner/status');
+  assert.equal(webhookAuth.rejectedByReason.missing_credentials, 1);
+  assert.equal(webhookAuth.rejectedByReason.invalid_auth_header, 1);
+  assert.equal((await getJson('/api/pools')).total, 0);
+});
+
+test('detects the migration pool from the Geyser payload', async () => {
+  const response = await postWebhook(fixture('pumpswap-migration.geyser.json'), { Authorization: AUTH_TOKEN });
+  assert.equal(response.status, 200);
+
+  const { pools } = await waitFor(async () => {
+    const page = await getJson('/api/pools');
+    return page.total > 0 && page;
+  });
+  assert.equal(pools.length, 1);
+  assert.equal(pools[0].signature, SIGNATURE);
+  assert.equal(pools[0].program, 'PumpSwap AMM');
+  assert.equal(pools[0].poolAddress, 'nLmuzUniRVqTECxSdQj2WpbFsfpcitcokSirnkGxVS9');
+  assert.equal(pools[0].invokedBy, '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+});
+
+test('skips the same transaction delivered again in the enhanced format', async () => {
+  const response = await postWebhook(fixture('pumpswap-migration.enhanced.json'), { Authorization: AUTH_TOKEN });
+  assert.equal(response.status, 200);
+  await waitFor(async () => (await getJson('/api/scanner/status')).webhookAuth.accepted === 2);
+  // Processing continues after the 200, so give a duplicate pool the chance to show up
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const page = await getJson('/api/pools');
+  assert.equal(page.total, 1);
+  assert.equal(page.processedSignatures, 1);
+});